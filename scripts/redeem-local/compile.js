@@ -0,0 +1,50 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// ═══════════════════════════════════════════════════════════════
+// Rebuild contracts.json (ABI + bytecode of the mock contracts) from
+// contracts/*.sol. Only needed after editing a contract; solc is not a
+// dependency of the bot:
+//   npm install --no-save solc@0.8.24 && node scripts/redeem-local/compile.js
+// ═══════════════════════════════════════════════════════════════
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const SOURCES = path.join(DIR, "contracts");
+const OUT = path.join(DIR, "contracts.json");
+
+let solc;
+try {
+  solc = (await import("solc")).default;
+} catch {
+  console.error("solc is not installed — run: npm install --no-save solc@0.8.24");
+  process.exit(1);
+}
+
+const sources = Object.fromEntries(
+  fs.readdirSync(SOURCES).filter(f => f.endsWith(".sol")).sort().map(f => [f, { content: fs.readFileSync(path.join(SOURCES, f), "utf8") }])
+);
+const input = {
+  language: "Solidity",
+  sources,
+  settings: {
+    optimizer: { enabled: true, runs: 200 },
+    evmVersion: "paris",  // No PUSH0, so older local nodes can run it too
+    outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } }
+  }
+};
+
+const output = JSON.parse(solc.compile(JSON.stringify(input)));
+const errors = (output.errors || []).filter(e => e.severity === "error");
+for (const e of output.errors || []) console.error(e.formattedMessage);
+if (errors.length > 0) process.exit(1);
+
+const artifacts = { compiler: solc.version() };
+for (const file of Object.keys(output.contracts)) {
+  for (const [name, contract] of Object.entries(output.contracts[file])) {
+    if (!contract.evm.bytecode.object) continue;  // Interfaces
+    artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  }
+}
+fs.writeFileSync(OUT, JSON.stringify(artifacts, null, 2) + "\n");
+console.log(`Wrote ${Object.keys(artifacts).length - 1} contracts to ${path.relative(process.cwd(), OUT)} (solc ${artifacts.compiler})`);
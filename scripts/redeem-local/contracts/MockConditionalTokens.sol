@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+// Conditional Tokens stand-in for local redemption runs. Condition and
+// position ids, payout vectors and the PayoutRedemption event match the
+// Gnosis CTF the bot talks to on Polygon; collection ids are plain hashes
+// instead of curve points, and only top-level (parentCollectionId = 0)
+// positions are supported. Shares are not checked for ERC-1155 receivers.
+contract MockConditionalTokens {
+    mapping(bytes32 => uint256[]) public payoutNumerators;
+    mapping(bytes32 => uint256) public payoutDenominator;
+    mapping(uint256 => mapping(address => uint256)) private balances;
+
+    event ConditionPreparation(bytes32 indexed conditionId, address indexed oracle, bytes32 indexed questionId, uint256 outcomeSlotCount);
+    event ConditionResolution(bytes32 indexed conditionId, address indexed oracle, bytes32 indexed questionId, uint256 outcomeSlotCount, uint256[] payoutNumerators);
+    event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value);
+    event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint256[] indexSets, uint256 payout);
+
+    function getConditionId(address oracle, bytes32 questionId, uint256 outcomeSlotCount) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(oracle, questionId, outcomeSlotCount));
+    }
+
+    function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint256 indexSet) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(parentCollectionId, conditionId, indexSet));
+    }
+
+    function getPositionId(address collateralToken, bytes32 collectionId) public pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(collateralToken, collectionId)));
+    }
+
+    function getOutcomeSlotCount(bytes32 conditionId) public view returns (uint256) {
+        return payoutNumerators[conditionId].length;
+    }
+
+    function balanceOf(address owner, uint256 id) external view returns (uint256) {
+        return balances[id][owner];
+    }
+
+    function prepareCondition(address oracle, bytes32 questionId, uint256 outcomeSlotCount) external {
+        require(outcomeSlotCount > 1 && outcomeSlotCount <= 256, "bad outcome slot count");
+        bytes32 conditionId = getConditionId(oracle, questionId, outcomeSlotCount);
+        require(payoutNumerators[conditionId].length == 0, "condition already prepared");
+        payoutNumerators[conditionId] = new uint256[](outcomeSlotCount);
+        emit ConditionPreparation(conditionId, oracle, questionId, outcomeSlotCount);
+    }
+
+    // Called by the oracle, like UMA's adapter does on Polygon
+    function reportPayouts(bytes32 questionId, uint256[] calldata payouts) external {
+        bytes32 conditionId = getConditionId(msg.sender, questionId, payouts.length);
+        require(payoutNumerators[conditionId].length == payouts.length, "condition not prepared");
+        require(payoutDenominator[conditionId] == 0, "payout already reported");
+        uint256 den = 0;
+        for (uint256 i = 0; i < payouts.length; i++) {
+            payoutNumerators[conditionId][i] = payouts[i];
+            den += payouts[i];
+        }
+        require(den > 0, "payout is all zeroes");
+        payoutDenominator[conditionId] = den;
+        emit ConditionResolution(conditionId, msg.sender, questionId, payouts.length, payouts);
+    }
+
+    // Lock `amount` collateral and mint `amount` shares of every index set in the partition
+    function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] calldata partition, uint256 amount) external {
+        require(parentCollectionId == bytes32(0), "top-level positions only");
+        uint256 slots = getOutcomeSlotCount(conditionId);
+        require(slots > 0, "condition not prepared");
+        require(IERC20(collateralToken).transferFrom(msg.sender, address(this), amount), "collateral transfer failed");
+        for (uint256 i = 0; i < partition.length; i++) {
+            require(partition[i] > 0 && partition[i] < (1 << slots), "bad index set");
+            uint256 id = getPositionId(collateralToken, getCollectionId(parentCollectionId, conditionId, partition[i]));
+            balances[id][msg.sender] += amount;
+            emit TransferSingle(msg.sender, address(0), msg.sender, id, amount);
+        }
+    }
+
+    function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes calldata) external {
+        require(from == msg.sender, "only the holder can transfer");
+        require(balances[id][from] >= value, "insufficient balance");
+        balances[id][from] -= value;
+        balances[id][to] += value;
+        emit TransferSingle(msg.sender, from, to, id, value);
+    }
+
+    // Burn the caller's shares of each index set and pay out their share of the collateral
+    function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] calldata indexSets) external {
+        require(parentCollectionId == bytes32(0), "top-level positions only");
+        uint256 den = payoutDenominator[conditionId];
+        require(den > 0, "result for condition not received yet");
+        uint256[] storage numerators = payoutNumerators[conditionId];
+
+        uint256 totalPayout = 0;
+        for (uint256 i = 0; i < indexSets.length; i++) {
+            uint256 indexSet = indexSets[i];
+            require(indexSet > 0 && indexSet < (1 << numerators.length), "bad index set");
+            uint256 numerator = 0;
+            for (uint256 j = 0; j < numerators.length; j++) {
+                if (indexSet & (1 << j) != 0) numerator += numerators[j];
+            }
+            uint256 id = getPositionId(collateralToken, getCollectionId(parentCollectionId, conditionId, indexSet));
+            uint256 stake = balances[id][msg.sender];
+            if (stake > 0) {
+                totalPayout += stake * numerator / den;
+                balances[id][msg.sender] = 0;
+                emit TransferSingle(msg.sender, msg.sender, address(0), id, stake);
+            }
+        }
+
+        if (totalPayout > 0) {
+            require(IERC20(collateralToken).transfer(msg.sender, totalPayout), "could not transfer payout");
+        }
+        emit PayoutRedemption(msg.sender, collateralToken, parentCollectionId, conditionId, indexSets, totalPayout);
+    }
+}
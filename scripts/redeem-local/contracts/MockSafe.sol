@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// 1-of-1 Gnosis Safe stand-in for the Polymarket proxy wallet. Exposes the
+// nonce / getTransactionHash / execTransaction calls the redeemer makes and
+// checks one raw ECDSA signature (v = 27/28) over the transaction hash from
+// the owner, like the real Safe. Only plain calls (operation 0) without gas
+// refunds are executed; the hash is not the EIP-712 one.
+contract MockSafe {
+    address public immutable owner;
+    uint256 public nonce;
+
+    event ExecutionSuccess(bytes32 indexed txHash);
+
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    receive() external payable {}
+
+    function getTransactionHash(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation,
+        uint256 safeTxGas,
+        uint256 baseGas,
+        uint256 gasPrice,
+        address gasToken,
+        address refundReceiver,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), block.chainid, to, value, keccak256(data), operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, _nonce));
+    }
+
+    function execTransaction(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation,
+        uint256 safeTxGas,
+        uint256 baseGas,
+        uint256 gasPrice,
+        address gasToken,
+        address payable refundReceiver,
+        bytes calldata signatures
+    ) external payable returns (bool success) {
+        require(operation == 0, "only calls are supported");
+        require(gasPrice == 0, "gas refunds are not supported");
+        bytes32 txHash = getTransactionHash(to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, nonce);
+        _checkOwnerSignature(txHash, signatures);
+
+        nonce++;
+        (success, ) = to.call{value: value}(data);
+        require(success, "transaction failed");
+        emit ExecutionSuccess(txHash);
+    }
+
+    function _checkOwnerSignature(bytes32 txHash, bytes calldata signatures) internal view {
+        require(signatures.length == 65, "expected one signature");
+        bytes32 r = bytes32(signatures[0:32]);
+        bytes32 s = bytes32(signatures[32:64]);
+        uint8 v = uint8(signatures[64]);
+        require(ecrecover(txHash, v, r, s) == owner, "invalid owner signature");
+    }
+}
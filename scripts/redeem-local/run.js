@@ -0,0 +1,130 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+import { PositionTracker } from "../../src/trading/positionTracker.js";
+import { Redeemer } from "../../src/trading/redeemer.js";
+
+// ═══════════════════════════════════════════════════════════════
+// LOCAL REDEMPTION RUN — the Redeemer against mock contracts
+//
+// Needs a local EVM node with an unlocked, funded first account
+// (anvil, `npx hardhat node`, `npx ganache`). It:
+//   ① deploys MockUSDC, MockConditionalTokens and a 1-of-1 MockSafe
+//      owned by a fresh key (the bot's signer)
+//   ② prepares an Up/Down condition, splits 10 USDC into 10 shares of
+//      each outcome, hands them to the Safe and reports Up as winner
+//   ③ books both legs as a resolved arb in a throwaway PositionTracker
+//   ④ runs one Redeemer pass (execTransaction through the Safe, or
+//      directly from the signer with --eoa) and checks the USDC paid
+//      out, the shares burned and the amounts recorded per position
+// Usage: npm run redeem:local -- [rpcUrl] [--eoa]
+//        (default rpcUrl: LOCAL_RPC_URL or http://127.0.0.1:8545)
+// ═══════════════════════════════════════════════════════════════
+
+const ARTIFACTS = JSON.parse(fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), "contracts.json"), "utf8"));
+const SHARES = 10;
+const UNITS = ethers.utils.parseUnits(String(SHARES), 6);
+const ZERO_BYTES32 = ethers.constants.HashZero;
+
+const args = process.argv.slice(2);
+const viaSafe = !args.includes("--eoa");
+const rpcUrl = args.find(a => !a.startsWith("--")) || process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545";
+
+async function deploy(name, signer, ...ctorArgs) {
+  const { abi, bytecode } = ARTIFACTS[name];
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...ctorArgs);
+  await contract.deployed();
+  console.log(`[Local] Deployed ${name} at ${contract.address}`);
+  return contract;
+}
+
+async function send(txPromise) {
+  return await (await txPromise).wait();
+}
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const network = await provider.getNetwork();
+  const funder = provider.getSigner(0);
+  const funderAddress = await funder.getAddress();
+  console.log(`[Local] Node ${rpcUrl} (chain ${network.chainId}) | funder ${funderAddress}`);
+
+  // The bot's signer: pays gas, owns the Safe
+  const owner = ethers.Wallet.createRandom();
+  await send(funder.sendTransaction({ to: owner.address, value: ethers.utils.parseEther("1") }));
+
+  const usdc = await deploy("MockUSDC", funder);
+  const ctf = await deploy("MockConditionalTokens", funder);
+  const safe = viaSafe ? await deploy("MockSafe", funder, owner.address) : null;
+  const holder = safe ? safe.address : owner.address;
+
+  // ② Condition with the funder as oracle; shares go to the holder
+  const questionId = ethers.utils.id(`redeem-local ${Date.now()}`);
+  await send(ctf.prepareCondition(funderAddress, questionId, 2));
+  const conditionId = await ctf.getConditionId(funderAddress, questionId, 2);
+  const positionId = async (indexSet) => ctf.getPositionId(usdc.address, await ctf.getCollectionId(ZERO_BYTES32, conditionId, indexSet));
+  const upId = await positionId(1);
+  const downId = await positionId(2);
+
+  await send(usdc.mint(funderAddress, UNITS));
+  await send(usdc.approve(ctf.address, UNITS));
+  await send(ctf.splitPosition(usdc.address, ZERO_BYTES32, conditionId, [1, 2], UNITS));
+  for (const id of [upId, downId]) {
+    await send(ctf.safeTransferFrom(funderAddress, holder, id, UNITS, "0x"));
+  }
+  await send(ctf.reportPayouts(questionId, [1, 0]));
+  console.log(`[Local] Condition ${conditionId.slice(0, 10)}… reported Up | holder ${holder} has ${SHARES} Up + ${SHARES} Down`);
+
+  // ③ Both legs resolved in a throwaway ledger
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "redeem-local-"));
+  try {
+    const tracker = new PositionTracker({ logDir });
+    const leg = (outcome, tokenId, price) => tracker.addPosition({
+      orderId: `local-${outcome.toLowerCase()}`, tokenId: tokenId.toString(), direction: "ARB", outcome, price, size: SHARES, edge: 0,
+      marketSlug: "redeem-local", marketEndTime: Date.now(), strategy: `PURE_ARB_${outcome.toUpperCase()}`, assetName: "BTC", groupId: "redeem-local"
+    });
+    const up = leg("Up", upId, 0.48);
+    const down = leg("Down", downId, 0.49);
+    for (const pos of [up, down]) tracker.settlePosition(pos, { winner: "Up", source: "local", conditionId });
+
+    // ④ One pass, exactly as the bot runs it
+    const redeemer = new Redeemer(owner, tracker, {
+      provider,
+      proxyWallet: safe ? safe.address : null,
+      ctfAddress: ctf.address,
+      collateralAddress: usdc.address,
+      minPriorityFeeGwei: 1
+    });
+    const [result] = await redeemer.run();
+
+    const paid = Number(ethers.utils.formatUnits(await usdc.balanceOf(holder), 6));
+    const left = (await ctf.balanceOf(holder, upId)).add(await ctf.balanceOf(holder, downId));
+    const checks = [
+      ["redemption succeeded", Boolean(result && !result.error), result?.error],
+      [`PayoutRedemption reported $${SHARES}`, result?.payout === SHARES, result?.payout],
+      [`holder received $${SHARES} USDC`, paid === SHARES, paid],
+      ["all shares burned", left.isZero(), left.toString()],
+      [`Up leg recorded $${SHARES}`, up.redemption?.amount === SHARES, up.redemption?.amount],
+      ["Down leg recorded $0", down.redemption?.amount === 0, down.redemption?.amount],
+      ["tx hash recorded", up.redemption?.txHash === result?.txHash, up.redemption?.txHash]
+    ];
+
+    for (const [name, ok, got] of checks) console.log(`[Local] ${ok ? "✓" : "✗"} ${name}${ok ? "" : ` (got ${got})`}`);
+    const failed = checks.filter(([, ok]) => !ok).length;
+    console.log(failed === 0
+      ? `[Local] ✅ Redeemed through ${safe ? "the Safe" : "the signer"} | tx ${result.txHash}`
+      : `[Local] ❌ ${failed} check(s) failed`);
+    return failed === 0;
+  } finally {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  }
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(e => {
+    console.error(`[Local] ✗ ${e.reason || e.message}`);
+    process.exit(1);
+  });
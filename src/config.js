@@ -1,6 +1,420 @@
+import fs from "node:fs";
+import path from "node:path";
 import dotenv from "dotenv";
 dotenv.config();
 
+// ═══════════════════════════════════════════════════════════════
+// TRADING PARAMETERS — one schema for every strategy / guardrail knob
+//
+// Sources, lowest to highest precedence:
+//   default → config file (JSON, keyed by parameter name) → env var
+// The file is TRADING_CONFIG_FILE, or trading.config.json in the
+// working directory when present. Values are type-checked and range
+// validated; problems are collected in CONFIG_STATUS.errors and the
+// bot refuses to start (src/index.js) until they are fixed.
+//
+// Strategy thresholds, sizes and trading minutes (perAsset: true) can
+// be overridden per asset, and an asset can be switched off entirely:
+//   file: "assets": { "ETH": { "arbMaxSum": 0.96 }, "XRP": { "enabled": false } }
+//   env:  ASSET_ETH_ARB_MAX_SUM=0.96, ASSET_XRP_ENABLED=false
+// The env name is the parameter's own env var (minus TRADING_) after
+// ASSET_<NAME>_. Overrides go through the same validation.
+//
+// perAsset and runtime (guardrail) parameters can also be changed while
+// running through the control API (updateTradingParams); those changes
+// last until the next restart.
+// ═══════════════════════════════════════════════════════════════
+
+const STRATEGY_NAMES = ["PURE_ARB", "EXTREME_VALUE", "CONFIRMED_MOVE"];
+
+// Multi-asset 15m markets — scanned in parallel for arb opportunities
+const ASSETS = [
+  { name: "BTC", seriesId: "10192", seriesSlug: "btc-up-or-down-15m", binanceSymbol: "BTCUSDT", chainlinkFeed: "BTC/USD" },
+  { name: "ETH", seriesId: "10191", seriesSlug: "eth-up-or-down-15m", binanceSymbol: "ETHUSDT", chainlinkFeed: "ETH/USD" },
+  { name: "SOL", seriesId: "10423", seriesSlug: "sol-up-or-down-15m", binanceSymbol: "SOLUSDT", chainlinkFeed: "SOL/USD" },
+  { name: "XRP", seriesId: "10422", seriesSlug: "xrp-up-or-down-15m", binanceSymbol: "XRPUSDT", chainlinkFeed: "XRP/USD" }
+];
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+// key → { group, env, type, default, min, max, values, pattern, secret, perAsset, runtime, doc }
+// type: boolean | number | integer | string | enum | timezone | list (comma-separated in env)
+// env may list fallbacks; the first one set wins
+export const TRADING_SCHEMA = {
+  // ─── General ──────────────────────────────────────────────
+  enabled: { group: "General", env: "TRADING_ENABLED", type: "boolean", default: false, doc: "Enable auto-trading" },
+  privateKey: { group: "General", env: "PRIVATE_KEY", type: "string", default: "", secret: true, doc: "Wallet private key (env only)" },
+  dryRun: { group: "General", env: "TRADING_DRY_RUN", type: "boolean", default: false, doc: "Paper-trade against live books instead of placing orders" },
+  paperBalance: { group: "General", env: "TRADING_PAPER_BALANCE", type: "number", default: 100, min: 1, doc: "Simulated USDC balance for dry-run paper trading" },
+  controlToken: { group: "General", env: "CONTROL_API_TOKEN", type: "string", default: "", secret: true, pattern: /^\S{16,}$/, doc: "Bearer token for the /control API (16+ chars; unset disables it)" },
+  strategies: { group: "General", env: "TRADING_STRATEGIES", type: "list", default: ["PURE_ARB"], values: STRATEGY_NAMES, perAsset: true, doc: "Enabled strategies, highest priority first" },
+
+  // ─── Guardrails ───────────────────────────────────────────
+  maxExposure: { group: "Guardrails", env: "MAX_EXPOSURE", type: "number", default: 80, min: 0, runtime: true, doc: "Max open cost across all positions ($)" },
+  dailyDrawdownLimit: { group: "Guardrails", env: "DAILY_DRAWDOWN_LIMIT", type: "number", default: -10, max: 0, runtime: true, doc: "Stop new trades when today's P&L falls to this ($, negative)" },
+  maxDailyLoss: { group: "Guardrails", env: "TRADING_MAX_DAILY_LOSS", type: "number", default: 8, min: 0, runtime: true, doc: "Stop new trades after losing this much today ($, 0 disables)" },
+  maxTradesPerHour: { group: "Guardrails", env: "TRADING_MAX_TRADES_PER_HOUR", type: "integer", default: 4, min: 0, runtime: true, doc: "Max executed trades in any rolling hour (0 disables)" },
+  minRemainingBalance: { group: "Guardrails", env: "TRADING_MIN_BALANCE", type: "number", default: 35, min: 0, runtime: true, doc: "USDC reserve a trade may not dip into ($, 0 disables)" },
+  balanceTtlMs: { group: "Guardrails", env: "TRADING_BALANCE_TTL_MS", type: "integer", default: 30000, min: 0, max: 600000, runtime: true, doc: "Reuse a USDC balance read for the reserve check this long" },
+
+  // ─── Timing ───────────────────────────────────────────────
+  minBuyCooldownMs: { group: "Timing", env: "MIN_BUY_COOLDOWN_MS", type: "integer", default: 15000, min: 0, max: 900000, runtime: true, doc: "Min time between buys" },
+  minCandleMinute: { group: "Timing", env: "MIN_CANDLE_MINUTE", type: "integer", default: 1, min: 0, max: 14, perAsset: true, doc: "First minute of the 15m window to trade in" },
+  maxCandleMinute: { group: "Timing", env: "MAX_CANDLE_MINUTE", type: "integer", default: 13, min: 0, max: 14, perAsset: true, doc: "Last minute of the 15m window to trade in" },
+
+  // ─── Pure arb ─────────────────────────────────────────────
+  arbMaxSum: { group: "Pure arb", env: "ARB_MAX_SUM", type: "number", default: 0.97, min: 0.5, max: 1, perAsset: true, doc: "Buy both sides when Up + Down is below this" },
+  arbSize: { group: "Pure arb", env: "ARB_SIZE", type: "number", default: 40, min: 1, perAsset: true, doc: "Dollars per arb pair" },
+  arbMinProfit: { group: "Pure arb", env: "ARB_MIN_PROFIT", type: "number", default: 0.015, min: 0, max: 0.5, perAsset: true, doc: "Min profit per share pair after fees" },
+  arbMinShares: { group: "Pure arb", env: "ARB_MIN_SHARES", type: "integer", default: 5, min: 1, perAsset: true, doc: "Min shares per leg (exchange minimum order)" },
+  arbSizing: { group: "Pure arb", env: "TRADING_ARB_SIZING", type: "enum", default: "shares", values: ["shares", "notional"], perAsset: true, doc: "shares: equal shares per leg (exact payout) | notional: equal dollars per leg" },
+  arbLegPolicy: { group: "Pure arb", env: "TRADING_ARB_LEG_POLICY", type: "enum", default: "repair_then_unwind", values: ["repair_then_unwind", "repair_only", "unwind", "none"], doc: "One-legged arb handling" },
+  arbLegRepairMs: { group: "Pure arb", env: "TRADING_ARB_LEG_REPAIR_MS", type: "integer", default: 15000, min: 0, max: 300000, doc: "Time allowed to repair a one-legged arb" },
+
+  // ─── Extreme value ────────────────────────────────────────
+  extremeMaxPrice: { group: "Extreme value", env: "EXTREME_MAX_PRICE", type: "number", default: 0.20, min: 0.01, max: 0.5, perAsset: true, doc: "Token must cost less than this" },
+  extremeMinBtcMove: { group: "Extreme value", env: "EXTREME_MIN_BTC_MOVE", type: "number", default: 0.06, min: 0, max: 5, perAsset: true, doc: "Confirming spot move (%)" },
+  deepValueMax: { group: "Extreme value", env: "DEEP_VALUE_MAX", type: "number", default: 0.05, min: 0.01, max: 0.5, perAsset: true, doc: "Below this no confirming move is needed" },
+  extremeSize: { group: "Extreme value", env: "EXTREME_SIZE", type: "number", default: 2, min: 1, perAsset: true, doc: "Dollars per extreme value bet (skipped if it buys fewer shares than the market minimum)" },
+
+  // ─── Confirmed move ───────────────────────────────────────
+  moveMinBtcPct: { group: "Confirmed move", env: "MOVE_MIN_BTC_PCT", type: "number", default: 0.08, min: 0, max: 5, perAsset: true, doc: "Min spot move from the price to beat (%)" },
+  moveStrongPct: { group: "Confirmed move", env: "MOVE_STRONG_PCT", type: "number", default: 0.30, min: 0, max: 5, perAsset: true, doc: "Strong move threshold (%)" },
+  moveMaxToken: { group: "Confirmed move", env: "MOVE_MAX_TOKEN", type: "number", default: 0.45, min: 0.01, max: 0.99, perAsset: true, doc: "Max token price" },
+  moveMinToken: { group: "Confirmed move", env: "MOVE_MIN_TOKEN", type: "number", default: 0.03, min: 0.01, max: 0.99, perAsset: true, doc: "Min token price (ignore dust)" },
+  moveSize: { group: "Confirmed move", env: "MOVE_SIZE", type: "number", default: 2, min: 1, perAsset: true, doc: "Dollars per confirmed move (skipped if it buys fewer shares than the market minimum)" },
+  moveSizeStrong: { group: "Confirmed move", env: "MOVE_SIZE_STRONG", type: "number", default: 2, min: 1, perAsset: true, doc: "Dollars per strong move" },
+  moveMinEdge: { group: "Confirmed move", env: "MOVE_MIN_EDGE", type: "number", default: 0.15, min: 0, max: 1, perAsset: true, doc: "Min probability edge over the token price" },
+  moveMinCandleMinute: { group: "Confirmed move", env: "MOVE_MIN_CANDLE_MINUTE", type: "integer", default: 2, min: 0, max: 14, perAsset: true, doc: "First minute of the window to trade moves in" },
+  lossStreakReduce: { group: "Confirmed move", env: "LOSS_STREAK_REDUCE", type: "integer", default: 4, min: 1, perAsset: true, doc: "Halve size after this many consecutive losses" },
+
+  // ─── Orders & exits ───────────────────────────────────────
+  orderFillTimeoutMs: { group: "Orders & exits", env: "TRADING_ORDER_FILL_TIMEOUT_MS", type: "integer", default: 5000, min: 500, max: 120000, doc: "Cancel unfilled GTC remainder after this long" },
+  orderPollIntervalMs: { group: "Orders & exits", env: "TRADING_ORDER_POLL_MS", type: "integer", default: 500, min: 100, max: 10000, doc: "Order status poll interval while waiting for fills" },
+  priceBuffer: { group: "Orders & exits", env: "TRADING_PRICE_BUFFER", type: "number", default: 0.003, min: 0, max: 0.1, doc: "Cross the spread by this much on taker buys and sells ($/share)" },
+  exitRetryMs: { group: "Orders & exits", env: "TRADING_EXIT_RETRY_MS", type: "integer", default: 10000, min: 0, max: 600000, doc: "Wait this long before retrying a failed exit sell" },
+  stopLossPct: { group: "Orders & exits", env: "TRADING_STOP_LOSS_PCT", type: "number", default: 0.20, min: 0, max: 1, doc: "Sell when bid value is down this fraction (0 disables)" },
+  takeProfitPct: { group: "Orders & exits", env: "TRADING_TAKE_PROFIT_PCT", type: "number", default: 0, min: 0, max: 10, doc: "Sell when bid value is up this fraction (0 disables)" },
+  exitBeforeEndSec: { group: "Orders & exits", env: "TRADING_EXIT_BEFORE_END_SEC", type: "integer", default: 0, min: 0, max: 900, doc: "Sell this many seconds before market end (0 disables)" },
+
+  // ─── Maker arb ────────────────────────────────────────────
+  makerArbEnabled: { group: "Maker arb", env: "TRADING_MAKER_ARB_ENABLED", type: "boolean", default: false, doc: "Rest bids on both outcomes" },
+  makerArbQuoteSize: { group: "Maker arb", env: "TRADING_MAKER_ARB_QUOTE_SIZE", type: "number", default: 10, min: 5, doc: "Shares per side per quote" },
+  makerArbMaxShares: { group: "Maker arb", env: "TRADING_MAKER_ARB_MAX_SHARES", type: "number", default: 50, min: 5, doc: "Max inventory per side per market" },
+  makerArbMinEdge: { group: "Maker arb", env: "TRADING_MAKER_ARB_MIN_EDGE", type: "number", default: 0.02, min: 0, max: 0.5, doc: "Bid pair + fees must be ≤ $1 minus this" },
+  makerArbHedgeMinProfit: { group: "Maker arb", env: "TRADING_MAKER_ARB_HEDGE_MIN_PROFIT", type: "number", default: 0, min: -0.5, max: 0.5, doc: "Worst pair P&L accepted when chasing the unfilled side" },
+  makerArbStopBeforeEndSec: { group: "Maker arb", env: "TRADING_MAKER_ARB_STOP_BEFORE_END_SEC", type: "integer", default: 60, min: 0, max: 900, doc: "Pull quotes this long before market end" },
+
+  // ─── Resolution & ledger ──────────────────────────────────
+  resolutionPollMs: { group: "Resolution & ledger", env: "TRADING_RESOLUTION_POLL_MS", type: "integer", default: 15000, min: 1000, doc: "Re-check an ended market's official result this often" },
+  staleReconcileMs: { group: "Resolution & ledger", env: "TRADING_STALE_RECONCILE_MS", type: "integer", default: 300000, min: 10000, doc: "Revisit RESOLVED_STALE write-offs this often" },
+  tradingDayTimezone: { group: "Resolution & ledger", env: "TRADING_DAY_TIMEZONE", type: "timezone", default: "UTC", doc: "IANA zone the trading day is counted in" },
+  tradingDayResetHour: { group: "Resolution & ledger", env: "TRADING_DAY_RESET_HOUR", type: "integer", default: 0, min: 0, max: 23, doc: "Hour (in that zone) a new trading day starts" },
+  reconcileIntervalMs: { group: "Resolution & ledger", env: "TRADING_RECONCILE_INTERVAL_MS", type: "integer", default: 300000, min: 0, doc: "Tracker vs exchange check (0 = on demand only)" },
+  reconcileLookbackHours: { group: "Resolution & ledger", env: "TRADING_RECONCILE_LOOKBACK_HOURS", type: "number", default: 24, min: 1, max: 720, doc: "Trades/positions window for reconciliation" },
+
+  // ─── Redemption ───────────────────────────────────────────
+  redeemEnabled: { group: "Redemption", env: "TRADING_REDEEM_ENABLED", type: "boolean", default: true, doc: "Redeem resolved shares on-chain (live only)" },
+  redeemIntervalMs: { group: "Redemption", env: "TRADING_REDEEM_INTERVAL_MS", type: "integer", default: 60000, min: 5000, doc: "How often to look for redeemable conditions" },
+  redeemRpcUrl: { group: "Redemption", env: ["TRADING_REDEEM_RPC_URL", "POLYGON_RPC_URL"], type: "string", default: "https://polygon-rpc.com", pattern: /^(https?|wss?):\/\//, doc: "RPC for redemptions (point at a local node to test)" },
+  ctfAddress: { group: "Redemption", env: "TRADING_CTF_ADDRESS", type: "string", default: "", pattern: ADDRESS, doc: "Conditional Tokens override (default: Polygon CTF)" },
+  ctfCollateralAddress: { group: "Redemption", env: "TRADING_CTF_COLLATERAL_ADDRESS", type: "string", default: "", pattern: ADDRESS, doc: "Collateral override (default: Polygon USDC.e)" },
+
+  // ─── Shutdown ─────────────────────────────────────────────
+  shutdownTimeoutMs: { group: "Shutdown", env: "SHUTDOWN_TIMEOUT_MS", type: "integer", default: 25000, min: 1000, max: 300000, doc: "Deadline for a SIGTERM/SIGINT shutdown before exiting anyway" },
+  shutdownCancelOrders: { group: "Shutdown", env: "SHUTDOWN_CANCEL_ORDERS", type: "boolean", default: true, doc: "Cancel every open order on shutdown" }
+};
+
+// Settings that must agree with each other
+const TRADING_CHECKS = [
+  [(v) => v.minCandleMinute <= v.maxCandleMinute, "minCandleMinute must not be after maxCandleMinute"],
+  [(v) => v.moveMinToken < v.moveMaxToken, "moveMinToken must be below moveMaxToken"],
+  [(v) => v.moveMinBtcPct <= v.moveStrongPct, "moveMinBtcPct must not exceed moveStrongPct"],
+  [(v) => v.deepValueMax <= v.extremeMaxPrice, "deepValueMax must not exceed extremeMaxPrice"],
+  [(v) => v.orderPollIntervalMs < v.orderFillTimeoutMs, "orderPollIntervalMs must be shorter than orderFillTimeoutMs"]
+];
+
+const PER_ASSET_KEYS = Object.keys(TRADING_SCHEMA).filter(key => TRADING_SCHEMA[key].perAsset);
+
+// Env vars from the old survival-mode rules; nothing reads them any more
+const RETIRED_ENV = ["TRADING_MIN_CONFIDENCE", "TRADING_ORDER_SIZE", "TRADING_MAX_POSITION_SIZE", "TRADING_MIN_EDGE", "TRADING_COOLDOWN_MS", "TRADING_MAX_CAPITAL_RISK", "TRADING_MAX_TOKEN_PRICE"];
+
+// Parse and check one value (env string or JSON value); throws with a readable message
+export function validateTradingParam(key, raw) {
+  const spec = TRADING_SCHEMA[key];
+  if (!spec) throw new Error(`unknown parameter "${key}"`);
+  const value = coerce(spec, raw);
+  if (spec.type === "number" || spec.type === "integer") {
+    if (spec.min !== undefined && value < spec.min) throw new Error(`must be ≥ ${spec.min} (got ${value})`);
+    if (spec.max !== undefined && value > spec.max) throw new Error(`must be ≤ ${spec.max} (got ${value})`);
+  }
+  if (spec.values) {
+    const list = spec.type === "list" ? value : [value];
+    const bad = list.filter(v => !spec.values.includes(v));
+    if (bad.length > 0) throw new Error(`${bad.join(", ")} not one of ${spec.values.join(", ")}`);
+    if (spec.type === "list" && new Set(list).size !== list.length) throw new Error("lists a value twice");
+  }
+  if (spec.pattern && value !== "" && !spec.pattern.test(value)) throw new Error(`invalid format (${value})`);
+  return value;
+}
+
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case "boolean":
+      if (typeof raw === "boolean") return raw;
+      if (/^(true|1|yes)$/i.test(String(raw).trim())) return true;
+      if (/^(false|0|no)$/i.test(String(raw).trim())) return false;
+      throw new Error(`expected true/false (got ${JSON.stringify(raw)})`);
+    case "number":
+    case "integer": {
+      const n = typeof raw === "number" ? raw : (String(raw).trim() === "" ? NaN : Number(raw));
+      if (!Number.isFinite(n)) throw new Error(`expected a number (got ${JSON.stringify(raw)})`);
+      if (spec.type === "integer" && !Number.isInteger(n)) throw new Error(`expected an integer (got ${n})`);
+      return n;
+    }
+    case "list":
+      return (Array.isArray(raw) ? raw : String(raw).split(",")).map(s => String(s).trim().toUpperCase()).filter(Boolean);
+    case "timezone":
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: String(raw) });
+      } catch {
+        throw new Error(`unknown IANA timezone ${JSON.stringify(raw)}`);
+      }
+      return String(raw);
+    default:
+      if (typeof raw !== "string" && typeof raw !== "number") throw new Error(`expected a string (got ${JSON.stringify(raw)})`);
+      return String(raw).trim();
+  }
+}
+
+function loadTradingParams(env) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const warnings = [];
+
+  // Config file (optional unless TRADING_CONFIG_FILE names one)
+  const filePath = env.TRADING_CONFIG_FILE ? path.resolve(env.TRADING_CONFIG_FILE) : path.resolve("trading.config.json");
+  let file = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (!file || typeof file !== "object" || Array.isArray(file)) throw new Error("expected a JSON object");
+    } catch (e) {
+      errors.push(`${filePath}: ${e.message}`);
+      file = {};
+    }
+  } else if (env.TRADING_CONFIG_FILE) {
+    errors.push(`TRADING_CONFIG_FILE ${filePath} does not exist`);
+  }
+  for (const key of Object.keys(file)) {
+    if (key === "assets") continue;
+    if (!TRADING_SCHEMA[key]) errors.push(`${path.basename(filePath)}: unknown parameter "${key}"`);
+    else if (TRADING_SCHEMA[key].secret) errors.push(`${path.basename(filePath)}: ${key} must come from the environment, not a file`);
+  }
+
+  for (const [key, spec] of Object.entries(TRADING_SCHEMA)) {
+    const envName = [spec.env].flat().find(name => env[name] !== undefined && env[name] !== "");
+    const [raw, source] = envName ? [env[envName], `env ${envName}`]
+      : (key in file && !spec.secret) ? [file[key], "file"]
+      : [spec.default, "default"];
+    try {
+      values[key] = validateTradingParam(key, raw);
+      sources[key] = source;
+    } catch (e) {
+      errors.push(`${key} (${source}): ${e.message}`);
+      values[key] = spec.default;
+      sources[key] = "default";
+    }
+  }
+
+  for (const [check, message] of TRADING_CHECKS) {
+    if (!check(values)) errors.push(message);
+  }
+  for (const name of RETIRED_ENV) {
+    if (env[name] !== undefined) warnings.push(`${name} is no longer used and is ignored`);
+  }
+
+  const assets = loadAssetParams(env, file.assets ?? {}, path.basename(filePath), values, errors);
+
+  return { values, sources, errors, warnings, assets, file: Object.keys(file).length > 0 ? filePath : null };
+}
+
+// ASSET_ETH_ARB_MAX_SUM for arbMaxSum, ASSET_ETH_ARB_SIZING for arbSizing (TRADING_ARB_SIZING)
+function assetEnvName(assetName, key) {
+  return `ASSET_${assetName}_${[TRADING_SCHEMA[key].env].flat()[0].replace(/^TRADING_/, "")}`;
+}
+
+// name → { enabled, overrides } for every asset; errors are appended to `errors`
+function loadAssetParams(env, fromFile, fileName, globals, errors) {
+  const names = ASSETS.map(a => a.name);
+  const assets = {};
+
+  if (!fromFile || typeof fromFile !== "object" || Array.isArray(fromFile)) {
+    errors.push(`${fileName}: "assets" must be an object keyed by asset name`);
+    fromFile = {};
+  }
+  for (const name of Object.keys(fromFile)) {
+    if (!names.includes(name)) errors.push(`${fileName}: unknown asset "${name}" (known: ${names.join(", ")})`);
+  }
+  const knownEnv = new Set(names.flatMap(name => [`ASSET_${name}_ENABLED`, ...PER_ASSET_KEYS.map(key => assetEnvName(name, key))]));
+  for (const name of Object.keys(env)) {
+    if (name.startsWith("ASSET_") && !knownEnv.has(name)) errors.push(`${name}: unknown asset or parameter`);
+  }
+
+  for (const name of names) {
+    let entry = fromFile[name] ?? {};
+    if (typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`${fileName}: assets.${name} must be an object`);
+      entry = {};
+    }
+    for (const key of Object.keys(entry)) {
+      if (key !== "enabled" && !TRADING_SCHEMA[key]?.perAsset) errors.push(`${fileName}: assets.${name}.${key} can't be set per asset`);
+    }
+
+    let enabled = true;
+    const enabledEnv = `ASSET_${name}_ENABLED`;
+    const rawEnabled = env[enabledEnv] || entry.enabled;
+    if (rawEnabled !== undefined) {
+      try {
+        enabled = coerce({ type: "boolean" }, rawEnabled);
+      } catch (e) {
+        errors.push(`${name} enabled (${env[enabledEnv] ? `env ${enabledEnv}` : "file"}): ${e.message}`);
+      }
+    }
+
+    const overrides = {};
+    for (const key of PER_ASSET_KEYS) {
+      const envName = assetEnvName(name, key);
+      const [raw, source] = env[envName] ? [env[envName], `env ${envName}`] : [entry[key], "file"];
+      if (raw === undefined) continue;
+      try {
+        overrides[key] = validateTradingParam(key, raw);
+      } catch (e) {
+        errors.push(`${name} ${key} (${source}): ${e.message}`);
+      }
+    }
+
+    // Only report combinations the override broke, not global ones again
+    const merged = { ...globals, ...overrides };
+    for (const [check, message] of TRADING_CHECKS) {
+      if (check(globals) && !check(merged)) errors.push(`${name}: ${message}`);
+    }
+
+    assets[name] = { enabled, overrides };
+  }
+  return assets;
+}
+
+const TRADING = loadTradingParams(process.env);
+for (const asset of ASSETS) Object.assign(asset, TRADING.assets[asset.name]);
+
+// Validation result for the startup report: { errors, warnings, sources, file }
+export const CONFIG_STATUS = {
+  errors: TRADING.errors,
+  warnings: TRADING.warnings,
+  sources: TRADING.sources,
+  file: TRADING.file
+};
+
+// Effective trading parameters grouped as in the schema, secrets masked
+export function configReport() {
+  const groups = {};
+  for (const [key, spec] of Object.entries(TRADING_SCHEMA)) {
+    const value = CONFIG.trading[key];
+    (groups[spec.group] ??= []).push({
+      key,
+      value: spec.secret ? (value ? "(set)" : "(not set)") : value,
+      source: CONFIG_STATUS.sources[key]
+    });
+  }
+  return groups;
+}
+
+// Effective trading config for one asset: its enable flag and every per-asset
+// parameter (the asset's override, else the global value) by parameter name
+export function assetTradingConfig(name) {
+  const asset = CONFIG.assets.find(a => a.name === name);
+  const overrides = asset?.overrides ?? {};
+  return {
+    name,
+    enabled: asset?.enabled ?? true,
+    params: Object.fromEntries(PER_ASSET_KEYS.map(key => [key, overrides[key] ?? CONFIG.trading[key]])),
+    overrides
+  };
+}
+
+// Runtime change set (key → raw value) for the control API, validated like
+// startup values and applied to CONFIG.trading, or to one asset's overrides.
+// Throws listing every problem; nothing is applied unless all of it passes.
+export function updateTradingParams(changes, assetName = null) {
+  const asset = assetName ? CONFIG.assets.find(a => a.name === assetName) : null;
+  if (assetName && !asset) throw new Error(`unknown asset "${assetName}" (known: ${CONFIG.assets.map(a => a.name).join(", ")})`);
+  if (!changes || typeof changes !== "object" || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new Error("expected an object of parameter changes");
+  }
+
+  const errors = [];
+  const values = {};
+  for (const [key, raw] of Object.entries(changes)) {
+    const spec = TRADING_SCHEMA[key];
+    if (!spec) {
+      errors.push(`unknown parameter "${key}"`);
+    } else if (asset ? !spec.perAsset : !(spec.perAsset || spec.runtime)) {
+      errors.push(`${key} can't be changed ${asset ? "per asset" : "at runtime"}`);
+    } else {
+      try {
+        values[key] = validateTradingParam(key, raw);
+      } catch (e) {
+        errors.push(`${key}: ${e.message}`);
+      }
+    }
+  }
+
+  // The new global set, and every affected asset's effective set, must still agree
+  if (errors.length === 0) {
+    const globals = asset ? CONFIG.trading : { ...CONFIG.trading, ...values };
+    for (const [check, message] of TRADING_CHECKS) {
+      if (!check(globals)) {
+        errors.push(message);
+        continue;
+      }
+      for (const a of asset ? [asset] : CONFIG.assets) {
+        if (!check({ ...globals, ...a.overrides, ...(asset ? values : {}) })) errors.push(`${a.name}: ${message}`);
+      }
+    }
+  }
+  if (errors.length > 0) throw new Error(errors.join("; "));
+
+  if (asset) {
+    Object.assign(asset.overrides, values);
+  } else {
+    Object.assign(CONFIG.trading, values);
+    for (const key of Object.keys(values)) CONFIG_STATUS.sources[key] = "runtime";
+  }
+  return values;
+}
+
+// name → { enabled, overrides } for /config
+export function assetReport() {
+  return Object.fromEntries(CONFIG.assets.map(a => [a.name, { enabled: a.enabled, overrides: a.overrides }]));
+}
+
+export function printConfigReport(log = console.log) {
+  log(`[Config] ⚙️ Trading parameters${CONFIG_STATUS.file ? ` (file: ${CONFIG_STATUS.file})` : ""}:`);
+  for (const [group, rows] of Object.entries(configReport())) {
+    const line = rows.map(r => `${r.key}=${Array.isArray(r.value) ? r.value.join(",") : r.value}${r.source === "default" ? "" : "*"}`).join(" ");
+    log(`[Config]   ${group}: ${line}`);
+  }
+  log(`[Config]   (* = set by env or config file)`);
+  for (const asset of CONFIG.assets) {
+    const line = Object.entries(asset.overrides).map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(",") : value}`).join(" ");
+    if (!asset.enabled) log(`[Config]   Asset ${asset.name}: trading disabled${line ? ` (${line})` : ""}`);
+    else if (line) log(`[Config]   Asset ${asset.name}: ${line}`);
+  }
+  for (const w of CONFIG_STATUS.warnings) log(`[Config] ⚠️ ${w}`);
+  for (const e of CONFIG_STATUS.errors) log(`[Config] ✗ ${e}`);
+}
+
 export const CONFIG = {
   symbol: "BTCUSDT",
   binanceBaseUrl: "https://api.binance.com",
@@ -28,13 +442,9 @@ export const CONFIG = {
     downOutcomeLabel: process.env.POLYMARKET_DOWN_LABEL || "Down"
   },
 
-  // Multi-asset 15m markets — scanned in parallel for arb opportunities
-  assets: [
-    { name: "BTC", seriesId: "10192", seriesSlug: "btc-up-or-down-15m", binanceSymbol: "BTCUSDT", chainlinkFeed: "BTC/USD" },
-    { name: "ETH", seriesId: "10191", seriesSlug: "eth-up-or-down-15m", binanceSymbol: "ETHUSDT", chainlinkFeed: "ETH/USD" },
-    { name: "SOL", seriesId: "10423", seriesSlug: "sol-up-or-down-15m", binanceSymbol: "SOLUSDT", chainlinkFeed: "SOL/USD" },
-    { name: "XRP", seriesId: "10422", seriesSlug: "xrp-up-or-down-15m", binanceSymbol: "XRPUSDT", chainlinkFeed: "XRP/USD" }
-  ],
+  // Multi-asset 15m markets; each entry also carries its trading `enabled`
+  // flag and validated parameter `overrides` (see assetTradingConfig)
+  assets: ASSETS,
 
   chainlink: {
     polygonRpcUrls: (process.env.POLYGON_RPC_URLS || "").split(",").map((s) => s.trim()).filter(Boolean),
@@ -44,19 +454,5 @@ export const CONFIG = {
     btcUsdAggregator: process.env.CHAINLINK_BTC_USD_AGGREGATOR || "0xc907E116054Ad103354f2D350FD2514433D57F6f"
   },
 
-  trading: {
-    enabled: (process.env.TRADING_ENABLED || "false").toLowerCase() === "true",
-    privateKey: process.env.PRIVATE_KEY || "",
-    minConfidence: Number(process.env.TRADING_MIN_CONFIDENCE) || 70,  // QUALITY: 70% min + 4/5 consensus + momentum = 80%+ win rate
-    orderSize: Number(process.env.TRADING_ORDER_SIZE) || 5,  // $5 per trade for better profits
-    maxPositionSize: Number(process.env.TRADING_MAX_POSITION_SIZE) || 3,  // ONE trade per market
-    minEdge: Number(process.env.TRADING_MIN_EDGE) || 0.10,  // 10% edge minimum (quality ensured by consensus + momentum)
-    cooldownMs: Number(process.env.TRADING_COOLDOWN_MS) || 900000,  // 15 min cooldown (exactly 1 trade per market window)
-    dryRun: (process.env.TRADING_DRY_RUN || "false").toLowerCase() === "true",
-    maxCapitalRisk: Number(process.env.TRADING_MAX_CAPITAL_RISK) || 0.06,  // Max 6% of capital per trade
-    minRemainingBalance: Number(process.env.TRADING_MIN_BALANCE) || 35,  // Keep $35 reserve minimum
-    maxDailyLoss: Number(process.env.TRADING_MAX_DAILY_LOSS) || 8,  // Stop after $8 daily loss
-    maxTradesPerHour: Number(process.env.TRADING_MAX_TRADES_PER_HOUR) || 4,  // Max 4 trades/hour (one per 15min candle)
-    maxTokenPrice: Number(process.env.TRADING_MAX_TOKEN_PRICE) || 0.55  // Buy under 55¢ for good risk/reward + more opportunities
-  }
+  trading: TRADING.values
 };
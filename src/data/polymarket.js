@@ -165,37 +165,99 @@ export async function fetchOrderBook({ tokenId }) {
   return await res.json();
 }
 
+export async function fetchFeeRate({ tokenId }) {
+  const url = new URL("/fee-rate", CONFIG.clobBaseUrl);
+  url.searchParams.set("token_id", tokenId);
+
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`CLOB fee-rate error: ${res.status} ${await res.text()}`);
+  }
+  const data = await res.json();
+  return toNumber(data.base_fee);
+}
+
+export async function fetchTickSize({ tokenId }) {
+  const url = new URL("/tick-size", CONFIG.clobBaseUrl);
+  url.searchParams.set("token_id", tokenId);
+
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`CLOB tick-size error: ${res.status} ${await res.text()}`);
+  }
+  const data = await res.json();
+  return toNumber(data.minimum_tick_size);
+}
+
+export async function fetchNegRisk({ tokenId }) {
+  const url = new URL("/neg-risk", CONFIG.clobBaseUrl);
+  url.searchParams.set("token_id", tokenId);
+
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`CLOB neg-risk error: ${res.status} ${await res.text()}`);
+  }
+  const data = await res.json();
+  return Boolean(data.neg_risk);
+}
+
+// Normalize raw CLOB levels to numbers, best price first
+// (asks ascending, bids descending) and drop empty levels
+export function normalizeBookLevels(levels, side) {
+  return (Array.isArray(levels) ? levels : [])
+    .map((lvl) => ({ price: toNumber(lvl.price), size: toNumber(lvl.size) }))
+    .filter((lvl) => lvl.price !== null && lvl.size !== null && lvl.size > 0)
+    .sort((a, b) => (side === "bids" ? b.price - a.price : a.price - b.price));
+}
+
 export function summarizeOrderBook(book, depthLevels = 5) {
-  const bids = Array.isArray(book?.bids) ? book.bids : [];
-  const asks = Array.isArray(book?.asks) ? book.asks : [];
-
-  const bestBid = bids.length
-    ? bids.reduce((best, lvl) => {
-        const p = toNumber(lvl.price);
-        if (p === null) return best;
-        if (best === null) return p;
-        return Math.max(best, p);
-      }, null)
-    : null;
-
-  const bestAsk = asks.length
-    ? asks.reduce((best, lvl) => {
-        const p = toNumber(lvl.price);
-        if (p === null) return best;
-        if (best === null) return p;
-        return Math.min(best, p);
-      }, null)
-    : null;
+  const bids = normalizeBookLevels(book?.bids, "bids");
+  const asks = normalizeBookLevels(book?.asks, "asks");
+
+  const bestBid = bids.length ? bids[0].price : null;
+  const bestAsk = asks.length ? asks[0].price : null;
   const spread = bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null;
 
-  const bidLiquidity = bids.slice(0, depthLevels).reduce((acc, x) => acc + (toNumber(x.size) ?? 0), 0);
-  const askLiquidity = asks.slice(0, depthLevels).reduce((acc, x) => acc + (toNumber(x.size) ?? 0), 0);
+  const bidLiquidity = bids.slice(0, depthLevels).reduce((acc, x) => acc + x.size, 0);
+  const askLiquidity = asks.slice(0, depthLevels).reduce((acc, x) => acc + x.size, 0);
 
   return {
     bestBid,
     bestAsk,
     spread,
     bidLiquidity,
-    askLiquidity
+    askLiquidity,
+    bids,
+    asks
+  };
+}
+
+// Walk normalized levels (best first) to fill `size` shares.
+// Returns the volume-weighted fill price, the worst level touched and
+// whether the book had enough depth to fill the whole size.
+export function estimateFill(levels, size) {
+  const fills = [];
+  let remaining = size;
+  let filledSize = 0;
+  let cost = 0;
+  let worstPrice = null;
+
+  for (const lvl of Array.isArray(levels) ? levels : []) {
+    if (remaining <= 1e-9) break;
+    const take = Math.min(remaining, lvl.size);
+    fills.push({ price: lvl.price, size: take });
+    filledSize += take;
+    cost += take * lvl.price;
+    remaining -= take;
+    worstPrice = lvl.price;
+  }
+
+  return {
+    filledSize,
+    cost,
+    avgPrice: filledSize > 0 ? cost / filledSize : null,
+    worstPrice,
+    complete: remaining <= 1e-9,
+    fills
   };
 }
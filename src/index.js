@@ -9,7 +9,7 @@ dotenv.config();
 // Note: HTTP_PROXY/HTTPS_PROXY env vars are automatically used by axios (v4 CLOB client)
 // No manual configuration needed - just set the env vars in Railway
 
-import { CONFIG } from "./config.js";
+import { CONFIG, CONFIG_STATUS, printConfigReport, configReport, assetReport, assetTradingConfig } from "./config.js";
 import { fetchKlines, fetchLastPrice } from "./data/binance.js";
 import { fetchChainlinkBtcUsd } from "./data/chainlink.js";
 import { startChainlinkPriceStream } from "./data/chainlinkWs.js";
@@ -32,11 +32,14 @@ import { scoreDirection, applyTimeAwareness } from "./engines/probability.js";
 import { computeEdge, decide } from "./engines/edge.js";
 import { appendCsvRow, formatNumber, formatPct, getCandleWindowTiming, sleep } from "./utils.js";
 import { startBinanceTradeStream } from "./data/binanceWs.js";
-import { initializeTrading, evaluateAndTrade, getTradingStats, checkResolutions, checkStopLoss, cleanupStalePositions } from "./trading/index.js";
+import { initializeTrading, evaluateAndTrade, getTradingStats, checkResolutions, runExits, runMakerArb, cleanupStalePositions, reconcileStalePositions, reconcileWallet, getLedgerStore, getPnlPeriods, getAnalytics, exportFillLedger, getTradingController, drainTrading, cancelOpenOrders, stopTrading } from "./trading/index.js";
 import fs from "node:fs";
 import path from "node:path";
 import readline from "node:readline";
 import { applyGlobalProxyFromEnv } from "./net/proxy.js";
+import { latency } from "./latency.js";
+import { ShutdownCoordinator } from "./shutdown.js";
+import { tradingEvents, EVENTS, ANY_EVENT } from "./trading/eventBus.js";
 
 function countVwapCrosses(closes, vwapSeries, lookback) {
   if (closes.length < lookback || vwapSeries.length < lookback) return null;
@@ -50,6 +53,13 @@ function countVwapCrosses(closes, vwapSeries, lookback) {
   return crosses;
 }
 
+// Effective settings first; refuse to start on invalid ones
+printConfigReport();
+if (CONFIG_STATUS.errors.length > 0) {
+  console.error(`[Config] ✗ ${CONFIG_STATUS.errors.length} invalid setting(s) — fix the env / config file and restart`);
+  process.exit(1);
+}
+
 applyGlobalProxyFromEnv();
 
 function fmtTimeLeft(mins) {
@@ -118,6 +128,35 @@ function section(title) {
   return `${ANSI.white}${title}${ANSI.reset}`;
 }
 
+// ─── DASHBOARD EVENT FEED ───────────────────────────────────────
+// Last few fills/closes from the trading event bus, newest first
+const DASHBOARD_EVENT_TYPES = new Set([
+  EVENTS.ORDER_FILLED,
+  EVENTS.POSITION_RESOLVED,
+  EVENTS.POSITION_STOPPED_OUT,
+  EVENTS.POSITION_EXITED,
+  EVENTS.POSITION_RESTATED
+]);
+const dashboardEvents = [];
+tradingEvents.subscribe(ANY_EVENT, (event) => {
+  if (!DASHBOARD_EVENT_TYPES.has(event.type)) return;
+  dashboardEvents.unshift(event);
+  if (dashboardEvents.length > 3) dashboardEvents.pop();
+});
+
+function describeEvent(e) {
+  const time = e.at.slice(11, 19);
+  if (e.type === EVENTS.ORDER_FILLED) {
+    const px = e.avgPrice !== null ? ` @ $${e.avgPrice.toFixed(3)}` : "";
+    return `${ANSI.gray}${time}${ANSI.reset} ${e.side} ${e.filledSize}/${e.requestedSize}${px} ${e.status}`;
+  }
+  const p = e.position;
+  const pnl = e.type === EVENTS.POSITION_RESTATED ? e.adjustment.delta : (e.pnl ?? 0);
+  const color = pnl >= 0 ? ANSI.green : ANSI.red;
+  const label = e.type.split(".")[1];
+  return `${ANSI.gray}${time}${ANSI.reset} ${label} [${p.assetName}] ${p.strategy} ${p.outcome} ${color}${pnl >= 0 ? "+" : ""}$${pnl.toFixed(2)}${ANSI.reset}`;
+}
+
 function colorPriceLine({ label, price, prevPrice, decimals = 0, prefix = "" }) {
   if (price === null || price === undefined) {
     return `${label}: ${ANSI.gray}-${ANSI.reset}`;
@@ -351,8 +390,8 @@ async function fetchPolymarketSnapshotForAsset(asset) {
 
   let upBuy = null;
   let downBuy = null;
-  let upBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null };
-  let downBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null };
+  let upBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null, bids: [], asks: [] };
+  let downBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null, bids: [], asks: [] };
 
   try {
     const [yesBuy, noBuy, upBook, downBook] = await Promise.all([
@@ -381,9 +420,11 @@ async function fetchPolymarketSnapshotForAsset(asset) {
 }
 
 async function fetchAllAssetSnapshots() {
+  const stop = latency.start("fetchAllAssetSnapshots");
   const results = await Promise.allSettled(
-    CONFIG.assets.map(asset => fetchPolymarketSnapshotForAsset(asset))
+    CONFIG.assets.map(asset => latency.time("snapshot", () => fetchPolymarketSnapshotForAsset(asset), asset.name))
   );
+  stop();
   return results.map((r, i) => {
     if (r.status === "fulfilled") return r.value;
     return { ok: false, reason: r.reason?.message || "fetch_failed", asset: CONFIG.assets[i].name };
@@ -434,8 +475,8 @@ async function fetchPolymarketSnapshot() {
 
   let upBuy = null;
   let downBuy = null;
-  let upBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null };
-  let downBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null };
+  let upBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null, bids: [], asks: [] };
+  let downBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null, bids: [], asks: [] };
 
   try {
     const [yesBuy, noBuy, upBook, downBook] = await Promise.all([
@@ -536,6 +577,10 @@ const chainlinkPriceBuffer = {
   }
 };
 
+// SIGTERM / SIGINT: steps are registered next to the HTTP server below
+const shutdown = new ShutdownCoordinator({ timeoutMs: CONFIG.trading.shutdownTimeoutMs });
+const openStreams = [];  // Every WS stream main() starts, closed on shutdown
+
 async function main() {
   // Start per-asset Binance WS streams for real-time spot prices
   const assetStreams = new Map(); // assetName → { ws stream }
@@ -547,6 +592,7 @@ async function main() {
   const binanceStream = assetStreams.get("BTC"); // BTC stream for backward compat
   const polymarketLiveStream = startPolymarketChainlinkPriceStream({});
   const chainlinkStream = startChainlinkPriceStream({});
+  openStreams.push(...assetStreams.values(), polymarketLiveStream, chainlinkStream);
 
   let tradingStatus = null;
   try {
@@ -591,7 +637,8 @@ async function main() {
     "recommendation"
   ];
 
-  while (true) {
+  while (!shutdown.stopping) {
+    const stopTick = latency.start("tick");
     const timing = getCandleWindowTiming(CONFIG.candleWindowMinutes);
 
     const wsTick = binanceStream.getLast();
@@ -773,14 +820,7 @@ async function main() {
       const multiAssetResults = []; // Track results from all assets
       if (tradingStatus?.enabled) {
         cleanupStalePositions();
-        
-        // Check for stop-loss triggers (20% loss) using BTC market prices
-        if (poly.ok) {
-          const stopLossAlerts = checkStopLoss({ upPrice: marketUp, downPrice: marketDown });
-          if (stopLossAlerts.length > 0) {
-            console.log(`[WARNING] ${stopLossAlerts.length} position(s) triggering stop-loss!`);
-          }
-        }
+        await reconcileStalePositions();
 
         // BTC indicators (used for BTC directional strategies; arb doesn't need them)
         const btcIndicators = {
@@ -819,15 +859,14 @@ async function main() {
           const assetSpotPrice = assetWsTick?.price ?? null;
 
           // ═══ PER-ASSET RESOLUTION ═══
-          // Resolve positions using THIS asset's spot price, NOT BTC's
-          // This is critical: XRP positions must resolve against XRP price, etc.
+          // Expected outcome uses THIS asset's spot price, NOT BTC's
+          // (XRP positions must be judged against XRP price, etc.);
+          // positions settle from the official market result.
           {
             const existingPtb = assetPriceToBeat.get(snap.asset);
             const resolvePrice = assetSpotPrice;
             const resolvePtb = existingPtb?.slug === assetSlug ? existingPtb?.value : null;
-            if (resolvePrice !== null) {
-              checkResolutions(resolvePrice, resolvePtb, snap.asset);
-            }
+            await checkResolutions(resolvePrice, resolvePtb, snap.asset);
           }
 
           // Per-asset price-to-beat tracking
@@ -856,15 +895,29 @@ async function main() {
             marketSlug: assetSlug,
             marketEndTime: assetEndTime,
             spread: snap.orderbook?.up?.spread ?? null,
+            upBook: snap.orderbook?.up ?? null,
+            downBook: snap.orderbook?.down ?? null,
             priceToBeat: assetPtb,
             spotPrice: assetSpotPrice,
             assetName: snap.asset  // Pass asset name for logging
           };
 
+          // Stop-loss / take-profit / time exits against THIS asset's live bids
+          const exits = await runExits(assetMarketData);
+          if (exits.length > 0) {
+            console.log(`[Exit] ${snap.asset}: ${exits.filter(x => !x.error).length}/${exits.length} exit(s) executed`);
+          }
+
+          // This asset's enable flag and thresholds (global values unless overridden for it)
+          const assetTrading = assetTradingConfig(snap.asset);
+
+          // Maker arb: keep resting bids on both outcomes in line with this asset's books
+          await runMakerArb(assetMarketData, assetTrading);
+
           // BTC gets full TA indicators; other assets get empty (arb + move strategies still work via spotPrice)
           const assetIndicators = isBtc ? btcIndicators : {};
 
-          const result = await evaluateAndTrade(prediction, assetMarketData, isBtc ? currentPrice : assetSpotPrice, assetIndicators, assetPtb);
+          const result = await evaluateAndTrade(prediction, assetMarketData, isBtc ? currentPrice : assetSpotPrice, assetIndicators, assetPtb, assetTrading);
           multiAssetResults.push({ asset: snap.asset, result });
 
           // Use the first successful trade for display, or BTC result as fallback
@@ -1002,6 +1055,8 @@ async function main() {
             tradingLines.push(kv("Open:", `${ANSI.yellow}${stats.pnl.openPositions} awaiting resolution${ANSI.reset}`));
           }
         }
+
+        dashboardEvents.forEach((e, i) => tradingLines.push(kv(i === 0 ? "Events:" : "", describeEvent(e))));
         
         if (tradeResult) {
           if (tradeResult.traded) {
@@ -1046,6 +1101,7 @@ async function main() {
         sepLine(),
         "",
         kv("ET | Session:", `${ANSI.white}${fmtEtTime(new Date())}${ANSI.reset} | ${ANSI.white}${getBtcSession(new Date())}${ANSI.reset}`),
+        kv("Latency:", `${ANSI.dim}${latency.footerLine()}${ANSI.reset}`),
         "",
         sepLine(),
         centerText(`${ANSI.dim}${ANSI.gray}created by @krajekis${ANSI.reset}`, screenWidth())
@@ -1079,6 +1135,7 @@ async function main() {
       }
     }
 
+    stopTick();
     await sleep(CONFIG.pollIntervalMs);
   }
 }
@@ -1089,14 +1146,87 @@ async function main() {
 import { createServer } from "node:http";
 
 const PORT = process.env.PORT || 3000;
-const server = createServer((req, res) => {
+const sseClients = new Set();  // Open /events/stream responses, ended on shutdown
+const SSE_HEARTBEAT_MS = 15000; // Comment line so proxies don't drop a quiet stream
+
+// ?offset=&limit= for paginated endpoints (limit capped at 1000)
+function pageParams(url, defaultLimit) {
+  const offset = Math.max(0, parseInt(url.searchParams.get('offset'), 10) || 0);
+  const rawLimit = parseInt(url.searchParams.get('limit'), 10);
+  const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(rawLimit, 1000) : defaultLimit;
+  return { offset, limit };
+}
+
+// JSON object request body, capped so a client can't stream forever
+function readJsonBody(req, maxBytes = 16_384) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > maxBytes) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        const value = JSON.parse(body);
+        if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error();
+        resolve(value);
+      } catch {
+        reject(Object.assign(new Error('Body must be a JSON object'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Runtime control (src/trading/controller.js): bearer-token auth, POST for actions
+//   GET  /control          status      GET /control/audit?limit=50
+//   POST /control/pause | resume | params | cancel-orders | snapshot
+async function handleControl(req, res, url) {
+  const controller = getTradingController();
+  const action = url.pathname.replace(/^\/control\/?/, '') || null;
+  const actor = { ip: req.socket.remoteAddress };
+  const json = (status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  };
+
+  const denied = controller.authorize(req.headers.authorization, actor, action ?? 'status');
+  if (denied) return json(denied.status, { error: denied.error });
+
+  if (!action && req.method === 'GET') return json(200, controller.status());
+  if (action === 'audit' && req.method === 'GET') {
+    const { limit } = pageParams(url, 50);
+    return json(200, { entries: controller.readAudit(limit) });
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return json(405, { error: `Use POST /control/${action ?? '<action>'}` });
+  }
+
+  try {
+    const body = await readJsonBody(req);
+    const result = await controller.perform(action, body, actor);
+    json(200, { ok: true, action, result });
+  } catch (e) {
+    json(e.status || 500, { ok: false, action, error: e.message });
+  }
+}
+
+const server = createServer(async (req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
   const urlPath = url.pathname;
+  const isControl = urlPath === '/control' || urlPath.startsWith('/control/');
   
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // CORS headers — read-only endpoints only; /control is never exposed to browsers
+  if (!isControl) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  }
   
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -1105,29 +1235,30 @@ const server = createServer((req, res) => {
   }
   
   try {
-    if (urlPath === '/stats') {
+    if (isControl) {
+      await handleControl(req, res, url);
+    }
+    else if (urlPath === '/stats') {
       // Current trading stats
       const stats = getTradingStats();
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(stats, null, 2));
     }
     else if (urlPath === '/history') {
-      // Full trade history from journal.json
-      const journalPath = path.join(process.cwd(), 'logs', 'journal.json');
-      if (fs.existsSync(journalPath)) {
-        const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+      // Trade journal, newest first: ?offset=0&limit=100 (paper ledger in dry-run)
+      const page = getLedgerStore().readJournal(pageParams(url, 100));
+      if (page.total > 0) {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(journal, null, 2));
+        res.end(JSON.stringify(page, null, 2));
       } else {
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'No trade history found' }));
       }
     }
     else if (urlPath === '/pnl') {
-      // P&L state from positionTracker
-      const pnlPath = path.join(process.cwd(), 'logs', 'pnl.json');
-      if (fs.existsSync(pnlPath)) {
-        const pnl = JSON.parse(fs.readFileSync(pnlPath, 'utf8'));
+      // P&L state; closed positions/groups newest first: ?offset=0&limit=100
+      const pnl = getLedgerStore().readState(pageParams(url, 100));
+      if (pnl) {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(pnl, null, 2));
       } else {
@@ -1135,15 +1266,78 @@ const server = createServer((req, res) => {
         res.end(JSON.stringify({ error: 'No P&L data found' }));
       }
     }
+    else if (urlPath === '/pnl/periods') {
+      // Day/week/month P&L rollups: ?period=day|week|month&asset=BTC&strategy=PURE_ARB&limit=30
+      const period = url.searchParams.get('period') || 'day';
+      if (!['day', 'week', 'month'].includes(period)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'period must be day, week or month' }));
+        return;
+      }
+      const periods = getPnlPeriods({
+        period,
+        asset: url.searchParams.get('asset')?.toUpperCase() || null,
+        strategy: url.searchParams.get('strategy')?.toUpperCase() || null,
+        limit: pageParams(url, 30).limit
+      });
+      if (periods) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(periods, null, 2));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No P&L periods found' }));
+      }
+    }
+    else if (urlPath === '/analytics') {
+      // Equity curve, drawdown, Sharpe/Sortino, breakdowns: ?from=2026-10-01&to=2026-10-19&asset=BTC&strategy=PURE_ARB
+      const filters = {
+        from: url.searchParams.get('from'),
+        to: url.searchParams.get('to'),
+        asset: url.searchParams.get('asset')?.toUpperCase() || null,
+        strategy: url.searchParams.get('strategy')?.toUpperCase() || null
+      };
+      const invalid = ['from', 'to'].find(k => filters[k] !== null && !Number.isFinite(Date.parse(filters[k])));
+      if (invalid) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `${invalid} must be a date (YYYY-MM-DD) or ISO timestamp` }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(getAnalytics(filters), null, 2));
+    }
+    else if (urlPath === '/export') {
+      // Fill-level export: ?format=csv|jsonl&from=&to=&asset=&strategy=&type=FILL,REDEMPTION
+      const format = url.searchParams.get('format') || 'csv';
+      const filters = {
+        format,
+        from: url.searchParams.get('from'),
+        to: url.searchParams.get('to'),
+        asset: url.searchParams.get('asset')?.toUpperCase() || null,
+        strategy: url.searchParams.get('strategy')?.toUpperCase() || null,
+        type: url.searchParams.get('type')
+      };
+      const invalid = !['csv', 'jsonl'].includes(format) ? 'format must be csv or jsonl'
+        : ['from', 'to'].filter(k => filters[k] !== null && !Number.isFinite(Date.parse(filters[k]))).map(k => `${k} must be a date (YYYY-MM-DD) or ISO timestamp`)[0];
+      if (invalid) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: invalid }));
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="fills.${format}"`
+      });
+      res.end(exportFillLedger(filters));
+    }
     else if (urlPath === '/csv') {
-      // Download trades.csv
-      const csvPath = path.join(process.cwd(), 'logs', 'trades.csv');
-      if (fs.existsSync(csvPath)) {
+      // Download trades.csv — whole file, or a page of rows with ?offset=&limit=
+      const csv = getLedgerStore().readCsv(pageParams(url, null));
+      if (csv) {
         res.writeHead(200, { 
           'Content-Type': 'text/csv',
           'Content-Disposition': 'attachment; filename="trades.csv"'
         });
-        res.end(fs.readFileSync(csvPath, 'utf8'));
+        res.end([csv.header, ...csv.rows].join('\n') + '\n');
       } else {
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'No CSV file found' }));
@@ -1156,8 +1350,7 @@ const server = createServer((req, res) => {
       res.end(JSON.stringify({
         lastScan: stats?.lastScan || 'No scans yet',
         opportunitiesSeen: stats?.opportunitiesSeen || 0,
-        arbSkipped: stats?.arbSkipped || 0,
-        moveSkipped: stats?.moveSkipped || 0,
+        strategies: stats?.strategies || {},
         todayTrades: stats?.todayTrades || 0,
         enabled: stats?.enabled,
         tradedSlugs: stats?.tradedSlugs || 0,
@@ -1166,6 +1359,56 @@ const server = createServer((req, res) => {
         timestamp: new Date().toISOString()
       }, null, 2));
     }
+    else if (urlPath === '/config') {
+      // Effective trading parameters and where each came from (default / file / env)
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ file: CONFIG_STATUS.file, warnings: CONFIG_STATUS.warnings, parameters: configReport(), assets: assetReport() }, null, 2));
+    }
+    else if (urlPath === '/latency') {
+      // Rolling p50/p95/p99 timings per stage and per asset
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(latency.getStats(), null, 2));
+    }
+    else if (urlPath === '/reconcile') {
+      // Tracker vs exchange: trades, open orders and wallet token balances
+      // ?run=1 forces a fresh check; otherwise the last periodic result is served
+      const result = await reconcileWallet({ fresh: url.searchParams.get('run') === '1' });
+      if (result) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result, null, 2));
+      } else {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Trading not initialized' }));
+      }
+    }
+    else if (urlPath === '/events') {
+      // Recent bus events, oldest first: ?since=<seq>&type=<prefix>&limit=100
+      const since = parseInt(url.searchParams.get('since'), 10) || 0;
+      const { limit } = pageParams(url, 100);
+      const events = tradingEvents.recentEvents({ since, type: url.searchParams.get('type'), limit });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ seq: tradingEvents.seq, events }, null, 2));
+    }
+    else if (urlPath === '/events/stream') {
+      // Server-sent events; reconnects resume from Last-Event-ID
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      const send = (e) => res.write(`id: ${e.seq}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+      const since = parseInt(req.headers['last-event-id'], 10) || 0;
+      if (since > 0) tradingEvents.recentEvents({ since, limit: 200 }).forEach(send);
+      const unsubscribe = tradingEvents.subscribe(ANY_EVENT, send);
+      const heartbeat = setInterval(() => res.write(':\n\n'), SSE_HEARTBEAT_MS);
+      sseClients.add(res);
+      // Client went away, or the response was ended on shutdown
+      res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        sseClients.delete(res);
+      });
+    }
     else if (urlPath === '/' || urlPath === '/health') {
       // Simple health check with links
       const html = `
@@ -1179,8 +1422,15 @@ const server = createServer((req, res) => {
   <li><a href="/stats">📊 Current Stats</a></li>
   <li><a href="/history">📜 Trade History</a></li>
   <li><a href="/pnl">💰 P&L State</a></li>
+  <li><a href="/pnl/periods">📅 P&L by Day</a> · <a href="/pnl/periods?period=week">Week</a> · <a href="/pnl/periods?period=month">Month</a></li>
+  <li><a href="/analytics">📈 Analytics</a></li>
   <li><a href="/csv">📥 Download CSV</a></li>
+  <li><a href="/export">🧮 Fill-level export (CSV)</a> · <a href="/export?format=jsonl">JSONL</a></li>
   <li><a href="/debug">🔍 Debug (live scan)</a></li>
+  <li><a href="/config">⚙️ Config</a></li>
+  <li><a href="/latency">⏱ Latency</a></li>
+  <li><a href="/reconcile">🧾 Reconcile (tracker vs wallet)</a></li>
+  <li><a href="/events">📣 Events</a></li>
 </ul>
 <p>Last updated: ${new Date().toISOString()}</p>
 </body>
@@ -1203,7 +1453,40 @@ server.listen(PORT, () => {
   console.log(`[API] 📊 Stats: http://localhost:${PORT}/stats`);
   console.log(`[API] 📜 History: http://localhost:${PORT}/history`);
   console.log(`[API] 💰 P&L: http://localhost:${PORT}/pnl`);
+  console.log(`[API] 📅 Periods: http://localhost:${PORT}/pnl/periods`);
+  console.log(`[API] 📈 Analytics: http://localhost:${PORT}/analytics`);
   console.log(`[API] 📥 CSV: http://localhost:${PORT}/csv`);
+  console.log(`[API] 🧮 Export: http://localhost:${PORT}/export?format=csv|jsonl`);
+  console.log(`[API] ⚙️ Config: http://localhost:${PORT}/config`);
+  console.log(`[API] ⏱ Latency: http://localhost:${PORT}/latency`);
+  console.log(`[API] 🧾 Reconcile: http://localhost:${PORT}/reconcile`);
+  console.log(`[API] 📣 Events: http://localhost:${PORT}/events (stream: /events/stream)`);
+  console.log(`[API] 🎛️ Control: http://localhost:${PORT}/control ${CONFIG.trading.controlToken ? '(token required)' : '(disabled — set CONTROL_API_TOKEN)'}`);
 });
 
+// ═══════════════════════════════════════════════════════════════
+// GRACEFUL SHUTDOWN — stop trading first, disconnect last
+// ═══════════════════════════════════════════════════════════════
+shutdown
+  .step("stop new trades", async () => {
+    const pending = await drainTrading();
+    return pending > 0 ? `waited for ${pending} in-flight trade call(s)` : null;
+  })
+  .step("cancel open orders", async () => {
+    if (!CONFIG.trading.shutdownCancelOrders) return "skipped (SHUTDOWN_CANCEL_ORDERS=false)";
+    const canceled = await cancelOpenOrders();
+    return canceled === null ? "trading not running" : `${canceled} cancelled`;
+  })
+  .step("flush state", () => stopTrading() ? "tracker state saved" : "trading not running")
+  .step("close streams", () => {
+    for (const stream of openStreams) stream.close();
+    return `${openStreams.length} WebSocket stream(s) closed`;
+  })
+  .step("close HTTP server", () => new Promise((resolve) => {
+    for (const res of sseClients) res.end();
+    server.close(() => resolve(null));
+    server.closeIdleConnections();
+  }))
+  .install();
+
 main();
@@ -0,0 +1,129 @@
+// ═══════════════════════════════════════════════════════════════
+// LATENCY — rolling timing histograms per stage and per asset
+//
+// Stages recorded:
+//   tick                    one full main-loop iteration
+//   fetchAllAssetSnapshots  all Polymarket asset snapshots (parallel)
+//   snapshot                one asset's snapshot (per asset)
+//   signalToSign            shouldTrade signal → order signing starts
+//   sign                    createOrder (EIP-712 signature)
+//   post                    postOrder round trip (incl. retries)
+//   signalToAck             shouldTrade signal → CLOB acknowledgement
+// Each histogram keeps the last WINDOW samples; percentiles are
+// computed on read so recording stays O(1) on the hot path.
+// ═══════════════════════════════════════════════════════════════
+
+const WINDOW = 500;
+
+// High-resolution monotonic clock in milliseconds
+export function nowMs() {
+  return Number(process.hrtime.bigint()) / 1e6;
+}
+
+class RollingHistogram {
+  constructor(size = WINDOW) {
+    this.size = size;
+    this.samples = new Array(size);
+    this.next = 0;
+    this.count = 0;     // Samples currently in the window
+    this.total = 0;     // Samples ever recorded
+    this.last = null;
+  }
+
+  record(ms) {
+    this.samples[this.next] = ms;
+    this.next = (this.next + 1) % this.size;
+    this.count = Math.min(this.count + 1, this.size);
+    this.total++;
+    this.last = ms;
+  }
+
+  summary() {
+    if (this.count === 0) return { count: 0, total: 0, last: null, p50: null, p95: null, p99: null, max: null };
+    const sorted = this.samples.slice(0, this.count).sort((a, b) => a - b);
+    const pct = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+    const round = (x) => Math.round(x * 100) / 100;
+    return {
+      count: this.count,
+      total: this.total,
+      last: round(this.last),
+      p50: round(pct(0.50)),
+      p95: round(pct(0.95)),
+      p99: round(pct(0.99)),
+      max: round(sorted[sorted.length - 1])
+    };
+  }
+}
+
+export class LatencyRecorder {
+  constructor(windowSize = WINDOW) {
+    this.windowSize = windowSize;
+    this.stages = new Map();   // stage → histogram
+    this.assets = new Map();   // asset → Map(stage → histogram)
+    this.startedAt = Date.now();
+  }
+
+  _histogram(map, stage) {
+    let h = map.get(stage);
+    if (!h) {
+      h = new RollingHistogram(this.windowSize);
+      map.set(stage, h);
+    }
+    return h;
+  }
+
+  record(stage, ms, asset = null) {
+    if (!Number.isFinite(ms) || ms < 0) return;
+    this._histogram(this.stages, stage).record(ms);
+    if (asset) {
+      if (!this.assets.has(asset)) this.assets.set(asset, new Map());
+      this._histogram(this.assets.get(asset), stage).record(ms);
+    }
+  }
+
+  // Returns a stop function that records the elapsed time and returns it
+  start(stage, asset = null) {
+    const t0 = nowMs();
+    return () => {
+      const ms = nowMs() - t0;
+      this.record(stage, ms, asset);
+      return ms;
+    };
+  }
+
+  // Time an async function; failures are timed too
+  async time(stage, fn, asset = null) {
+    const stop = this.start(stage, asset);
+    try {
+      return await fn();
+    } finally {
+      stop();
+    }
+  }
+
+  getStats() {
+    const summarize = (map) => Object.fromEntries([...map].map(([stage, h]) => [stage, h.summary()]));
+    return {
+      unit: "ms",
+      window: this.windowSize,
+      since: new Date(this.startedAt).toISOString(),
+      stages: summarize(this.stages),
+      assets: Object.fromEntries([...this.assets].map(([asset, map]) => [asset, summarize(map)]))
+    };
+  }
+
+  // Compact one-line summary for the dashboard footer
+  footerLine(stages = ["tick", "fetchAllAssetSnapshots", "signalToAck"]) {
+    const labels = { tick: "tick", fetchAllAssetSnapshots: "snap", signalToAck: "sig→ack" };
+    const parts = stages.map(stage => {
+      const h = this.stages.get(stage);
+      if (!h || h.count === 0) return null;
+      const s = h.summary();
+      return `${labels[stage] || stage} ${s.p50.toFixed(0)}/${s.p95.toFixed(0)}/${s.p99.toFixed(0)}`;
+    }).filter(Boolean);
+    return parts.length > 0 ? `${parts.join(" | ")} ms (p50/p95/p99)` : "collecting…";
+  }
+}
+
+// Process-wide recorder shared by the main loop, trading service and HTTP API
+export const latency = new LatencyRecorder();
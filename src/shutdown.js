@@ -0,0 +1,81 @@
+// ═══════════════════════════════════════════════════════════════
+// SHUTDOWN — ordered, deadline-bound exit on SIGTERM / SIGINT
+//
+// Railway sends SIGTERM on every redeploy. Steps registered with
+// step(name, fn) run once, in registration order, sharing one
+// deadline (SHUTDOWN_TIMEOUT_MS). A step that throws or runs out of
+// time is logged and the next one still runs, so the final steps
+// (state flush, HTTP close) always get their turn; synchronous work
+// completes even after the deadline. A second signal exits at once.
+// Exit code is 0 when every step finished cleanly, 1 otherwise.
+// ═══════════════════════════════════════════════════════════════
+
+export class ShutdownCoordinator {
+  constructor(config = {}) {
+    this.TIMEOUT_MS = config.timeoutMs ?? 25000;
+    this.exit = config.exit ?? ((code) => process.exit(code));
+
+    this.steps = [];
+    this.stopping = false;     // Loops check this before starting new work
+    this.signal = null;
+    this.done = null;          // Promise of the running shutdown
+  }
+
+  step(name, fn) {
+    this.steps.push({ name, fn });
+    return this;
+  }
+
+  install(signals = ["SIGTERM", "SIGINT"]) {
+    for (const signal of signals) {
+      process.on(signal, () => {
+        if (this.stopping) {
+          console.log(`[Shutdown] ⚠️ ${signal} again — exiting now`);
+          this.exit(1);
+          return;
+        }
+        this.shutdown(signal);
+      });
+    }
+    return this;
+  }
+
+  async shutdown(signal = "shutdown") {
+    if (this.done) return await this.done;
+    this.stopping = true;
+    this.signal = signal;
+    this.done = this._run();
+    return await this.done;
+  }
+
+  async _run() {
+    const startedAt = Date.now();
+    const deadline = startedAt + this.TIMEOUT_MS;
+    console.log(`\n[Shutdown] 🛑 ${this.signal} — stopping (deadline ${(this.TIMEOUT_MS / 1000).toFixed(0)}s)`);
+
+    let clean = true;
+    for (const { name, fn } of this.steps) {
+      const stepStart = Date.now();
+      try {
+        const detail = await withDeadline(fn(deadline), deadline - Date.now());
+        console.log(`[Shutdown] ✓ ${name}${detail ? `: ${detail}` : ""} (${Date.now() - stepStart}ms)`);
+      } catch (e) {
+        clean = false;
+        console.log(`[Shutdown] ✗ ${name}: ${e.message}`);
+      }
+    }
+
+    console.log(`[Shutdown] ${clean ? "✅ Done" : "⚠️ Done with errors"} in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    this.exit(clean ? 0 : 1);
+    return clean;
+  }
+}
+
+// Resolve with the step's result, or reject once the shared deadline passes
+function withDeadline(value, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("timed out")), Math.max(0, ms));
+  });
+  return Promise.race([Promise.resolve(value), timeout]).finally(() => clearTimeout(timer));
+}
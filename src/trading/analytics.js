@@ -0,0 +1,211 @@
+// ═══════════════════════════════════════════════════════════════
+// ANALYTICS — performance and risk metrics from the trade journal
+//
+// Input: journal entries (one per closed trade, plus ADJUSTMENT rows
+// from stale restatements, which move P&L but are not trades).
+//   • equity curve: cumulative realized P&L in close order
+//   • max drawdown ($ from the running peak) and how long it lasted
+//   • Sharpe / Sortino on per-window returns: each 15m market window's
+//     P&L ÷ capital deployed in it; annualized by √(windows per year)
+//   • profit factor (gross wins ÷ gross losses) and expectancy ($/trade)
+//   • breakdowns by asset, strategy, entry price tier, minute of window
+// ═══════════════════════════════════════════════════════════════
+
+const WINDOWS_PER_YEAR = 365 * 24 * 4;   // 15-minute markets
+const MAX_CURVE_POINTS = 500;            // Equity curve is downsampled beyond this
+
+// Entry price buckets, shared with the tracker's rolling console analysis
+export function priceTier(price) {
+  const p = price || 0;
+  return p < 0.30 ? "cheap" : p < 0.40 ? "mid" : "expensive";
+}
+
+// filters: { from, to, asset, strategy } — from/to are ISO timestamps, or
+// YYYY-MM-DD trading days (inclusive) when a calendar is given
+export function computeAnalytics(entries, { from = null, to = null, asset = null, strategy = null, calendar = null, windowMinutes = 15 } = {}) {
+  const inRange = rangeFilter(from, to, calendar);
+  const rows = entries
+    .filter(e => e && e.timestamp && inRange(Date.parse(e.timestamp)))
+    .filter(e => (!asset || e.asset === asset) && (!strategy || e.strategy === strategy))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  const trades = rows.filter(e => !e.adjustment);
+  const adjustments = rows.filter(e => e.adjustment);
+
+  return {
+    filters: { from, to, asset, strategy },
+    period: {
+      first: rows[0]?.timestamp ?? null,
+      last: rows[rows.length - 1]?.timestamp ?? null
+    },
+    summary: summarize(trades, adjustments),
+    equity: equityCurve(rows),
+    risk: riskRatios(trades, windowMinutes),
+    breakdowns: {
+      asset: breakdown(trades, e => e.asset || "UNKNOWN"),
+      strategy: breakdown(trades, e => e.strategy || "UNKNOWN"),
+      priceTier: breakdown(trades, e => priceTier(e.entryPrice)),
+      minuteOfWindow: breakdown(trades, e => minuteOfWindow(e, windowMinutes))
+    }
+  };
+}
+
+// ts → in [from, to]; shared with the fill export
+export function rangeFilter(from, to, calendar = null) {
+  const isDay = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const lower = from === null ? () => true
+    : isDay(from) && calendar ? (ts) => calendar.dayKey(ts) >= from
+    : (ts) => ts >= Date.parse(from);
+  const upper = to === null ? () => true
+    : isDay(to) && calendar ? (ts) => calendar.dayKey(ts) <= to
+    : isDay(to) ? (ts) => ts < Date.parse(to) + 86400_000
+    : (ts) => ts <= Date.parse(to);
+  return (ts) => Number.isFinite(ts) && lower(ts) && upper(ts);
+}
+
+function summarize(trades, adjustments) {
+  const wins = trades.filter(e => e.won);
+  const losses = trades.filter(e => !e.won);
+  const grossWin = wins.reduce((s, e) => s + Math.max(0, e.pnl || 0), 0);
+  const grossLoss = trades.reduce((s, e) => s + Math.min(0, e.pnl || 0), 0);
+  const tradePnl = trades.reduce((s, e) => s + (e.pnl || 0), 0);
+  const adjustmentPnl = adjustments.reduce((s, e) => s + (e.pnl || 0), 0);
+  const avgWin = wins.length > 0 ? wins.reduce((s, e) => s + (e.pnl || 0), 0) / wins.length : 0;
+  const avgLoss = losses.length > 0 ? losses.reduce((s, e) => s + (e.pnl || 0), 0) / losses.length : 0;
+  const winRate = trades.length > 0 ? wins.length / trades.length : null;
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: winRate === null ? null : round(winRate * 100),
+    pnl: round(tradePnl + adjustmentPnl),
+    adjustments: { count: adjustments.length, pnl: round(adjustmentPnl) },
+    fees: round(trades.reduce((s, e) => s + (e.fees || 0), 0)),
+    cost: round(trades.reduce((s, e) => s + (e.cost || 0), 0)),
+    profitFactor: grossLoss < 0 ? round(grossWin / -grossLoss) : (grossWin > 0 ? null : 0),  // null = no losing trades
+    avgWin: round(avgWin),
+    avgLoss: round(avgLoss),
+    expectancy: trades.length > 0 ? round(tradePnl / trades.length) : null
+  };
+}
+
+// Cumulative P&L per journal row, with the worst peak-to-trough drop
+function equityCurve(rows) {
+  let equity = 0;
+  let peak = 0;
+  let peakAt = rows[0]?.timestamp ?? null;
+  let maxDd = { amount: 0, peakAt: null, troughAt: null, recoveredAt: null, durationMs: 0, trades: 0 };
+  let current = null;   // Drawdown in progress
+  const points = [];
+
+  rows.forEach((e, i) => {
+    equity += e.pnl || 0;
+    points.push({ at: e.timestamp, equity: round(equity) });
+
+    if (equity >= peak) {
+      if (current) {
+        current.recoveredAt = e.timestamp;
+        current.durationMs = Date.parse(e.timestamp) - Date.parse(current.peakAt);
+        if (current.amount > maxDd.amount) maxDd = current;
+        current = null;
+      }
+      peak = equity;
+      peakAt = e.timestamp;
+      return;
+    }
+
+    current ??= { amount: 0, peakAt, troughAt: null, recoveredAt: null, durationMs: 0, trades: 0, startIndex: i };
+    current.trades = i - current.startIndex + 1;
+    if (peak - equity > current.amount) {
+      current.amount = peak - equity;
+      current.troughAt = e.timestamp;
+    }
+  });
+
+  // Still under water at the end of the range
+  if (current) {
+    current.durationMs = Date.now() - Date.parse(current.peakAt);
+    if (current.amount > maxDd.amount) maxDd = current;
+  }
+  const { startIndex, ...drawdown } = maxDd;
+
+  return {
+    final: round(equity),
+    peak: round(peak),
+    maxDrawdown: { ...drawdown, amount: round(drawdown.amount), ongoing: Boolean(current && current === maxDd) },
+    currentDrawdown: current ? round(peak - equity) : 0,
+    points: downsample(points)
+  };
+}
+
+// Per-market-window returns → Sharpe / Sortino
+function riskRatios(trades, windowMinutes) {
+  const byWindow = new Map();
+  for (const e of trades) {
+    const key = e.market || e.timestamp;
+    const w = byWindow.get(key) || { pnl: 0, cost: 0 };
+    w.pnl += e.pnl || 0;
+    w.cost += e.cost || 0;
+    byWindow.set(key, w);
+  }
+  const returns = [...byWindow.values()].filter(w => w.cost > 0).map(w => w.pnl / w.cost);
+  const n = returns.length;
+  if (n < 2) return { windows: n, meanReturn: n === 1 ? round4(returns[0]) : null, stdev: null, sharpe: null, sortino: null, annualizationFactor: null };
+
+  const mean = returns.reduce((s, r) => s + r, 0) / n;
+  const stdev = Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (n - 1));
+  const downside = Math.sqrt(returns.reduce((s, r) => s + Math.min(0, r) ** 2, 0) / n);
+  const annualize = Math.sqrt(WINDOWS_PER_YEAR * 15 / windowMinutes);
+
+  return {
+    windows: n,
+    meanReturn: round4(mean),
+    stdev: round4(stdev),
+    downsideDeviation: round4(downside),
+    sharpe: stdev > 0 ? round4(mean / stdev) : null,
+    sortino: downside > 0 ? round4(mean / downside) : null,
+    annualizationFactor: round(annualize),
+    sharpeAnnualized: stdev > 0 ? round(mean / stdev * annualize) : null,
+    sortinoAnnualized: downside > 0 ? round(mean / downside * annualize) : null
+  };
+}
+
+function breakdown(trades, keyOf) {
+  const groups = {};
+  for (const e of trades) {
+    const key = String(keyOf(e));
+    (groups[key] ??= []).push(e);
+  }
+  return Object.fromEntries(Object.entries(groups)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([key, list]) => {
+      const { trades: count, wins, losses, winRate, pnl, fees, profitFactor, expectancy } = summarize(list, []);
+      return [key, { trades: count, wins, losses, winRate, pnl, fees, profitFactor, expectancy }];
+    }));
+}
+
+// Minute (0-based) of the market window the position was opened in
+function minuteOfWindow(e, windowMinutes) {
+  if (!e.openedAt || !e.marketEndTime) return "unknown";
+  const start = Number(e.marketEndTime) - windowMinutes * 60_000;
+  const minute = Math.floor((Date.parse(e.openedAt) - start) / 60_000);
+  return minute >= 0 && minute < windowMinutes ? minute : "unknown";
+}
+
+function downsample(points) {
+  if (points.length <= MAX_CURVE_POINTS) return points;
+  const step = points.length / MAX_CURVE_POINTS;
+  const out = [];
+  for (let i = 0; i < MAX_CURVE_POINTS - 1; i++) out.push(points[Math.floor(i * step)]);
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
@@ -0,0 +1,192 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { CONFIG, updateTradingParams } from "../config.js";
+import { tradingEvents, EVENTS } from "./eventBus.js";
+
+// ═══════════════════════════════════════════════════════════════
+// TRADING CONTROLLER — runtime control behind the /control API
+//
+// Actions (POST /control/<action>, JSON body):
+//   pause / resume   everything, or { asset } / { strategy }
+//   params           { params: { key: value }, asset? } — validated by
+//                    updateTradingParams; perAsset and runtime keys only
+//   cancel-orders    pull maker quotes, then cancelAllOrders on the exchange
+//   snapshot         write tracker state to state.json now
+// Callers authenticate with `Authorization: Bearer <CONTROL_API_TOKEN>`;
+// without a token configured the API is off. Every call — including
+// refused ones — is appended to logs/control-audit.jsonl and published
+// as control.action. Runtime changes are not persisted across restarts.
+// ═══════════════════════════════════════════════════════════════
+
+const AUDIT_RECENT = 50;
+
+const ACTIONS = {
+  pause: (c, body) => c.setPaused(body, true),
+  resume: (c, body) => c.setPaused(body, false),
+  params: (c, body) => c.setParams(body),
+  "cancel-orders": (c) => c.cancelAllOrders(),
+  snapshot: (c) => c.snapshot()
+};
+
+// Error carrying the HTTP status the API should answer with
+function controlError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Fixed-length digests so the comparison time doesn't depend on the input
+function sameToken(a, b) {
+  const digest = (s) => createHash("sha256").update(String(s)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+export class TradingController {
+  constructor(config = {}) {
+    this.TOKEN = config.token || "";
+    this.AUDIT_FILE = config.auditFile ?? path.join(process.cwd(), "logs", "control-audit.jsonl");
+
+    this.engine = null;
+    this.tradingService = null;
+    this.actions = 0;
+    this.refused = 0;
+    this.recent = [];          // Last AUDIT_RECENT audit entries
+  }
+
+  // Trading came up — actions can reach the engine and the exchange
+  attach(engine, tradingService) {
+    this.engine = engine;
+    this.tradingService = tradingService;
+  }
+
+  // null when the Authorization header carries the token, else { status, error }
+  authorize(header, actor = {}, action = null) {
+    const problem = !this.TOKEN
+      ? { status: 403, error: "Control API disabled (set CONTROL_API_TOKEN)" }
+      : !header?.startsWith("Bearer ") || !sameToken(header.slice(7).trim(), this.TOKEN)
+        ? { status: 401, error: "Unauthorized" }
+        : null;
+    if (problem && this.TOKEN) {
+      this.refused++;
+      this._audit({ action, actor, ok: false, error: problem.error });
+    }
+    return problem;
+  }
+
+  // Run one action and audit it, whether it succeeds or not
+  async perform(action, body = {}, actor = {}) {
+    const handler = ACTIONS[action];
+    const { reason = null, ...request } = body;
+    try {
+      if (!handler) throw controlError(404, `Unknown control action "${action}" (known: ${Object.keys(ACTIONS).join(", ")})`);
+      if (!this.engine) throw controlError(503, "Trading not initialized");
+      const result = await handler(this, request);
+      this.actions++;
+      this._audit({ action, actor, reason, request, ok: true, result });
+      return result;
+    } catch (e) {
+      this._audit({ action, actor, reason, request, ok: false, error: e.message });
+      throw e.status ? e : controlError(500, e.message);
+    }
+  }
+
+  // ─── ACTIONS ─────────────────────────────────────────────────
+  // { } = all trading, { asset: "ETH" } or { strategy: "CONFIRMED_MOVE" }
+  setPaused({ asset = null, strategy = null } = {}, paused) {
+    if (asset && strategy) throw controlError(400, "Give an asset or a strategy, not both");
+
+    if (asset) {
+      const entry = CONFIG.assets.find(a => a.name === String(asset).toUpperCase());
+      if (!entry) throw controlError(400, `Unknown asset "${asset}" (known: ${CONFIG.assets.map(a => a.name).join(", ")})`);
+      entry.enabled = !paused;
+    } else if (strategy) {
+      try {
+        this.engine.strategies.setPaused(String(strategy).toUpperCase(), paused);
+      } catch (e) {
+        throw controlError(400, e.message);
+      }
+    } else if (paused) {
+      this.engine.disableTrading();   // Maker quotes are pulled on the next loop
+    } else {
+      this.engine.enableTrading();
+    }
+
+    const scope = asset ? `asset ${String(asset).toUpperCase()}` : strategy ? `strategy ${String(strategy).toUpperCase()}` : "all trading";
+    console.log(`[Control] ${paused ? "⏸️ Paused" : "▶️ Resumed"} ${scope}`);
+    return this.status();
+  }
+
+  setParams({ params, asset = null } = {}) {
+    const assetName = asset ? String(asset).toUpperCase() : null;
+    let applied;
+    try {
+      applied = updateTradingParams(params, assetName);
+    } catch (e) {
+      throw controlError(400, e.message);
+    }
+    // Asset overrides are read per scan (assetTradingConfig); global values also live on the engine
+    if (!assetName) this.engine.updateConfig(applied);
+    console.log(`[Control] ⚙️ ${assetName ? `${assetName} ` : ""}${Object.entries(applied).map(([k, v]) => `${k}=${v}`).join(" ")}`);
+    return { asset: assetName, applied };
+  }
+
+  async cancelAllOrders() {
+    await this.engine.makerArb.cancelAll("control API");
+    const result = await this.tradingService.cancelAllOrders();
+    const canceled = result?.canceled || [];
+    console.log(`[Control] 🧹 Cancelled ${canceled.length} open order(s)`);
+    return { canceled, notCanceled: result?.not_canceled ?? {} };
+  }
+
+  snapshot() {
+    const tracker = this.engine.positionTracker;
+    const errorsBefore = tracker.store.errors;
+    tracker.flush();
+    const store = tracker.store.getStats();
+    if (store.errors > errorsBefore) throw controlError(500, `Snapshot failed: ${store.lastError?.message}`);
+    console.log(`[Control] 💾 State snapshot written to ${store.dir} (seq ${store.seq})`);
+    return { dir: store.dir, seq: store.seq, openPositions: tracker.openPositions.length, closedPositions: tracker.closedPositions.length };
+  }
+
+  // ─── STATE ───────────────────────────────────────────────────
+  status() {
+    return {
+      initialized: Boolean(this.engine),
+      trading: this.engine ? (this.engine.config.enabled ? "running" : "paused") : "not initialized",
+      assets: Object.fromEntries(CONFIG.assets.map(a => [a.name, a.enabled ? "enabled" : "paused"])),
+      strategies: this.engine
+        ? Object.fromEntries([...this.engine.strategies.strategies.values()].map(s => [s.name, { enabled: s.enabled, paused: s.paused, priority: s.priority }]))
+        : null,
+      actions: this.actions,
+      refused: this.refused
+    };
+  }
+
+  // Audit entries, newest first, from the audit file (this process's if it can't be read)
+  readAudit(limit = AUDIT_RECENT) {
+    try {
+      const lines = fs.readFileSync(this.AUDIT_FILE, "utf8").trim().split("\n").filter(Boolean);
+      return lines.slice(-limit).reverse().flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    } catch {
+      return this.recent.slice(-limit).reverse();
+    }
+  }
+
+  _audit({ action, actor, reason = null, request = null, ok, result = null, error = null }) {
+    const entry = { at: new Date().toISOString(), action, actor: actor.ip ?? null, reason, request, ok, result, error };
+    this.recent.push(entry);
+    if (this.recent.length > AUDIT_RECENT) this.recent.shift();
+    try {
+      fs.mkdirSync(path.dirname(this.AUDIT_FILE), { recursive: true });
+      fs.appendFileSync(this.AUDIT_FILE, JSON.stringify(entry) + "\n", "utf8");
+    } catch (e) {
+      console.error(`[Control] ✗ audit write failed: ${e.message}`);
+    }
+    tradingEvents.publish(EVENTS.CONTROL_ACTION, { action, actor: entry.actor, ok, error });
+  }
+}
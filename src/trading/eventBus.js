@@ -0,0 +1,91 @@
+import { EventEmitter } from "node:events";
+
+// ═══════════════════════════════════════════════════════════════
+// EVENT BUS — order and position lifecycle events
+//
+// Publishers:
+//   trading services   order.placed, order.cancelled
+//   OrderManager       order.filled (final matched size and avg price)
+//   PositionTracker    position.opened, position.resolved,
+//                      position.stoppedOut, position.exited,
+//                      position.restated, position.redeemed
+//   TradingController  control.action (every control API call)
+// Subscribers: TradingEngine (daily P&L / loss-streak guardrails),
+// PnlPeriods, FillLedger, the terminal dashboard and the HTTP server
+// (/events, /events/stream).
+//
+// Every event is { seq, type, at, ...payload }. A throwing subscriber
+// is logged and never breaks the publisher; the last RECENT_MAX events
+// are kept for late subscribers.
+// ═══════════════════════════════════════════════════════════════
+
+export const EVENTS = {
+  ORDER_PLACED: "order.placed",
+  ORDER_FILLED: "order.filled",
+  ORDER_CANCELLED: "order.cancelled",
+  POSITION_OPENED: "position.opened",
+  POSITION_RESOLVED: "position.resolved",      // Market settled (incl. stale write-offs)
+  POSITION_STOPPED_OUT: "position.stoppedOut", // Stop-loss sell
+  POSITION_EXITED: "position.exited",          // Take-profit / time exit / unwind
+  POSITION_RESTATED: "position.restated",      // Stale write-off corrected later
+  POSITION_REDEEMED: "position.redeemed",      // On-chain redemption recorded
+  CONTROL_ACTION: "control.action"             // Runtime control API call (audited)
+};
+
+// Every event is also emitted under this name
+export const ANY_EVENT = "*";
+
+const RECENT_MAX = 200;
+
+export class TradingEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);   // Engine + dashboard + one per open SSE client
+    this.seq = 0;
+    this.recent = [];
+    this.counts = {};
+    this.listenerErrors = 0;
+  }
+
+  publish(type, payload = {}) {
+    const event = { seq: ++this.seq, type, at: new Date().toISOString(), ...payload };
+    this.recent.push(event);
+    if (this.recent.length > RECENT_MAX) this.recent.shift();
+    this.counts[type] = (this.counts[type] || 0) + 1;
+
+    for (const name of [type, ANY_EVENT]) {
+      for (const listener of this.listeners(name)) {
+        try {
+          listener(event);
+        } catch (e) {
+          this.listenerErrors++;
+          console.error(`[Events] ✗ ${type} subscriber failed: ${e.message}`);
+        }
+      }
+    }
+    return event;
+  }
+
+  // Subscribe; returns an unsubscribe function
+  subscribe(type, listener) {
+    this.on(type, listener);
+    return () => this.off(type, listener);
+  }
+
+  // Recent events after `since` (seq), oldest first, optionally filtered by type prefix
+  recentEvents({ since = 0, type = null, limit = 100 } = {}) {
+    const matches = this.recent.filter(e => e.seq > since && (!type || e.type.startsWith(type)));
+    return matches.slice(-limit);
+  }
+
+  getStats() {
+    return {
+      seq: this.seq,
+      counts: this.counts,
+      listenerErrors: this.listenerErrors
+    };
+  }
+}
+
+// Process-wide bus shared by the trading modules, dashboard and HTTP server
+export const tradingEvents = new TradingEventBus();
@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════
+// EXIT ENGINE — sell held shares before resolution
+//
+// Runs once per asset per loop with that asset's live books and acts on:
+//   ① STOP-LOSS:   bid value down ≥ STOP_LOSS_PCT from cost
+//   ② TAKE-PROFIT: bid value up ≥ TAKE_PROFIT_PCT over cost
+//   ③ TIME EXIT:   within EXIT_BEFORE_END_SEC of market end
+// Exits sell into the live bid and are booked as realized P&L.
+// Arb legs (taker and maker) are hedged as a pair, so they are never exited one at a time.
+// ═══════════════════════════════════════════════════════════════
+
+export class ExitEngine {
+  constructor(tradingService, orderManager, positionTracker, config = {}) {
+    this.tradingService = tradingService;
+    this.orderManager = orderManager;
+    this.positionTracker = positionTracker;
+    this.feeModel = config.feeModel || null;
+
+    this.STOP_LOSS_PCT = config.stopLossPct ?? 0.20;       // 0 disables
+    this.TAKE_PROFIT_PCT = config.takeProfitPct ?? 0;      // 0 disables
+    this.EXIT_BEFORE_END_SEC = config.exitBeforeEndSec ?? 0; // 0 disables
+    this.PRICE_BUFFER = config.priceBuffer ?? 0.003;       // Cross the spread slightly, like entries
+    this.RETRY_AFTER_MS = config.retryAfterMs ?? 10000;    // Back off after a failed sell
+
+    this.exiting = new Set();    // orderIds of positions with a sell in flight
+    this.failedAt = new Map();   // orderId → last failed sell attempt
+    this.skippedDust = new Set();
+    this.counts = { stopLoss: 0, takeProfit: 0, time: 0, failed: 0 };
+    this.recent = [];
+  }
+
+  // Which rule (if any) a position trips at the current bid
+  _exitReason(pos, bid, marketEndTime, now) {
+    const held = this.positionTracker.heldSize(pos);
+    const value = bid * held + (pos.proceeds || 0);
+    const changePct = pos.cost > 0 ? (value - pos.cost) / pos.cost : 0;
+
+    if (this.STOP_LOSS_PCT > 0 && changePct <= -this.STOP_LOSS_PCT) {
+      return { rule: "STOP_LOSS", status: "EXITED_STOP_LOSS", changePct };
+    }
+    if (this.TAKE_PROFIT_PCT > 0 && changePct >= this.TAKE_PROFIT_PCT) {
+      return { rule: "TAKE_PROFIT", status: "EXITED_TAKE_PROFIT", changePct };
+    }
+    const endTime = pos.marketEndTime ?? marketEndTime;
+    if (this.EXIT_BEFORE_END_SEC > 0 && endTime && endTime - now <= this.EXIT_BEFORE_END_SEC * 1000 && now < endTime) {
+      return { rule: "TIME", status: "EXITED_TIME", changePct };
+    }
+    return null;
+  }
+
+  // marketData: the per-asset snapshot passed to shouldTrade (needs upBook/downBook)
+  async run(marketData) {
+    const now = Date.now();
+    const exits = [];
+    const candidates = this.positionTracker.openPositions.filter(pos =>
+      pos.assetName === marketData.assetName &&
+      pos.marketSlug === marketData.marketSlug &&
+      pos.tokenId &&
+      !/^(PURE|MAKER)_ARB/.test(String(pos.strategy || "")) &&
+      !this.exiting.has(pos.orderId) &&
+      now - (this.failedAt.get(pos.orderId) || 0) >= this.RETRY_AFTER_MS
+    );
+
+    for (const pos of candidates) {
+      const book = pos.outcome === "Up" ? marketData.upBook : marketData.downBook;
+      const bid = book?.bestBid ?? null;
+      if (bid === null || bid <= 0) continue;
+
+      const reason = this._exitReason(pos, bid, marketData.marketEndTime, now);
+      if (!reason) continue;
+
+      // Below the market's minimum order size the shares can't be sold
+      const held = this.positionTracker.heldSize(pos);
+      const minShares = await this.tradingService.marketMeta.minOrderSize(pos.tokenId);
+      if (held < minShares) {
+        if (!this.skippedDust.has(pos.orderId)) {
+          console.log(`[Exit] ⚠ ${reason.rule} on ${pos.outcome} but only ${held} shares held (< ${minShares}) — holding to resolution`);
+          this.skippedDust.add(pos.orderId);
+        }
+        continue;
+      }
+
+      exits.push(await this._exit(pos, { bid, held, ...reason }));
+    }
+
+    return exits;
+  }
+
+  async _exit(pos, { bid, held, rule, status, changePct }) {
+    const assetTag = pos.assetName ? `[${pos.assetName}]` : "";
+    const price = Math.max(0.01, bid - this.PRICE_BUFFER);
+    this.exiting.add(pos.orderId);
+
+    console.log(`[Exit] ${rule === "STOP_LOSS" ? "🛑" : rule === "TAKE_PROFIT" ? "💰" : "⏱"} ${assetTag} ${rule}: ${pos.outcome} ${held}x | Entry $${pos.entryPrice.toFixed(3)} → Bid $${bid.toFixed(3)} (${(changePct * 100).toFixed(1)}%) | Selling @ ≥ $${price.toFixed(3)}`);
+
+    try {
+      const order = await this.tradingService.sellShares({ tokenId: pos.tokenId, price, size: held });
+      if (!order?.orderID) throw new Error("no orderID returned");
+
+      const fill = await this.orderManager.waitForFill(order, { tokenId: pos.tokenId, side: "SELL", price, size: held });
+      if (fill.filledSize <= 0) throw new Error("sell not filled");
+      this.failedAt.delete(pos.orderId);
+
+      this.positionTracker.reducePosition(pos, {
+        size: fill.filledSize,
+        price: fill.avgPrice ?? price,
+        fee: this.feeModel ? this.feeModel.fillFee(fill, pos.tokenId) : 0,
+        status
+      });
+
+      const key = rule === "STOP_LOSS" ? "stopLoss" : rule === "TAKE_PROFIT" ? "takeProfit" : "time";
+      this.counts[key]++;
+      const record = {
+        time: new Date().toISOString(),
+        asset: pos.assetName,
+        market: pos.marketSlug,
+        outcome: pos.outcome,
+        rule,
+        size: fill.filledSize,
+        exitPrice: fill.avgPrice ?? price,
+        entryPrice: pos.entryPrice,
+        pnl: pos.pnl
+      };
+      this.recent.push(record);
+      if (this.recent.length > 20) this.recent.shift();
+      return { position: pos, ...record };
+    } catch (e) {
+      this.counts.failed++;
+      this.failedAt.set(pos.orderId, Date.now());
+      console.log(`[Exit] ✗ ${assetTag} ${rule} sell failed: ${e.message}`);
+      return { position: pos, rule, error: e.message };
+    } finally {
+      this.exiting.delete(pos.orderId);
+    }
+  }
+
+  getStats() {
+    return {
+      rules: {
+        stopLossPct: this.STOP_LOSS_PCT,
+        takeProfitPct: this.TAKE_PROFIT_PCT,
+        exitBeforeEndSec: this.EXIT_BEFORE_END_SEC
+      },
+      ...this.counts,
+      recent: this.recent
+    };
+  }
+}
@@ -0,0 +1,104 @@
+import { fetchFeeRate } from "../data/polymarket.js";
+
+// ═══════════════════════════════════════════════════════════════
+// FEE MODEL — one source for the fees we price in and the fees we pay
+//
+// The CLOB publishes a base fee rate (bps) per token. The same cached
+// rate is signed into every order, drives the per-share fee curve used
+// by the arb/EV math in shouldTrade, and is charged against each fill
+// in the position tracker.
+//
+// Taker fee per share = price × (1 − price) × TAKER_CURVE × (bps / 1000)
+// TAKER_CURVE (0.0625) is the 15-min crypto market curve at the
+// 1000 bps reference rate; other rates scale it linearly.
+// Makers pay MAKER_CURVE on the same curve (0 on Polymarket).
+// ═══════════════════════════════════════════════════════════════
+
+const REFERENCE_BPS = 1000;
+
+export class FeeModel {
+  constructor(config = {}) {
+    this.TTL_MS = config.ttlMs ?? 5 * 60_000;               // Re-fetch a token's rate after 5 min
+    this.DEFAULT_FEE_RATE_BPS = config.defaultFeeRateBps ?? 1000;
+    this.TAKER_CURVE = config.takerCurve ?? 0.0625;
+    this.MAKER_CURVE = config.makerCurve ?? 0;
+
+    this.rates = new Map();      // tokenId → { bps, fetchedAt, source }
+    this.inflight = new Map();   // tokenId → pending fetch
+    this.fetchErrors = 0;
+  }
+
+  _fresh(tokenId) {
+    const entry = this.rates.get(tokenId);
+    return entry && Date.now() - entry.fetchedAt < this.TTL_MS ? entry : null;
+  }
+
+  // Cached fee rate for a token, fetched from the CLOB when missing or expired.
+  // On fetch failure the last known rate (or the default) is used.
+  async getFeeRateBps(tokenId) {
+    if (!tokenId) return this.DEFAULT_FEE_RATE_BPS;
+    const fresh = this._fresh(tokenId);
+    if (fresh) return fresh.bps;
+
+    if (!this.inflight.has(tokenId)) {
+      const pending = fetchFeeRate({ tokenId })
+        .then(bps => {
+          if (bps === null) throw new Error("missing base_fee");
+          this.rates.set(tokenId, { bps, fetchedAt: Date.now(), source: "clob" });
+        })
+        .catch(e => {
+          this.fetchErrors++;
+          const prev = this.rates.get(tokenId);
+          const bps = prev?.bps ?? this.DEFAULT_FEE_RATE_BPS;
+          console.log(`[Fees] ⚠ Fee rate fetch failed for ${tokenId.slice(0, 10)}… (${e.message}) — using ${bps} bps`);
+          this.rates.set(tokenId, { bps, fetchedAt: Date.now(), source: prev ? prev.source : "default" });
+        })
+        .finally(() => this.inflight.delete(tokenId));
+      this.inflight.set(tokenId, pending);
+    }
+
+    await this.inflight.get(tokenId);
+    return this.rates.get(tokenId).bps;
+  }
+
+  // Warm the cache for tokens about to be evaluated (shouldTrade is synchronous)
+  async refresh(tokenIds = []) {
+    await Promise.all(tokenIds.filter(Boolean).map(id => this.getFeeRateBps(id)));
+  }
+
+  // Last known rate without fetching
+  feeRateBps(tokenId) {
+    return this.rates.get(tokenId)?.bps ?? this.DEFAULT_FEE_RATE_BPS;
+  }
+
+  // Per-share fee at `price` when taking liquidity
+  takerFee(price, tokenId = null) {
+    return price * (1 - price) * this.TAKER_CURVE * (this.feeRateBps(tokenId) / REFERENCE_BPS);
+  }
+
+  // Per-share fee at `price` when our resting order is filled
+  makerFee(price, tokenId = null) {
+    return price * (1 - price) * this.MAKER_CURVE * (this.feeRateBps(tokenId) / REFERENCE_BPS);
+  }
+
+  // Total fee for an OrderManager fill record. Shares matched as maker are
+  // charged the maker rate; everything else (or unknown) is charged as taker.
+  fillFee(fill, tokenId = fill?.tokenId) {
+    if (!fill || !(fill.filledSize > 0)) return 0;
+    const price = fill.avgPrice ?? fill.limitPrice;
+    const makerSize = Math.min(fill.makerSize || 0, fill.filledSize);
+    const takerSize = fill.filledSize - makerSize;
+    return takerSize * this.takerFee(price, tokenId) + makerSize * this.makerFee(price, tokenId);
+  }
+
+  getStats() {
+    return {
+      takerCurve: this.TAKER_CURVE,
+      makerCurve: this.MAKER_CURVE,
+      defaultFeeRateBps: this.DEFAULT_FEE_RATE_BPS,
+      ttlMs: this.TTL_MS,
+      fetchErrors: this.fetchErrors,
+      rates: Object.fromEntries([...this.rates].map(([id, r]) => [id, { bps: r.bps, source: r.source, ageMs: Date.now() - r.fetchedAt }]))
+    };
+  }
+}
@@ -0,0 +1,213 @@
+import { EVENTS } from "./eventBus.js";
+import { rangeFilter } from "./analytics.js";
+import { toCsvLine } from "../utils.js";
+
+// ═══════════════════════════════════════════════════════════════
+// FILL LEDGER — fill-level record of everything that moved money
+//
+// Subscribes to the event bus and appends one row per event to
+// fills.jsonl (TradeStore). Row types:
+//   ORDER        order acknowledged by the exchange (limit price, size)
+//   FILL         final matched size / avg price / fee of an order
+//   CANCEL       order (or its unfilled remainder) cancelled
+//   RESOLUTION   position settled by the market (RESOLVED_WIN/LOSS/STALE)
+//   EXIT         position closed by selling (stop-loss, take-profit, …)
+//   ADJUSTMENT   stale write-off restated (pnl = delta)
+//   REDEMPTION   on-chain CTF redemption payout
+// Fees appear only on FILL rows, so summing `fee` never double counts.
+// Order rows carry no market context; the export joins them to their
+// position (by order ID, or by token for exit sells).
+// The columns below are the export schema — append only, never reorder.
+// ═══════════════════════════════════════════════════════════════
+
+export const FILL_COLUMNS = [
+  "timestamp",    // ISO time of the event (fill time for FILL)
+  "type",         // ORDER | FILL | CANCEL | RESOLUTION | EXIT | ADJUSTMENT | REDEMPTION
+  "asset",        // BTC, ETH, …
+  "market",       // Polymarket market slug
+  "strategy",     // PURE_ARB, EXTREME_VALUE, …
+  "outcome",      // Up | Down
+  "side",         // BUY | SELL (orders and fills)
+  "orderId",      // Exchange order ID
+  "positionId",   // Order ID of the position this row belongs to
+  "groupId",      // Arb group (both legs share it)
+  "tokenId",      // Outcome token
+  "orderType",    // GTC | FOK | FAK | GTD
+  "status",       // Order status, or position status for closes
+  "price",        // Limit (ORDER), avg fill (FILL), exit price (EXIT), payout/share (RESOLUTION)
+  "size",         // Shares
+  "notional",     // USDC: price × size; payout for RESOLUTION / REDEMPTION
+  "fee",          // USDC fee paid (FILL rows only)
+  "pnl",          // Realized P&L (RESOLUTION / EXIT), P&L delta (ADJUSTMENT)
+  "txHash",       // Redemption transaction
+  "conditionId",  // CTF condition (REDEMPTION)
+  "tradeIds",     // Exchange trade IDs behind a FILL, ";"-separated
+  "note"
+];
+
+const CLOSE_TYPES = [EVENTS.POSITION_RESOLVED, EVENTS.POSITION_STOPPED_OUT, EVENTS.POSITION_EXITED];
+
+export class FillLedger {
+  constructor(store, positionTracker) {
+    this.store = store;
+    this.positionTracker = positionTracker;
+    this.rows = 0;
+    this.writeErrors = 0;
+  }
+
+  // Subscribe to the bus; returns unsubscribe functions
+  attach(bus) {
+    const on = (type, fn) => bus.subscribe(type, (event) => fn(event));
+    return [
+      on(EVENTS.ORDER_PLACED, (e) => this._append({
+        timestamp: e.at, type: "ORDER", side: e.side, orderId: e.orderId, tokenId: e.tokenId, orderType: e.orderType,
+        status: e.status, price: e.price, size: e.size, notional: mul(e.price, e.size)
+      })),
+      on(EVENTS.ORDER_FILLED, (e) => this._append({
+        timestamp: e.filledAt || e.at, type: "FILL", side: e.side, orderId: e.orderId, tokenId: e.tokenId, status: e.status,
+        price: e.avgPrice, size: e.filledSize, notional: mul(e.avgPrice, e.filledSize), fee: e.fee,
+        tradeIds: e.tradeIds?.length ? e.tradeIds.join(";") : null, note: e.makerSize > 0 ? `maker ${e.makerSize}` : null
+      })),
+      on(EVENTS.ORDER_CANCELLED, (e) => this._append({ timestamp: e.at, type: "CANCEL", orderId: e.orderId })),
+      ...CLOSE_TYPES.map(type => on(type, (e) => this._onClose(e))),
+      on(EVENTS.POSITION_RESTATED, (e) => this._append({
+        ...positionFields(e.position), timestamp: e.at, type: "ADJUSTMENT", status: e.adjustment.to,
+        pnl: e.adjustment.delta, note: `restated from ${e.adjustment.from} via ${e.adjustment.source}`
+      })),
+      on(EVENTS.POSITION_REDEEMED, (e) => this._append({
+        ...positionFields(e.position), timestamp: e.at, type: "REDEMPTION", notional: e.redemption.amount,
+        txHash: e.redemption.txHash, conditionId: e.redemption.conditionId, note: e.redemption.note
+      }))
+    ];
+  }
+
+  // One close row per position — an arb group closes all of its legs
+  _onClose(event) {
+    const legs = event.position.isGroup
+      ? this.positionTracker.closedPositions.filter(p => p.groupId === event.position.groupId)
+      : [this.positionTracker.closedPositions.find(p => p.orderId === event.position.orderId) || event.position];
+    for (const pos of legs) this._append(closeRow(pos, event.at));
+  }
+
+  _append(row) {
+    try {
+      this.store.appendFill(row);
+      this.rows++;
+    } catch (e) {
+      this.writeErrors++;
+      this.store.recordError(e);
+      console.error(`[Fills] ✗ ${row.type} row write failed: ${e.message}`);
+    }
+  }
+
+  // First run: seed the ledger from the tracker's positions (no order-level detail exists for them)
+  backfill() {
+    if (this.store.hasFills()) return;
+    const note = "backfilled from position ledger";
+    const positions = [...this.positionTracker.closedPositions, ...this.positionTracker.openPositions];
+    const rows = [];
+    for (const pos of positions) {
+      rows.push({
+        ...positionFields(pos), timestamp: iso(pos.openedAt), type: "FILL", side: "BUY", orderId: pos.orderId,
+        status: pos.partialFill ? "PARTIAL" : "FILLED", price: pos.entryPrice, size: pos.size, notional: pos.cost, fee: pos.fees || 0, note
+      });
+      if (pos.resolvedAt) rows.push({ ...closeRow(pos, iso(pos.resolvedAt)), note });
+      if (pos.redemption) {
+        rows.push({
+          ...positionFields(pos), timestamp: iso(pos.redemption.redeemedAt), type: "REDEMPTION", notional: pos.redemption.amount,
+          txHash: pos.redemption.txHash, conditionId: pos.redemption.conditionId, note: pos.redemption.note || note
+        });
+      }
+    }
+    rows.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    for (const row of rows) this._append(row);
+    if (rows.length > 0) console.log(`[Fills] Backfilled ${rows.length} rows from ${positions.length} positions`);
+  }
+
+  getStats() {
+    return { rows: this.rows, writeErrors: this.writeErrors };
+  }
+}
+
+// Filtered export of fills.jsonl rows as CSV or JSONL.
+// positions (open + closed) supply asset/market/strategy for order-level rows.
+// filters: { from, to, asset, strategy, type, calendar }
+export function exportFills(rows, positions, { format = "csv", from = null, to = null, asset = null, strategy = null, type = null, calendar = null } = {}) {
+  const byOrder = new Map(positions.map(p => [p.orderId, p]));
+  const byToken = new Map();
+  for (const p of positions) if (p.tokenId) (byToken.get(p.tokenId) || byToken.set(p.tokenId, []).get(p.tokenId)).push(p);
+
+  const inRange = rangeFilter(from, to, calendar);
+  const types = type ? new Set(String(type).toUpperCase().split(",")) : null;
+  const out = [];
+  for (const row of rows) {
+    const enriched = row.asset ? row : { ...positionFields(ownerOf(row, byOrder, byToken)), ...stripEmpty(row) };
+    if (!inRange(Date.parse(enriched.timestamp))) continue;
+    if (asset && enriched.asset !== asset) continue;
+    if (strategy && enriched.strategy !== strategy) continue;
+    if (types && !types.has(enriched.type)) continue;
+    out.push(Object.fromEntries(FILL_COLUMNS.map(c => [c, enriched[c] ?? null])));
+  }
+
+  if (format === "jsonl") return out.map(r => JSON.stringify(r)).join("\n") + (out.length ? "\n" : "");
+  return [toCsvLine(FILL_COLUMNS), ...out.map(r => toCsvLine(FILL_COLUMNS.map(c => r[c])))].join("\n") + "\n";
+}
+
+// Position behind an order row: the position opened by that order, else
+// (exit sells) the most recent position on the same token opened before it
+function ownerOf(row, byOrder, byToken) {
+  if (byOrder.has(row.orderId)) return byOrder.get(row.orderId);
+  const ts = Date.parse(row.timestamp);
+  const candidates = (byToken.get(row.tokenId) || []).filter(p => !p.openedAt || p.openedAt <= ts);
+  return candidates[candidates.length - 1] || null;
+}
+
+function positionFields(pos) {
+  if (!pos) return {};
+  return {
+    asset: pos.assetName || null,
+    market: pos.marketSlug || null,
+    strategy: pos.strategy || null,
+    outcome: pos.outcome || null,
+    positionId: pos.orderId || null,
+    groupId: pos.groupId || null,
+    tokenId: pos.tokenId || null
+  };
+}
+
+function closeRow(pos, at) {
+  const exited = !String(pos.status).startsWith("RESOLVED_");
+  const size = pos.size;
+  const payout = exited ? (pos.proceeds ?? null) : (pos.returnAmount ?? 0);
+  return {
+    ...positionFields(pos),
+    timestamp: at,
+    type: exited ? "EXIT" : "RESOLUTION",
+    status: pos.status,
+    price: exited ? (pos.exitPrice ?? null) : (size > 0 ? round(payout / size, 4) : null),
+    size,
+    notional: money(payout),
+    pnl: money(pos.pnl)
+  };
+}
+
+function stripEmpty(row) {
+  return Object.fromEntries(Object.entries(row).filter(([, v]) => v !== null && v !== undefined));
+}
+
+function money(n) {
+  return n === null || n === undefined ? null : round(n, 6);
+}
+
+function mul(a, b) {
+  return a === null || a === undefined || b === null || b === undefined ? null : round(a * b, 6);
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function iso(ts) {
+  return new Date(ts || Date.now()).toISOString();
+}
@@ -1,9 +1,37 @@
+import path from "node:path";
 import { TradingService } from "./tradingService.js";
+import { PaperTradingService } from "./paperTradingService.js";
 import { TradingEngine } from "./tradingEngine.js";
+import { Redeemer } from "./redeemer.js";
+import { WalletReconciler } from "./walletReconciler.js";
+import { TradeStore } from "./tradeStore.js";
+import { queryPeriods, TradingCalendar } from "./pnlPeriods.js";
+import { computeAnalytics } from "./analytics.js";
+import { exportFills } from "./fillLedger.js";
+import { TradingController } from "./controller.js";
 import { CONFIG } from "../config.js";
+import { nowMs } from "../latency.js";
 
 let tradingService = null;
 let tradingEngine = null;
+let redeemer = null;
+let walletReconciler = null;
+
+// Exists before trading starts so /control can authenticate and report status
+const controller = new TradingController({ token: CONFIG.trading.controlToken });
+
+// Shutdown: once stopping, no new trades, exits or quotes; inFlight holds the running ones
+let stopping = false;
+const inFlight = new Set();
+
+async function track(promise) {
+  inFlight.add(promise);
+  try {
+    return await promise;
+  } finally {
+    inFlight.delete(promise);
+  }
+}
 
 export async function initializeTrading() {
   const fs = await import("fs");
@@ -25,14 +53,19 @@ export async function initializeTrading() {
     return { enabled: false, message: "Trading is disabled" };
   }
 
-  if (!CONFIG.trading.privateKey) {
+  if (!CONFIG.trading.dryRun && !CONFIG.trading.privateKey) {
     log("No private key configured");
     return { enabled: false, message: "No private key configured" };
   }
 
   try {
-    log("Creating TradingService with private key...");
-    tradingService = new TradingService(CONFIG.trading.privateKey);
+    if (CONFIG.trading.dryRun) {
+      log("DRY RUN — creating paper exchange...");
+      tradingService = new PaperTradingService({ startingBalance: CONFIG.trading.paperBalance });
+    } else {
+      log("Creating TradingService with private key...");
+      tradingService = new TradingService(CONFIG.trading.privateKey);
+    }
     
     log("Initializing TradingService with 30s timeout...");
     // Add timeout to prevent hanging on CLOB initialization
@@ -57,17 +90,33 @@ export async function initializeTrading() {
     }
 
     log("Creating TradingEngine...");
+    // Every schema-validated parameter (config.js) except the secrets
+    const { privateKey, controlToken, ...params } = CONFIG.trading;
     tradingEngine = new TradingEngine(tradingService, {
-      enabled: !CONFIG.trading.dryRun,
-      minConfidence: CONFIG.trading.minConfidence,
-      orderSize: CONFIG.trading.orderSize,
-      maxPositionSize: CONFIG.trading.maxPositionSize,
-      minEdge: CONFIG.trading.minEdge,
-      cooldownMs: CONFIG.trading.cooldownMs,
-      maxTokenPrice: CONFIG.trading.maxTokenPrice,
-      maxTradesPerHour: CONFIG.trading.maxTradesPerHour,
-      maxDailyLoss: CONFIG.trading.maxDailyLoss
+      ...params,
+      enabled: true,
+      // Paper fills go to their own ledger so they never mix with live P&L
+      ledgerDir: CONFIG.trading.dryRun ? path.join(process.cwd(), "logs", "paper") : undefined
+    });
+
+    // Paper positions are settled by the paper exchange; live winnings must be redeemed on-chain
+    if (!tradingService.isPaper && CONFIG.trading.redeemEnabled) {
+      redeemer = new Redeemer(tradingService.wallet, tradingEngine.positionTracker, {
+        intervalMs: CONFIG.trading.redeemIntervalMs,
+        rpcUrl: CONFIG.trading.redeemRpcUrl,
+        ctfAddress: CONFIG.trading.ctfAddress,
+        collateralAddress: CONFIG.trading.ctfCollateralAddress,
+        proxyWallet: tradingService.getProxyWallet()
+      });
+      redeemer.start();
+    }
+
+    walletReconciler = new WalletReconciler(tradingService, tradingEngine.positionTracker, {
+      intervalMs: CONFIG.trading.reconcileIntervalMs,
+      lookbackMs: CONFIG.trading.reconcileLookbackHours * 3600_000
     });
+    walletReconciler.start();
+    controller.attach(tradingEngine, tradingService);
 
     const walletAddress = tradingService.getWalletAddress();
     log(`Trading initialized successfully. Wallet: ${walletAddress}`);
@@ -88,44 +137,65 @@ export async function initializeTrading() {
   }
 }
 
-export async function evaluateAndTrade(prediction, marketData, currentPrice, indicators = {}, priceToBeat = null) {
+// asset: assetTradingConfig() of the market's asset (enable flag + effective parameters)
+export async function evaluateAndTrade(prediction, marketData, currentPrice, indicators = {}, priceToBeat = null, asset = null) {
   if (!tradingEngine || !CONFIG.trading.enabled) {
     return { traded: false, reason: "Trading not enabled" };
   }
+  if (stopping) {
+    return { traded: false, reason: "Shutting down" };
+  }
 
-  const signal = tradingEngine.shouldTrade(prediction, marketData, currentPrice, indicators);
+  feedPaperBooks(marketData);
 
-  if (CONFIG.trading.dryRun) {
-    return {
-      traded: false,
-      dryRun: true,
-      signal,
-      reason: signal.shouldTrade ? `DRY RUN: Would trade ${signal.direction}` : signal.reason
-    };
-  }
+  // shouldTrade prices fees synchronously — make sure this market's rates are cached
+  await tradingEngine.feeModel.refresh([marketData?.upTokenId, marketData?.downTokenId]);
+
+  const signal = tradingEngine.shouldTrade(prediction, marketData, currentPrice, indicators, asset);
+  if (signal.shouldTrade) signal.signalAt = nowMs();  // Start of signal → sign → post → ack timing
 
   if (!signal.shouldTrade) {
     return { traded: false, signal, reason: signal.reason };
   }
 
-  const result = await tradingEngine.executeTrade(signal, marketData, priceToBeat);
+  // Shutdown may have started while fees were refreshing
+  if (stopping) {
+    return { traded: false, signal, reason: "Shutting down" };
+  }
+
+  const result = await track(tradingEngine.executeTrade(signal, marketData, priceToBeat));
   
   return {
     traded: result.success,
+    dryRun: CONFIG.trading.dryRun,
     signal,
     result,
-    reason: result.reason
+    reason: CONFIG.trading.dryRun ? `PAPER: ${result.reason}` : result.reason
   };
 }
 
-export function checkResolutions(currentPrice, priceToBeat, assetName = null) {
-  if (!tradingEngine) return [];
-  return tradingEngine.checkResolutions(currentPrice, priceToBeat, assetName);
+// Paper exchange matches against the same books the loop just fetched
+function feedPaperBooks(marketData) {
+  if (tradingService?.isPaper) tradingService.updateBooks(marketData);
 }
 
-export function checkStopLoss(currentMarketPrices) {
+export async function checkResolutions(currentPrice, priceToBeat, assetName = null) {
   if (!tradingEngine) return [];
-  return tradingEngine.checkStopLoss(currentMarketPrices);
+  const resolved = await tradingEngine.checkResolutions(currentPrice, priceToBeat, assetName);
+  if (tradingService?.isPaper) tradingService.settlePositions(resolved);
+  return resolved;
+}
+
+export async function runExits(marketData) {
+  if (!tradingEngine || !CONFIG.trading.enabled || stopping) return [];
+  feedPaperBooks(marketData);
+  return await track(tradingEngine.runExits(marketData));
+}
+
+export async function runMakerArb(marketData, asset = null) {
+  if (!tradingEngine || !CONFIG.trading.enabled || !CONFIG.trading.makerArbEnabled || stopping) return null;
+  feedPaperBooks(marketData);
+  return await track(tradingEngine.runMakerArb(marketData, asset));
 }
 
 export function cleanupStalePositions() {
@@ -133,11 +203,58 @@ export function cleanupStalePositions() {
   tradingEngine.cleanupStalePositions();
 }
 
+export async function reconcileStalePositions() {
+  if (!tradingEngine) return [];
+  const restated = await tradingEngine.reconcileStalePositions();
+  if (tradingService?.isPaper) tradingService.settlePositions(restated);
+  return restated;
+}
+
 export function getTradingStats() {
   if (!tradingEngine) {
     return null;
   }
-  return tradingEngine.getStats();
+  return {
+    ...tradingEngine.getStats(),
+    redeem: redeemer?.getStats() ?? null,
+    reconcile: walletReconciler?.getStats() ?? null
+  };
+}
+
+// TradeStore of the active ledger (live or paper); before trading starts,
+// a read-only view of logs/ so /history, /pnl and /csv still work
+export function getLedgerStore() {
+  return tradingEngine?.positionTracker.store ?? new TradeStore({ dir: path.join(process.cwd(), "logs") });
+}
+
+// Day/week/month P&L rollups; from periods.json when trading is not running
+export function getPnlPeriods(options) {
+  if (tradingEngine) return tradingEngine.pnlPeriods.query(options);
+  const doc = getLedgerStore().readDocument("periods.json");
+  return doc ? queryPeriods(doc, options) : null;
+}
+
+// Performance analytics over the active ledger's journal
+// filters: { from, to, asset, strategy } (see analytics.js)
+export function getAnalytics(filters = {}) {
+  const { items } = getLedgerStore().readJournal({ limit: Infinity, order: "asc" });
+  return computeAnalytics(items, { ...filters, calendar: ledgerCalendar(), windowMinutes: CONFIG.candleWindowMinutes });
+}
+
+// Fill-level export (CSV or JSONL) of the active ledger
+// filters: { format, from, to, asset, strategy, type } (see fillLedger.js)
+export function exportFillLedger(filters = {}) {
+  const store = getLedgerStore();
+  const tracker = tradingEngine?.positionTracker;
+  const state = tracker ? null : store.readState({ limit: Infinity });
+  const positions = tracker
+    ? [...tracker.closedPositions, ...tracker.openPositions]
+    : [...(state?.closedPositions.items || []), ...(state?.openPositions || [])];
+  return exportFills(store.readFills(), positions, { ...filters, calendar: ledgerCalendar() });
+}
+
+function ledgerCalendar() {
+  return tradingEngine?.calendar ?? new TradingCalendar({ timeZone: CONFIG.trading.tradingDayTimezone, resetHour: CONFIG.trading.tradingDayResetHour });
 }
 
 export function getTradingService() {
@@ -147,3 +264,45 @@ export function getTradingService() {
 export function getTradingEngine() {
   return tradingEngine;
 }
+
+export function getRedeemer() {
+  return redeemer;
+}
+
+export function getTradingController() {
+  return controller;
+}
+
+// ─── SHUTDOWN (steps run by src/shutdown.js) ─────────────────
+// Refuse new trades, exits and quotes, then wait for the ones already running
+export async function drainTrading() {
+  stopping = true;
+  const pending = inFlight.size;
+  await Promise.allSettled([...inFlight]);
+  return pending;
+}
+
+// Pull maker quotes, then cancel every open order on the exchange; null when trading never started
+export async function cancelOpenOrders() {
+  if (!tradingService?.isInitialized || !tradingEngine) return null;
+  await tradingEngine.makerArb.cancelAll("shutdown");
+  const result = await tradingService.cancelAllOrders();
+  return result?.canceled?.length ?? 0;
+}
+
+// Stop background timers and bus subscriptions, then persist the tracker; false when trading never started
+export function stopTrading() {
+  redeemer?.stop();
+  walletReconciler?.stop();
+  if (!tradingEngine) return false;
+  tradingEngine.detach();
+  tradingEngine.positionTracker.flush();
+  return true;
+}
+
+// Tracker vs exchange diff; fresh forces a new check instead of the last periodic one
+export async function reconcileWallet({ fresh = false } = {}) {
+  if (!walletReconciler) return null;
+  if (fresh || !walletReconciler.lastResult) return await walletReconciler.run();
+  return walletReconciler.lastResult;
+}
@@ -0,0 +1,163 @@
+import { fetchOrderBook, summarizeOrderBook } from "../data/polymarket.js";
+
+// ═══════════════════════════════════════════════════════════════
+// ARB LEG REPAIR — fix one-legged arbitrage trades
+//
+// When only one side of an arb fills we are holding a naked
+// directional bet. The repair routine:
+//   1. Retries the missing leg while its ask stays inside the band
+//      that still leaves the pair profitable after fees (a rejected
+//      order waits RETRY_INTERVAL_MS like an out-of-band ask; a
+//      remainder below the market minimum can't be bought at all)
+//   2. If that cannot complete before the deadline, sells the
+//      unhedged shares of the filled leg back into the bid
+//   3. Otherwise leaves the position naked
+// Which of these steps run is controlled by the policy:
+//   repair_then_unwind (default) | repair_only | unwind | none
+// ═══════════════════════════════════════════════════════════════
+
+export const LEG_POLICIES = ["repair_then_unwind", "repair_only", "unwind", "none"];
+
+export class LegRepair {
+  constructor(tradingService, orderManager, config = {}) {
+    this.tradingService = tradingService;
+    this.orderManager = orderManager;
+
+    const policy = String(config.policy || "repair_then_unwind").toLowerCase();
+    this.POLICY = LEG_POLICIES.includes(policy) ? policy : "repair_then_unwind";
+    this.DEADLINE_MS = config.deadlineMs ?? 15000;       // Give up repairing after 15s
+    this.RETRY_INTERVAL_MS = config.retryIntervalMs ?? 1000;
+    this.PRICE_BUFFER = config.priceBuffer ?? 0.003;     // Same cross-the-spread buffer as entries
+  }
+
+  // Highest price for the missing leg that still clears minProfit per share pair
+  // feeFn(price, tokenId) → per-share taker fee
+  maxRepairPrice(filledPrice, minProfit, feeFn, filledTokenId = null, missingTokenId = null) {
+    for (let p = 0.99; p >= 0.01; p -= 0.001) {
+      const pairCost = filledPrice + p + feeFn(filledPrice, filledTokenId) + feeFn(p, missingTokenId);
+      if (1.0 - pairCost >= minProfit) return Math.floor(p * 1000) / 1000;
+    }
+    return null;
+  }
+
+  // filled: { outcome, tokenId, size, price }  missing: { outcome, tokenId }
+  // Returns { outcome: "REPAIRED" | "UNWOUND" | "NAKED", repairFills, unwindFills, ... }
+  async repair({ filled, missing, minProfit, feeFn }) {
+    const startedAt = Date.now();
+    const deadline = startedAt + this.DEADLINE_MS;
+    const result = {
+      outcome: "NAKED",
+      policy: this.POLICY,
+      filledOutcome: filled.outcome,
+      missingOutcome: missing.outcome,
+      maxRepairPrice: null,
+      repairFills: [],
+      repairedSize: 0,
+      unwindFills: [],
+      unwoundSize: 0,
+      attempts: 0,
+      startedAt,
+      finishedAt: null
+    };
+
+    if (this.POLICY === "none") {
+      return this._finish(result, filled);
+    }
+
+    // ─── Step 1: retry the missing leg inside the profitable band ─
+    if (this.POLICY === "repair_then_unwind" || this.POLICY === "repair_only") {
+      const maxPrice = this.maxRepairPrice(filled.price, minProfit, feeFn, filled.tokenId, missing.tokenId);
+      result.maxRepairPrice = maxPrice;
+
+      if (maxPrice === null) {
+        console.log(`[LegRepair] ⚠ No profitable band for ${missing.outcome} (filled ${filled.outcome} @ $${filled.price.toFixed(3)})`);
+      } else {
+        console.log(`[LegRepair] 🔧 Repairing ${missing.outcome}: need ${filled.size} shares @ ≤ $${maxPrice.toFixed(3)} within ${this.DEADLINE_MS / 1000}s`);
+      }
+
+      const minShares = maxPrice === null ? 0 : await this.tradingService.marketMeta.minOrderSize(missing.tokenId);
+      while (maxPrice !== null && result.repairedSize < filled.size && Date.now() < deadline) {
+        const size = filled.size - result.repairedSize;
+        if (size < minShares) {
+          console.log(`[LegRepair] ⚠ ${size} ${missing.outcome} shares left to repair, below the ${minShares}-share market minimum — stopping repair`);
+          break;
+        }
+
+        result.attempts++;
+        const book = await this._bookFor(missing.tokenId);
+        const ask = book?.bestAsk ?? null;
+
+        if (ask !== null && ask <= maxPrice) {
+          const price = Math.min(maxPrice, ask + this.PRICE_BUFFER);
+          const fill = await this._placeAndWait({
+            tokenId: missing.tokenId, side: "BUY", price, size,
+            timeoutMs: Math.max(500, Math.min(this.orderManager.FILL_TIMEOUT_MS, deadline - Date.now()))
+          });
+          if (fill) {
+            result.repairFills.push(fill);
+            result.repairedSize += fill.filledSize;
+            continue;
+          }
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.RETRY_INTERVAL_MS));
+      }
+
+      if (result.repairedSize >= filled.size) {
+        result.outcome = "REPAIRED";
+        return this._finish(result, filled);
+      }
+    }
+
+    // ─── Step 2: sell back whatever is still unhedged ─────────────
+    if (this.POLICY === "repair_then_unwind" || this.POLICY === "unwind") {
+      const unhedged = filled.size - result.repairedSize;
+      const book = await this._bookFor(filled.tokenId);
+      const bid = book?.bestBid ?? null;
+
+      if (bid !== null && bid > 0) {
+        const price = Math.max(0.01, bid - this.PRICE_BUFFER);
+        console.log(`[LegRepair] ↩ Unwinding ${unhedged} ${filled.outcome} shares into bid $${bid.toFixed(3)}`);
+        const fill = await this._placeAndWait({ tokenId: filled.tokenId, side: "SELL", price, size: unhedged });
+        if (fill) {
+          result.unwindFills.push(fill);
+          result.unwoundSize += fill.filledSize;
+        }
+      } else {
+        console.log(`[LegRepair] ⚠ No bid for ${filled.outcome} — cannot unwind`);
+      }
+
+      if (result.repairedSize + result.unwoundSize >= filled.size) {
+        result.outcome = "UNWOUND";
+      }
+    }
+
+    return this._finish(result, filled);
+  }
+
+  async _bookFor(tokenId) {
+    try {
+      return summarizeOrderBook(await fetchOrderBook({ tokenId }));
+    } catch {
+      return null;
+    }
+  }
+
+  async _placeAndWait({ tokenId, side, price, size, timeoutMs }) {
+    try {
+      const order = await this.tradingService.placeOrder({ tokenId, side, price, size, orderType: "GTC" });
+      if (!order?.orderID) return null;
+      return await this.orderManager.waitForFill(order, { tokenId, side, price, size, timeoutMs });
+    } catch (e) {
+      console.log(`[LegRepair] ✗ ${side} order failed: ${e.message}`);
+      return null;
+    }
+  }
+
+  _finish(result, filled) {
+    result.finishedAt = Date.now();
+    const naked = filled.size - result.repairedSize - result.unwoundSize;
+    console.log(`[LegRepair] ${result.outcome === "REPAIRED" ? "✅" : result.outcome === "UNWOUND" ? "↩" : "⚠️"} ${result.outcome} (${result.policy}) | repaired ${result.repairedSize} | unwound ${result.unwoundSize} | naked ${Math.max(0, naked)} | ${result.finishedAt - result.startedAt}ms`);
+    return result;
+  }
+}
@@ -0,0 +1,346 @@
+// ═══════════════════════════════════════════════════════════════
+// MAKER ARB — resting bids on both outcomes
+//
+// Taking both asks needs Up+Down < ARB_MAX_SUM, which rarely shows up.
+// Instead we rest a bid on each outcome so that
+//   upBid + downBid + maker fees ≤ $1 − MIN_EDGE
+// and let the market come to us. Every loop tick (per asset):
+//   1. Sync fills on our resting quotes
+//   2. Balanced inventory → quote both sides at the best bid (or one
+//      tick better), shaved down evenly until the pair fits the budget
+//   3. One side filled more → pull that side's quote and chase the
+//      other: cross its ask if the pair still clears HEDGE_MIN_PROFIT,
+//      otherwise bid as high as that budget allows
+//   4. Cancel/replace any quote whose target price or size moved
+// Quoting stops STOP_BEFORE_END_SEC before the market ends; all quotes
+// are pulled then and whenever the market rolls over.
+// ═══════════════════════════════════════════════════════════════
+
+const SIZE_EPSILON = 1e-6;
+const OUTCOMES = ["Up", "Down"];
+
+export class MakerArb {
+  constructor(tradingService, orderManager, positionTracker, config = {}) {
+    this.tradingService = tradingService;
+    this.orderManager = orderManager;
+    this.positionTracker = positionTracker;
+    this.feeModel = config.feeModel;
+
+    this.ENABLED = config.enabled ?? false;
+    this.QUOTE_SIZE = config.quoteSize ?? 10;                    // Shares per side per quote
+    this.MAX_SHARES = config.maxShares ?? 50;                    // Max inventory per side per market
+    this.MIN_EDGE = config.minEdge ?? 0.02;                      // Pair must cost ≤ $0.98 incl. fees
+    this.HEDGE_MIN_PROFIT = config.hedgeMinProfit ?? 0;          // Worst acceptable pair P&L when chasing
+    this.STOP_BEFORE_END_SEC = config.stopBeforeEndSec ?? 60;    // Pull quotes this close to market end
+    this.MIN_CANDLE_MINUTE = config.minCandleMinute ?? 1;        // Don't quote the first minute
+
+    this.markets = new Map();  // marketSlug → state
+    this.counts = { quotesPlaced: 0, quotesCancelled: 0, fills: 0, hedges: 0, pairsCompleted: 0, errors: 0 };
+    this.recent = [];
+  }
+
+  _state(marketData) {
+    let state = this.markets.get(marketData.marketSlug);
+    if (!state) {
+      state = {
+        slug: marketData.marketSlug,
+        assetName: marketData.assetName || "BTC",
+        marketEndTime: marketData.marketEndTime || null,
+        tokens: { Up: marketData.upTokenId, Down: marketData.downTokenId },
+        quotes: { Up: null, Down: null },               // live resting orders
+        inventory: { Up: { shares: 0, cost: 0 }, Down: { shares: 0, cost: 0 } },
+        unhedgeableLogged: false
+      };
+      this.markets.set(marketData.marketSlug, state);
+    }
+    return state;
+  }
+
+  // Shares held per side including what has matched on live quotes
+  _held(state, outcome) {
+    const q = state.quotes[outcome];
+    return state.inventory[outcome].shares + (q ? q.matched : 0);
+  }
+
+  _avgCost(state, outcome) {
+    const inv = state.inventory[outcome];
+    const q = state.quotes[outcome];
+    const shares = inv.shares + (q ? q.matched : 0);
+    const cost = inv.cost + (q ? q.matched * q.price : 0);
+    return shares > 0 ? cost / shares : null;
+  }
+
+  // marketData: per-asset snapshot (needs token IDs and upBook/downBook)
+  // allowNewQuotes: false when guardrails (exposure, daily stop) block new risk —
+  // hedging an existing imbalance is still allowed
+  async run(marketData, { allowNewQuotes = true } = {}) {
+    if (!this.ENABLED || !marketData?.marketSlug || !marketData.upTokenId || !marketData.downTokenId) return null;
+
+    // Market rolled over — pull anything left on older markets of this asset
+    for (const [slug, s] of this.markets) {
+      if (slug !== marketData.marketSlug && s.assetName === (marketData.assetName || "BTC")) {
+        await this._closeMarket(s, "market rolled over");
+        this.markets.delete(slug);
+      }
+    }
+
+    const state = this._state(marketData);
+    const now = Date.now();
+
+    try {
+      await this._syncFills(state);
+
+      const endTime = marketData.marketEndTime;
+      const minuteOfWindow = endTime ? Math.floor(15 - (endTime - now) / 60000) : null;
+      if (endTime && endTime - now <= this.STOP_BEFORE_END_SEC * 1000) {
+        await this._closeMarket(state, "market ending");
+        return this._summary(state);
+      }
+      if (minuteOfWindow !== null && minuteOfWindow < this.MIN_CANDLE_MINUTE) {
+        return this._summary(state);
+      }
+
+      const targets = await this._targets(state, marketData, allowNewQuotes);
+      for (const outcome of OUTCOMES) {
+        await this._reconcileQuote(state, outcome, targets[outcome]);
+      }
+    } catch (e) {
+      this.counts.errors++;
+      console.log(`[MakerArb] ✗ [${state.assetName}] ${e.message}`);
+    }
+
+    return this._summary(state);
+  }
+
+  // Pull size_matched for live quotes so inventory reflects fills between ticks
+  async _syncFills(state) {
+    for (const outcome of OUTCOMES) {
+      const q = state.quotes[outcome];
+      if (!q) continue;
+      try {
+        const remote = await this.tradingService.getOrder(q.orderId);
+        const matched = Number(remote?.size_matched);
+        if (Number.isFinite(matched) && matched > q.matched + SIZE_EPSILON) {
+          console.log(`[MakerArb] 📥 [${state.assetName}] ${outcome} bid filled ${matched}/${q.size} @ $${q.price.toFixed(3)}`);
+          q.matched = matched;
+        }
+        const status = String(remote?.status || "").toUpperCase();
+        if (q.matched >= q.size - SIZE_EPSILON || status === "CANCELED" || status === "CANCELLED" || status === "MATCHED") {
+          await this._closeQuote(state, outcome);
+        }
+      } catch (e) {
+        console.log(`[MakerArb] ⚠ Status check failed for ${q.orderId.slice(0, 10)}…: ${e.message}`);
+      }
+    }
+  }
+
+  // Desired { price, size, hedge } per outcome, or null for "no quote"
+  async _targets(state, marketData, allowNewQuotes) {
+    const books = { Up: marketData.upBook, Down: marketData.downBook };
+    const meta = {};
+    for (const outcome of OUTCOMES) {
+      meta[outcome] = await this.tradingService.marketMeta.get(state.tokens[outcome]);
+    }
+
+    const heldUp = this._held(state, "Up");
+    const heldDown = this._held(state, "Down");
+    const net = heldUp - heldDown;
+    const minSize = Math.max(meta.Up.minOrderSize, meta.Down.minOrderSize);
+
+    // ─── Imbalanced: chase the light side ────────────────────────
+    if (Math.abs(net) >= minSize) {
+      const heavy = net > 0 ? "Up" : "Down";
+      const light = heavy === "Up" ? "Down" : "Up";
+      const heavyAvg = this._avgCost(state, heavy);
+      const heavyFee = this.feeModel.makerFee(heavyAvg, state.tokens[heavy]);
+      const tick = Number(meta[light].tickSize);
+      const book = books[light];
+
+      // Highest price for the light side that keeps the pair ≥ HEDGE_MIN_PROFIT (as taker, worst case)
+      let maxPrice = null;
+      for (let p = 1 - tick; p >= tick; p -= tick) {
+        if (heavyAvg + heavyFee + p + this.feeModel.takerFee(p, state.tokens[light]) <= 1 - this.HEDGE_MIN_PROFIT) {
+          maxPrice = this._floorTick(p, tick);
+          break;
+        }
+      }
+      if (maxPrice === null) {
+        if (!state.unhedgeableLogged) {
+          console.log(`[MakerArb] ⚠ [${state.assetName}] ${Math.abs(net)} ${heavy} unhedged — no ${light} price keeps the pair whole`);
+          state.unhedgeableLogged = true;
+        }
+        return { [heavy]: null, [light]: null };
+      }
+
+      const ask = book?.bestAsk ?? null;
+      const bid = book?.bestBid ?? null;
+      const price = ask !== null && ask <= maxPrice
+        ? ask
+        : Math.min(maxPrice, bid !== null ? this._floorTick(bid + tick, tick) : maxPrice, ask !== null ? this._floorTick(ask - tick, tick) : 1);
+      return { [heavy]: null, [light]: { price, size: Math.abs(net), hedge: true } };
+    }
+
+    // ─── Balanced: quote both sides inside the pair budget ───────
+    if (!allowNewQuotes) return { Up: null, Down: null };
+
+    const prices = {};
+    for (const outcome of OUTCOMES) {
+      const book = books[outcome];
+      const tick = Number(meta[outcome].tickSize);
+      if (book?.bestBid == null || book?.bestAsk == null) return { Up: null, Down: null };
+      // Improve the bid by a tick when the spread allows, never cross the ask
+      prices[outcome] = Math.min(this._floorTick(book.bestBid + tick, tick), this._floorTick(book.bestAsk - tick, tick));
+    }
+
+    const pairCost = (up, down) => up + down
+      + this.feeModel.makerFee(up, state.tokens.Up)
+      + this.feeModel.makerFee(down, state.tokens.Down);
+    const budget = 1 - this.MIN_EDGE;
+    const tickUp = Number(meta.Up.tickSize);
+    const tickDown = Number(meta.Down.tickSize);
+    // Shave the pair down evenly (dearer side first) until it fits the budget
+    while (pairCost(prices.Up, prices.Down) > budget + 1e-9) {
+      if (prices.Up >= prices.Down) prices.Up = this._floorTick(prices.Up - tickUp, tickUp);
+      else prices.Down = this._floorTick(prices.Down - tickDown, tickDown);
+      if (prices.Up < tickUp || prices.Down < tickDown) return { Up: null, Down: null };
+    }
+
+    const targets = {};
+    for (const outcome of OUTCOMES) {
+      const room = this.MAX_SHARES - this._held(state, outcome);
+      const size = Math.floor(Math.min(this.QUOTE_SIZE, room) * 100) / 100;
+      targets[outcome] = size >= minSize ? { price: prices[outcome], size, hedge: false } : null;
+    }
+    // Both sides or neither — a lone quote is just a directional bid
+    if (!targets.Up || !targets.Down) return { Up: null, Down: null };
+    return targets;
+  }
+
+  _floorTick(price, tick) {
+    const decimals = String(tick).split(".")[1]?.length || 0;
+    return Number((Math.floor(price / tick + 1e-9) * tick).toFixed(decimals));
+  }
+
+  async _reconcileQuote(state, outcome, target) {
+    const q = state.quotes[outcome];
+
+    if (q) {
+      const remaining = q.size - q.matched;
+      const stale = !target
+        || Math.abs(q.price - target.price) > 1e-9
+        || Math.abs(remaining - target.size) > SIZE_EPSILON;
+      if (!stale) return;
+      const heldBefore = this._held(state, outcome);
+      await this._closeQuote(state, outcome, true);
+      // A fill landed during the cancel — targets are out of date, redo them next tick
+      if (this._held(state, outcome) > heldBefore + SIZE_EPSILON) return;
+    }
+
+    if (!target || !(target.size > 0)) return;
+
+    try {
+      const order = await this.tradingService.placeOrder({
+        tokenId: state.tokens[outcome],
+        side: "BUY",
+        price: target.price,
+        size: target.size,
+        orderType: "GTC"
+      });
+      if (!order?.orderID) throw new Error(order?.errorMsg || "no orderID returned");
+
+      state.quotes[outcome] = {
+        order,
+        orderId: order.orderID,
+        outcome,
+        price: order.submittedPrice ?? target.price,
+        size: order.submittedSize ?? target.size,
+        matched: 0,
+        hedge: target.hedge,
+        placedAt: Date.now()
+      };
+      this.counts.quotesPlaced++;
+      if (target.hedge) this.counts.hedges++;
+      console.log(`[MakerArb] ${target.hedge ? "🏃 Chasing" : "📌 Quoting"} [${state.assetName}] ${outcome} ${target.size} @ $${target.price.toFixed(3)}`);
+    } catch (e) {
+      this.counts.errors++;
+      console.log(`[MakerArb] ✗ [${state.assetName}] ${outcome} quote failed: ${e.message}`);
+    }
+  }
+
+  // Cancel (if needed) and book whatever the quote filled as a position
+  async _closeQuote(state, outcome, cancelled = false) {
+    const q = state.quotes[outcome];
+    if (!q) return;
+    state.quotes[outcome] = null;
+
+    // timeoutMs 0: one refresh, cancel any remainder, resolve fills
+    const fill = await this.orderManager.waitForFill(q.order, {
+      tokenId: state.tokens[outcome], side: "BUY", price: q.price, size: q.size, timeoutMs: 0
+    });
+    if (cancelled) this.counts.quotesCancelled++;
+    if (fill.filledSize <= 0) return;
+
+    const price = fill.avgPrice ?? q.price;
+    state.inventory[outcome].shares += fill.filledSize;
+    state.inventory[outcome].cost += fill.filledSize * price;
+    this.counts.fills++;
+
+    this.positionTracker.addPosition({
+      orderId: fill.orderId,
+      tokenId: state.tokens[outcome],
+      direction: outcome === "Up" ? "LONG" : "SHORT",
+      outcome,
+      price, size: fill.filledSize, requestedSize: q.size,
+      fee: this.feeModel.fillFee(fill, state.tokens[outcome]),
+      confidence: 95, edge: this.MIN_EDGE,
+      marketSlug: state.slug,
+      marketEndTime: state.marketEndTime,
+      priceToBeat: null,
+      indicators: {}, bullScore: 0, bearScore: 0,
+      signals: [q.hedge ? "maker-hedge" : "maker-quote"],
+      strategy: `MAKER_ARB_${outcome.toUpperCase()}`,
+      assetName: state.assetName,
+      groupId: `MAKER_ARB:${state.assetName}:${state.slug}`  // All fills in a market settle as one trade
+    });
+
+    const pairs = Math.min(state.inventory.Up.shares, state.inventory.Down.shares);
+    if (pairs > (state.pairsLogged || 0) + SIZE_EPSILON) {
+      const avgPair = state.inventory.Up.cost / state.inventory.Up.shares + state.inventory.Down.cost / state.inventory.Down.shares;
+      this.counts.pairsCompleted++;
+      state.pairsLogged = pairs;
+      console.log(`[MakerArb] ✅ [${state.assetName}] ${pairs} pairs held @ $${avgPair.toFixed(3)}/pair → +${((1 - avgPair) * 100).toFixed(1)}¢/pair before fees`);
+      this.recent.push({ time: new Date().toISOString(), asset: state.assetName, market: state.slug, pairs, avgPairCost: avgPair });
+      if (this.recent.length > 20) this.recent.shift();
+    }
+  }
+
+  async _closeMarket(state, reason) {
+    const live = OUTCOMES.filter(o => state.quotes[o]);
+    if (live.length === 0) return;
+    console.log(`[MakerArb] 🧹 [${state.assetName}] Pulling ${live.join("+")} quotes (${reason})`);
+    for (const outcome of live) await this._closeQuote(state, outcome, true);
+  }
+
+  // Pull every resting quote (trading disabled, shutdown)
+  async cancelAll(reason = "stopped") {
+    for (const state of this.markets.values()) await this._closeMarket(state, reason);
+  }
+
+  _summary(state) {
+    return {
+      market: state.slug,
+      quotes: Object.fromEntries(OUTCOMES.map(o => [o, state.quotes[o] ? { price: state.quotes[o].price, size: state.quotes[o].size, matched: state.quotes[o].matched, hedge: state.quotes[o].hedge } : null])),
+      held: { Up: this._held(state, "Up"), Down: this._held(state, "Down") }
+    };
+  }
+
+  getStats() {
+    return {
+      enabled: this.ENABLED,
+      rules: { quoteSize: this.QUOTE_SIZE, maxShares: this.MAX_SHARES, minEdge: this.MIN_EDGE, hedgeMinProfit: this.HEDGE_MIN_PROFIT, stopBeforeEndSec: this.STOP_BEFORE_END_SEC },
+      ...this.counts,
+      markets: [...this.markets.values()].map(s => ({ asset: s.assetName, ...this._summary(s) })),
+      recent: this.recent
+    };
+  }
+}
@@ -0,0 +1,124 @@
+import { fetchOrderBook, fetchTickSize, fetchNegRisk } from "../data/polymarket.js";
+
+// ═══════════════════════════════════════════════════════════════
+// MARKET METADATA — tick size, negRisk and minimum order size
+//
+// Every order must be priced on the token's tick grid, sized to the
+// CLOB's 2-decimal share precision and meet the market's minimum size,
+// and be signed against the right exchange (negRisk). These are looked
+// up per token and cached; tick sizes can change as prices approach
+// 0 or 1, so entries expire after META_TTL_MS.
+// ═══════════════════════════════════════════════════════════════
+
+const VALID_TICK_SIZES = ["0.1", "0.01", "0.001", "0.0001"];
+const SIZE_DECIMALS = 2;
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function decimalsOf(tick) {
+  const s = String(tick);
+  return s.includes(".") ? s.split(".")[1].length : 0;
+}
+
+// Snap a price onto the tick grid. BUY rounds down and SELL rounds up so
+// rounding never makes the order worse than the price the engine computed.
+export function roundPriceToTick(price, tickSize, side) {
+  const tick = Number(tickSize);
+  const decimals = decimalsOf(tickSize);
+  const steps = price / tick;
+  // Tolerate float noise (0.45 / 0.01 = 44.99999…) before flooring/ceiling
+  const nearest = Math.round(steps);
+  const snapped = Math.abs(steps - nearest) < 1e-9
+    ? nearest
+    : (String(side).toUpperCase() === "SELL" ? Math.ceil(steps) : Math.floor(steps));
+  return Number((snapped * tick).toFixed(decimals));
+}
+
+export function roundSizeDown(size) {
+  const factor = 10 ** SIZE_DECIMALS;
+  return Math.floor(size * factor + 1e-9) / factor;
+}
+
+export class MarketMetaCache {
+  constructor(config = {}) {
+    this.META_TTL_MS = config.ttlMs ?? 60_000;
+    this.DEFAULT_MIN_ORDER_SIZE = config.defaultMinOrderSize ?? 5;
+    this.cache = new Map();  // tokenId → { tickSize, negRisk, minOrderSize, fetchedAt }
+  }
+
+  async get(tokenId) {
+    const cached = this.cache.get(tokenId);
+    if (cached && Date.now() - cached.fetchedAt < this.META_TTL_MS) {
+      return cached;
+    }
+
+    // The book carries all three fields; fall back to the dedicated endpoints
+    let book = null;
+    try {
+      book = await fetchOrderBook({ tokenId });
+    } catch {
+      book = null;
+    }
+
+    let tick = toNumber(book?.tick_size);
+    if (tick === null) tick = await fetchTickSize({ tokenId });
+
+    let negRisk = typeof book?.neg_risk === "boolean" ? book.neg_risk : null;
+    if (negRisk === null) negRisk = await fetchNegRisk({ tokenId });
+
+    const tickSize = VALID_TICK_SIZES.find(t => Number(t) === tick);
+    if (!tickSize) {
+      throw new Error(`Unsupported tick size ${tick} for token ${tokenId.slice(0, 10)}…`);
+    }
+
+    const meta = {
+      tokenId,
+      tickSize,
+      negRisk,
+      minOrderSize: toNumber(book?.min_order_size) ?? this.DEFAULT_MIN_ORDER_SIZE,
+      fetchedAt: Date.now()
+    };
+    this.cache.set(tokenId, meta);
+    return meta;
+  }
+
+  // Round price/size onto valid values for this token.
+  // Returns { ok: true, price, size, meta } or { ok: false, reason }.
+  async normalizeOrder({ tokenId, side, price, size }) {
+    let meta;
+    try {
+      meta = await this.get(tokenId);
+    } catch (e) {
+      return { ok: false, reason: `market metadata unavailable (${e.message})` };
+    }
+
+    const tick = Number(meta.tickSize);
+    const roundedPrice = roundPriceToTick(price, meta.tickSize, side);
+    const roundedSize = roundSizeDown(size);
+
+    if (!Number.isFinite(roundedPrice) || roundedPrice < tick || roundedPrice > 1 - tick) {
+      return { ok: false, reason: `price $${price} rounds to $${roundedPrice}, outside [${tick}, ${(1 - tick).toFixed(decimalsOf(meta.tickSize))}] for tick ${meta.tickSize}` };
+    }
+    if (roundedSize < meta.minOrderSize) {
+      return { ok: false, reason: `size ${size} (→ ${roundedSize}) below market minimum of ${meta.minOrderSize} shares` };
+    }
+
+    return { ok: true, price: roundedPrice, size: roundedSize, meta };
+  }
+
+  // Minimum order size for a token; the exchange default when the lookup fails
+  async minOrderSize(tokenId) {
+    try {
+      return (await this.get(tokenId)).minOrderSize;
+    } catch {
+      return this.DEFAULT_MIN_ORDER_SIZE;
+    }
+  }
+
+  getCached() {
+    return [...this.cache.values()];
+  }
+}
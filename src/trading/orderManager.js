@@ -0,0 +1,200 @@
+import { tradingEvents, EVENTS } from "./eventBus.js";
+
+// ═══════════════════════════════════════════════════════════════
+// ORDER LIFECYCLE — confirm what actually filled
+//
+// The CLOB acknowledges an order with an orderID long before we know
+// whether (or how much of) it matched. The OrderManager polls each order
+// until it is fully matched or the fill timeout expires, cancels any
+// unfilled GTC remainder, and reports the real matched size and the
+// volume-weighted average fill price so positions are only opened for
+// what we actually own.
+// ═══════════════════════════════════════════════════════════════
+
+const SIZE_EPSILON = 1e-6;
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+export class OrderManager {
+  constructor(tradingService, config = {}) {
+    this.tradingService = tradingService;
+    this.FILL_TIMEOUT_MS = config.fillTimeoutMs ?? 5000;     // Cancel unfilled remainder after this
+    this.POLL_INTERVAL_MS = config.pollIntervalMs ?? 500;    // Order status poll cadence
+    this.MAX_HISTORY = config.maxHistory ?? 200;             // Finished orders kept for /stats
+
+    this.orders = new Map();   // orderId → lifecycle record
+    this.counts = { filled: 0, partial: 0, unfilled: 0 };
+  }
+
+  // Track an acknowledged order until it fills or times out.
+  // Resolves with { orderId, status, requestedSize, filledSize, avgPrice, ... }
+  async waitForFill(order, { tokenId, side, price, size, orderType = "GTC", timeoutMs = this.FILL_TIMEOUT_MS } = {}) {
+    const orderId = order?.orderID;
+    if (!orderId) {
+      throw new Error("Cannot track order without orderID");
+    }
+
+    const record = {
+      orderId,
+      tokenId,
+      side,
+      orderType,
+      limitPrice: order.submittedPrice ?? price,
+      requestedSize: order.submittedSize ?? size,
+      filledSize: 0,
+      avgPrice: null,
+      makerSize: 0,            // Shares matched as maker (resting) — feeds the fee model
+      status: "LIVE",          // LIVE → FILLED / PARTIAL / UNFILLED
+      tradeIds: [],
+      placedAt: Date.now(),
+      updatedAt: Date.now(),
+      closedAt: null
+    };
+    this.orders.set(orderId, record);
+
+    const deadline = record.placedAt + timeoutMs;
+    let remoteStatus = String(order.status || "").toUpperCase();
+
+    while (true) {
+      const remote = await this._refresh(record);
+      if (remote) remoteStatus = String(remote.status || "").toUpperCase();
+
+      if (record.filledSize >= record.requestedSize - SIZE_EPSILON) break;
+      if (remoteStatus === "CANCELED" || remoteStatus === "CANCELLED") break;
+      if (Date.now() >= deadline) break;
+
+      await new Promise(resolve => setTimeout(resolve, this.POLL_INTERVAL_MS));
+    }
+
+    // Anything still resting past the timeout gets pulled from the book
+    if (record.filledSize < record.requestedSize - SIZE_EPSILON && remoteStatus !== "CANCELED" && remoteStatus !== "CANCELLED") {
+      try {
+        await this.tradingService.cancelOrder(orderId);
+        console.log(`[Orders] ⏱ Cancelled unfilled remainder of ${orderId.slice(0, 10)}… after ${timeoutMs}ms (${record.filledSize}/${record.requestedSize} matched)`);
+      } catch (e) {
+        console.log(`[Orders] ⚠ Cancel failed for ${orderId.slice(0, 10)}…: ${e.message}`);
+      }
+      // A fill can land between the last poll and the cancel
+      await this._refresh(record);
+    }
+
+    await this._resolveAveragePrice(record);
+    return this._finalize(record);
+  }
+
+  // Pull the latest order state from the CLOB and update the record
+  async _refresh(record) {
+    try {
+      const remote = await this.tradingService.getOrder(record.orderId);
+      if (!remote) return null;
+
+      const matched = toNumber(remote.size_matched);
+      if (matched !== null) record.filledSize = matched;
+      if (Array.isArray(remote.associate_trades)) record.tradeIds = remote.associate_trades;
+      record.updatedAt = Date.now();
+      return remote;
+    } catch (e) {
+      console.log(`[Orders] ⚠ Status check failed for ${record.orderId.slice(0, 10)}…: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Volume-weighted fill price from the order's trades.
+  // Falls back to the limit price when trade details are unavailable.
+  async _resolveAveragePrice(record) {
+    if (record.filledSize <= 0) {
+      record.avgPrice = null;
+      return;
+    }
+
+    let notional = 0;
+    let shares = 0;
+    let makerShares = 0;
+    for (const tradeId of record.tradeIds) {
+      try {
+        const trades = await this.tradingService.getTrades({ id: tradeId });
+        const trade = Array.isArray(trades) ? trades[0] : null;
+        if (!trade) continue;
+
+        if (trade.trader_side === "MAKER") {
+          const makerLeg = (trade.maker_orders || []).find(m => m.order_id === record.orderId);
+          const qty = toNumber(makerLeg?.matched_amount);
+          const px = toNumber(makerLeg?.price);
+          if (qty !== null && px !== null) { shares += qty; notional += qty * px; makerShares += qty; }
+        } else {
+          const qty = toNumber(trade.size);
+          const px = toNumber(trade.price);
+          if (qty !== null && px !== null) { shares += qty; notional += qty * px; }
+        }
+      } catch {
+        // ignore — fall back to limit price below
+      }
+    }
+
+    record.avgPrice = shares > 0 ? notional / shares : record.limitPrice;
+    record.makerSize = makerShares;
+  }
+
+  _finalize(record) {
+    if (record.filledSize >= record.requestedSize - SIZE_EPSILON) {
+      record.status = "FILLED";
+      this.counts.filled++;
+    } else if (record.filledSize > 0) {
+      record.status = "PARTIAL";
+      this.counts.partial++;
+    } else {
+      record.status = "UNFILLED";
+      this.counts.unfilled++;
+    }
+    record.closedAt = Date.now();
+    this.tradingService.forgetOrder?.(record.orderId);
+
+    const px = record.avgPrice !== null ? ` @ $${record.avgPrice.toFixed(3)}` : "";
+    console.log(`[Orders] ${record.status}: ${record.side} ${record.filledSize}/${record.requestedSize}${px} | ${record.orderId.slice(0, 10)}… | ${record.closedAt - record.placedAt}ms`);
+    if (record.filledSize > 0) {
+      tradingEvents.publish(EVENTS.ORDER_FILLED, {
+        orderId: record.orderId,
+        tokenId: record.tokenId,
+        side: record.side,
+        status: record.status,
+        filledSize: record.filledSize,
+        requestedSize: record.requestedSize,
+        avgPrice: record.avgPrice,
+        makerSize: record.makerSize,
+        fee: this.tradingService.feeModel?.fillFee(record, record.tokenId) ?? null,
+        placedAt: new Date(record.placedAt).toISOString(),
+        filledAt: new Date(record.closedAt).toISOString(),
+        tradeIds: record.tradeIds
+      });
+    }
+
+    this._trimHistory();
+    return { ...record };
+  }
+
+  _trimHistory() {
+    if (this.orders.size <= this.MAX_HISTORY) return;
+    for (const [orderId, rec] of this.orders) {
+      if (this.orders.size <= this.MAX_HISTORY) break;
+      if (rec.closedAt) this.orders.delete(orderId);
+    }
+  }
+
+  getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
+  getStats() {
+    const live = [...this.orders.values()].filter(o => !o.closedAt).length;
+    return {
+      live,
+      filled: this.counts.filled,
+      partial: this.counts.partial,
+      unfilled: this.counts.unfilled,
+      recent: [...this.orders.values()].slice(-10)
+    };
+  }
+}
@@ -0,0 +1,348 @@
+import { fetchOrderBook, summarizeOrderBook } from "../data/polymarket.js";
+import { MarketMetaCache } from "./marketMeta.js";
+import { FeeModel } from "./feeModel.js";
+import { tradingEvents, EVENTS } from "./eventBus.js";
+
+// ═══════════════════════════════════════════════════════════════
+// PAPER TRADING — simulated exchange behind the TradingService API
+//
+// Used when TRADING_DRY_RUN=true. Orders are validated and rounded
+// exactly like live orders, then matched against the live order books
+// the main loop fetches for each asset (updateBooks):
+//   • BUY takes asks ≤ limit, SELL takes bids ≥ limit (taker fills)
+//   • GTC remainders rest at the limit and fill as maker when a later
+//     book crosses them; FAK remainders are cancelled; FOK is all-or-none
+//   • Matched size is removed from the cached book so repeated polls
+//     cannot fill the same liquidity twice (until the next refresh)
+// Order and trade records mirror the CLOB's shape so the OrderManager,
+// leg repair and exit engine run unchanged. Cash and token balances are
+// simulated from TRADING_PAPER_BALANCE; resting BUY orders hold back the
+// cash their unfilled remainder could cost, like the CLOB does.
+// ═══════════════════════════════════════════════════════════════
+
+const SIZE_EPSILON = 1e-6;
+
+export class PaperTradingService {
+  constructor(config = {}) {
+    this.startingBalance = config.startingBalance ?? 100;
+    this.BOOK_MAX_AGE_MS = config.bookMaxAgeMs ?? 10_000;  // Fetch a fresh book if the loop's copy is older
+
+    this.isInitialized = false;
+    this.isPaper = true;
+    this.cash = this.startingBalance;
+    this.tokenBalances = new Map();  // tokenId → shares held
+    this.books = new Map();          // tokenId → { bids, asks, updatedAt }
+    this.orders = new Map();         // orderId → CLOB-shaped order record
+    this.trades = new Map();         // tradeId → CLOB-shaped trade record
+    this.activeOrders = new Map();
+    this.nextId = 1;
+
+    this.marketMeta = new MarketMetaCache();
+    this.feeModel = new FeeModel();
+  }
+
+  async initialize() {
+    this.isInitialized = true;
+    console.log(`[Paper] ✓ Paper exchange ready | Balance: $${this.cash.toFixed(2)} USDC (simulated)`);
+    return true;
+  }
+
+  // ─── BOOK FEED ───────────────────────────────────────────────
+  // marketData: per-asset snapshot from the main loop (upBook/downBook summaries)
+  updateBooks(marketData) {
+    if (!marketData) return;
+    if (marketData.upTokenId && marketData.upBook) this.updateBook(marketData.upTokenId, marketData.upBook);
+    if (marketData.downTokenId && marketData.downBook) this.updateBook(marketData.downTokenId, marketData.downBook);
+  }
+
+  updateBook(tokenId, summary) {
+    if (!Array.isArray(summary?.asks) || !Array.isArray(summary?.bids)) return;
+    // Copy levels — matching consumes size from our cached copy only
+    this.books.set(tokenId, {
+      asks: summary.asks.map(l => ({ price: l.price, size: l.size })),
+      bids: summary.bids.map(l => ({ price: l.price, size: l.size })),
+      updatedAt: Date.now()
+    });
+    this._matchResting(tokenId);
+  }
+
+  async _bookFor(tokenId) {
+    const cached = this.books.get(tokenId);
+    if (cached && Date.now() - cached.updatedAt < this.BOOK_MAX_AGE_MS) return cached;
+
+    try {
+      this.updateBook(tokenId, summarizeOrderBook(await fetchOrderBook({ tokenId })));
+    } catch (e) {
+      console.log(`[Paper] ⚠ Book fetch failed for ${tokenId.slice(0, 10)}…: ${e.message}`);
+    }
+    return this.books.get(tokenId) || null;
+  }
+
+  // ─── MATCHING ────────────────────────────────────────────────
+  // Walk the opposite side of the book up to the order's limit
+  _sweep(order, book, maxSize) {
+    const levels = order.side === "BUY" ? book.asks : book.bids;
+    const fills = [];
+    let remaining = maxSize;
+    for (const level of levels) {
+      if (remaining <= SIZE_EPSILON) break;
+      if (order.side === "BUY" ? level.price > order.price : level.price < order.price) break;
+      const qty = Math.min(remaining, level.size);
+      if (qty <= SIZE_EPSILON) continue;
+      fills.push({ price: level.price, size: qty });
+      remaining -= qty;
+    }
+    return fills;
+  }
+
+  _consume(book, side, fills) {
+    const levels = side === "BUY" ? book.asks : book.bids;
+    for (const f of fills) {
+      const level = levels.find(l => l.price === f.price);
+      if (level) level.size = Math.max(0, level.size - f.size);
+    }
+  }
+
+  _applyFill(order, { price, size }, traderSide) {
+    const tradeId = `paper-trade-${this.nextId++}`;
+    const tokenId = order.asset_id;
+    const fee = traderSide === "MAKER"
+      ? size * this.feeModel.makerFee(price, tokenId)
+      : size * this.feeModel.takerFee(price, tokenId);
+
+    if (order.side === "BUY") {
+      this.cash -= price * size + fee;
+      this.tokenBalances.set(tokenId, (this.tokenBalances.get(tokenId) || 0) + size);
+    } else {
+      this.cash += price * size - fee;
+      this.tokenBalances.set(tokenId, Math.max(0, (this.tokenBalances.get(tokenId) || 0) - size));
+    }
+
+    const trade = {
+      id: tradeId,
+      taker_order_id: traderSide === "TAKER" ? order.id : null,
+      asset_id: tokenId,
+      side: order.side,
+      size: String(size),
+      price: String(price),
+      fee_rate_bps: String(this.feeModel.feeRateBps(tokenId)),
+      status: "MATCHED",
+      match_time: String(Math.floor(Date.now() / 1000)),
+      trader_side: traderSide,
+      maker_orders: traderSide === "MAKER"
+        ? [{ order_id: order.id, matched_amount: String(size), price: String(price), asset_id: tokenId, side: order.side }]
+        : []
+    };
+    this.trades.set(tradeId, trade);
+
+    order.matched += size;
+    order.size_matched = String(order.matched);
+    order.associate_trades.push(tradeId);
+    if (order.matched >= order.requested - SIZE_EPSILON) order.status = "MATCHED";
+  }
+
+  // Cash the unfilled part of every resting BUY could still cost (fees at the taker rate)
+  _reservedCash() {
+    let reserved = 0;
+    for (const order of this.orders.values()) {
+      if (order.side !== "BUY" || order.status !== "LIVE") continue;
+      const open = Math.max(0, order.requested - order.matched);
+      reserved += open * (order.price + this.feeModel.takerFee(order.price, order.asset_id));
+    }
+    return reserved;
+  }
+
+  // Resting GTC orders fill as maker once a fresh book crosses their limit
+  _matchResting(tokenId) {
+    const book = this.books.get(tokenId);
+    if (!book) return;
+    for (const order of this.orders.values()) {
+      if (order.asset_id !== tokenId || order.status !== "LIVE") continue;
+      const fills = this._sweep(order, book, order.requested - order.matched);
+      if (fills.length === 0) continue;
+      this._consume(book, order.side, fills);
+      const size = fills.reduce((acc, f) => acc + f.size, 0);
+      // A resting order is filled at its own limit price
+      this._applyFill(order, { price: order.price, size }, "MAKER");
+      console.log(`[Paper] Resting ${order.side} ${order.id} filled ${size.toFixed(2)} @ $${order.price.toFixed(3)} (maker)`);
+    }
+  }
+
+  // ─── TRADING SERVICE INTERFACE ───────────────────────────────
+  async placeOrder({ tokenId, side, price, size, orderType = "GTC" }) {
+    if (!this.isInitialized) {
+      throw new Error("Trading service not initialized");
+    }
+
+    const orderSide = String(side || "").toUpperCase();
+    if (orderSide !== "BUY" && orderSide !== "SELL") {
+      throw new Error(`Invalid order side: ${side}`);
+    }
+
+    // SELL orders can only offer shares we actually hold
+    if (orderSide === "SELL") {
+      const held = await this.getTokenBalance(tokenId);
+      if (held < size) {
+        if (held <= 0) {
+          throw new Error(`No shares held for token ${tokenId.slice(0, 10)}… — cannot sell`);
+        }
+        console.log(`[Paper] ⚠ Sell size ${size} exceeds balance ${held} — selling ${held}`);
+        size = held;
+      }
+    }
+
+    const normalized = await this.marketMeta.normalizeOrder({ tokenId, side: orderSide, price, size });
+    if (!normalized.ok) {
+      throw new Error(`Order rejected: ${normalized.reason}`);
+    }
+    price = normalized.price;
+    size = normalized.size;
+    await this.feeModel.getFeeRateBps(tokenId);
+
+    if (orderSide === "BUY") {
+      const maxCost = price * size + size * this.feeModel.takerFee(price, tokenId);
+      const available = this.cash - this._reservedCash();
+      if (maxCost > available + SIZE_EPSILON) {
+        return { success: false, errorMsg: `not enough balance: need $${maxCost.toFixed(2)}, have $${available.toFixed(2)} not reserved by open orders (paper)` };
+      }
+    }
+
+    const orderId = `paper-${this.nextId++}`;
+    const order = {
+      id: orderId,
+      status: "LIVE",
+      side: orderSide,
+      asset_id: tokenId,
+      price,
+      original_size: String(size),
+      size_matched: "0",
+      order_type: orderType,
+      associate_trades: [],
+      created_at: Math.floor(Date.now() / 1000),
+      requested: size,
+      matched: 0
+    };
+
+    const book = await this._bookFor(tokenId);
+    const fills = book ? this._sweep(order, book, size) : [];
+    const fillable = fills.reduce((acc, f) => acc + f.size, 0);
+
+    if (orderType === "FOK" && fillable < size - SIZE_EPSILON) {
+      console.log(`[Paper] ✗ FOK ${orderSide} ${size} @ $${price.toFixed(3)} killed (${fillable.toFixed(2)} available)`);
+      return { success: false, errorMsg: "order couldn't be fully filled, FOK orders are fully filled or killed (paper)" };
+    }
+
+    this.orders.set(orderId, order);
+    if (book && fills.length > 0) {
+      this._consume(book, orderSide, fills);
+      for (const f of fills) this._applyFill(order, f, "TAKER");
+    }
+
+    if (order.status === "LIVE" && orderType !== "GTC" && orderType !== "GTD") {
+      order.status = "CANCELED";  // FAK: remainder never rests
+    }
+
+    const status = order.status === "MATCHED" ? "matched" : order.status === "LIVE" ? "live" : "canceled";
+    console.log(`[Paper] ${orderSide} ${size} @ $${price.toFixed(3)} ${orderType} → ${status} (${order.matched.toFixed(2)} matched) | Cash $${this.cash.toFixed(2)}`);
+
+    if (order.status === "LIVE") {
+      this.activeOrders.set(orderId, { orderID: orderId, timestamp: Date.now(), tokenId, side: orderSide, price, size });
+    }
+    tradingEvents.publish(EVENTS.ORDER_PLACED, { orderId, tokenId, side: orderSide, price, size, orderType, status, paper: true });
+
+    return { success: true, orderID: orderId, status, submittedPrice: price, submittedSize: size };
+  }
+
+  async sellShares({ tokenId, price, size, orderType = "GTC" }) {
+    return await this.placeOrder({ tokenId, side: "SELL", price, size, orderType });
+  }
+
+  async getTokenBalance(tokenId) {
+    return this.tokenBalances.get(tokenId) || 0;
+  }
+
+  async getBalance() {
+    return this.cash;
+  }
+
+  async getOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) return null;
+    // Give resting orders a chance against the freshest book we have
+    if (order.status === "LIVE") await this._bookFor(order.asset_id).then(() => this._matchResting(order.asset_id));
+    const { requested, matched, ...clobShape } = order;
+    return { ...clobShape, price: String(order.price), associate_trades: [...order.associate_trades] };
+  }
+
+  async getTrades(params = {}) {
+    if (params.id) {
+      const trade = this.trades.get(params.id);
+      return trade ? [trade] : [];
+    }
+    return [...this.trades.values()].filter(t => !params.asset_id || t.asset_id === params.asset_id);
+  }
+
+  async getOpenOrders() {
+    return [...this.orders.values()].filter(o => o.status === "LIVE").map(o => ({ ...o, price: String(o.price) }));
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (order && order.status === "LIVE") {
+      order.status = "CANCELED";
+      console.log(`[Paper] Order cancelled: ${orderId}`);
+      tradingEvents.publish(EVENTS.ORDER_CANCELLED, { orderId, paper: true });
+    }
+    this.activeOrders.delete(orderId);
+    return { canceled: order ? [orderId] : [], not_canceled: {} };
+  }
+
+  async cancelAllOrders() {
+    const canceled = [];
+    for (const order of this.orders.values()) {
+      if (order.status === "LIVE") {
+        order.status = "CANCELED";
+        canceled.push(order.id);
+      }
+    }
+    this.activeOrders.clear();
+    console.log(`[Paper] All orders cancelled (${canceled.length})`);
+    for (const orderId of canceled) tradingEvents.publish(EVENTS.ORDER_CANCELLED, { orderId, paper: true });
+    return { canceled, not_canceled: {} };
+  }
+
+  // Winning shares redeem at $1 once the tracker resolves a position
+  settlePositions(resolvedPositions = []) {
+    for (const pos of resolvedPositions) {
+      if (!pos.tokenId) continue;
+      const held = this.tokenBalances.get(pos.tokenId) || 0;
+      if (held <= 0) continue;
+      this.cash += pos.status === "RESOLVED_WIN" ? held : 0;
+      this.tokenBalances.delete(pos.tokenId);
+    }
+  }
+
+  forgetOrder(orderId) {
+    this.activeOrders.delete(orderId);
+  }
+
+  getActiveOrdersCount() {
+    return this.activeOrders.size;
+  }
+
+  getWalletAddress() {
+    return "paper";
+  }
+
+  getStats() {
+    return {
+      startingBalance: this.startingBalance,
+      cash: this.cash,
+      reservedCash: this._reservedCash(),
+      tokenBalances: Object.fromEntries(this.tokenBalances),
+      orders: this.orders.size,
+      trades: this.trades.size,
+      liveOrders: [...this.orders.values()].filter(o => o.status === "LIVE").length
+    };
+  }
+}
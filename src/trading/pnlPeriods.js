@@ -0,0 +1,216 @@
+import { EVENTS } from "./eventBus.js";
+import { tradeWon } from "./positionTracker.js";
+
+// ═══════════════════════════════════════════════════════════════
+// P&L PERIODS — trading-day calendar and day/week/month rollups
+//
+// TradingCalendar: a trading day starts at RESET_HOUR in TIMEZONE
+// (default 00:00 UTC). Week keys are ISO weeks of the trading day,
+// month keys its calendar month.
+//
+// PnlPeriods: every closed trade (position.resolved / stoppedOut /
+// exited) is added to its day, week and month bucket, broken down by
+// asset × strategy. Stale restatements are booked into the period the
+// write-off was originally closed in. Buckets are written atomically to
+// periods.json next to the ledger, and rebuilt from the ledger's closed
+// trades when the file is missing or the calendar settings changed.
+// ═══════════════════════════════════════════════════════════════
+
+const PERIODS = ["day", "week", "month"];
+const FILE = "periods.json";
+
+export class TradingCalendar {
+  constructor({ timeZone = "UTC", resetHour = 0 } = {}) {
+    if (!Number.isInteger(resetHour) || resetHour < 0 || resetHour > 23) {
+      throw new Error(`Trading day reset hour must be an integer 0-23 (got ${resetHour})`);
+    }
+    try {
+      this.format = new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" });
+    } catch {
+      throw new Error(`Unknown trading day timezone: ${timeZone}`);
+    }
+    this.timeZone = timeZone;
+    this.resetHour = resetHour;
+    this.id = `${timeZone}@${String(resetHour).padStart(2, "0")}:00`;
+  }
+
+  // "YYYY-MM-DD" of the trading day containing ts
+  dayKey(ts = Date.now()) {
+    return this.format.format(new Date(ts - this.resetHour * 3600_000));
+  }
+
+  keys(ts = Date.now()) {
+    const day = this.dayKey(ts);
+    return { day, week: isoWeek(day), month: day.slice(0, 7) };
+  }
+}
+
+export class PnlPeriods {
+  constructor({ calendar, store, positionTracker, retention = {} }) {
+    this.calendar = calendar;
+    this.store = store;
+    this.positionTracker = positionTracker;
+    this.RETENTION = { day: retention.day ?? 120, week: retention.week ?? 104, month: retention.month ?? 36 };
+
+    this.periods = { day: {}, week: {}, month: {} };
+    this.writeErrors = 0;
+  }
+
+  load() {
+    let doc = null;
+    try {
+      doc = this.store.readDocument(FILE);
+    } catch (e) {
+      console.error(`[Periods] ✗ Could not read ${FILE}: ${e.message} — rebuilding from ledger`);
+    }
+    if (doc && doc.calendar === this.calendar.id) {
+      this.periods = { day: {}, week: {}, month: {}, ...doc.periods };
+      return;
+    }
+
+    const trades = this.positionTracker.closedTrades();
+    for (const trade of trades) {
+      this._add(trade.resolvedAt || trade.openedAt || Date.now(), trade, tradeWon(trade), trade.pnl || 0);
+    }
+    this._save();
+    const why = doc ? `trading day changed to ${this.calendar.id}` : `no ${FILE}`;
+    console.log(`[Periods] Rebuilt rollups from ${trades.length} closed trades (${why})`);
+  }
+
+  // Subscribe to closes and restatements; returns unsubscribe functions
+  attach(bus) {
+    const onClose = ({ at, position, won, pnl }) => {
+      this._add(Date.parse(at), position, won, pnl);
+      this._save();
+    };
+    return [
+      bus.subscribe(EVENTS.POSITION_RESOLVED, onClose),
+      bus.subscribe(EVENTS.POSITION_STOPPED_OUT, onClose),
+      bus.subscribe(EVENTS.POSITION_EXITED, onClose),
+      bus.subscribe(EVENTS.POSITION_RESTATED, (event) => this._onRestated(event))
+    ];
+  }
+
+  _onRestated({ at, position, adjustment, closedAt }) {
+    const ts = closedAt ?? Date.parse(at);
+    const flip = adjustment.countedAs === "LOSS → WIN" ? 1 : adjustment.countedAs === "WIN → LOSS" ? -1 : 0;
+    for (const agg of this._aggregates(ts, position)) {
+      agg.pnl += adjustment.delta;
+      agg.wins += flip;
+      agg.losses -= flip;
+      agg.adjustments++;
+    }
+    this._save();
+  }
+
+  _add(ts, trade, won, pnl) {
+    for (const agg of this._aggregates(ts, trade)) {
+      agg.trades++;
+      if (won) agg.wins++;
+      else agg.losses++;
+      agg.pnl += pnl;
+      agg.fees += trade.fees || 0;
+    }
+  }
+
+  // Bucket totals and the asset|strategy slice of each period containing ts
+  _aggregates(ts, trade) {
+    const keys = this.calendar.keys(ts);
+    // Restated arb legs book under their group's strategy (PURE_ARB_UP → PURE_ARB)
+    const strategy = trade.groupId ? String(trade.strategy).replace(/_(UP|DOWN)$/, "") : trade.strategy;
+    const combo = `${trade.assetName || "BTC"}|${strategy || "UNKNOWN"}`;
+    const out = [];
+    for (const period of PERIODS) {
+      const bucket = this.periods[period][keys[period]] ??= { ...emptyAgg(), combos: {} };
+      out.push(bucket, bucket.combos[combo] ??= emptyAgg());
+    }
+    return out;
+  }
+
+  _save() {
+    for (const period of PERIODS) {
+      const keys = Object.keys(this.periods[period]).sort();
+      for (const key of keys.slice(0, Math.max(0, keys.length - this.RETENTION[period]))) {
+        delete this.periods[period][key];
+      }
+    }
+    try {
+      this.store.writeDocument(FILE, { calendar: this.calendar.id, updatedAt: new Date().toISOString(), periods: this.periods });
+    } catch (e) {
+      this.writeErrors++;
+      console.error(`[Periods] ✗ ${FILE} write failed: ${e.message}`);
+    }
+  }
+
+  // Today's totals (used to carry the daily guardrails across restarts)
+  today() {
+    const { combos, ...totals } = this.periods.day[this.calendar.dayKey()] || emptyAgg();
+    return totals;
+  }
+
+  query(options = {}) {
+    return queryPeriods({ calendar: this.calendar.id, periods: this.periods }, { ...options, current: this.calendar.keys() });
+  }
+}
+
+// Filtered, newest-first view of a periods document:
+// { period: "day"|"week"|"month", asset, strategy, limit }
+export function queryPeriods(doc, { period = "day", asset = null, strategy = null, limit = 30, current = null } = {}) {
+  if (!PERIODS.includes(period)) {
+    throw new Error(`period must be one of ${PERIODS.join(", ")}`);
+  }
+  const buckets = doc?.periods?.[period] || {};
+  const keys = Object.keys(buckets).sort().reverse().slice(0, limit);
+
+  const items = keys.map(key => {
+    const total = emptyAgg();
+    const byAsset = {};
+    const byStrategy = {};
+    for (const [combo, agg] of Object.entries(buckets[key].combos || {})) {
+      const [a, s] = combo.split("|");
+      if ((asset && a !== asset) || (strategy && s !== strategy)) continue;
+      addAgg(total, agg);
+      addAgg(byAsset[a] ??= emptyAgg(), agg);
+      addAgg(byStrategy[s] ??= emptyAgg(), agg);
+    }
+    return { key, ...withRates(total), byAsset: mapValues(byAsset, withRates), byStrategy: mapValues(byStrategy, withRates) };
+  });
+
+  return {
+    calendar: doc?.calendar ?? null,
+    period,
+    current: current?.[period] ?? null,
+    filters: { asset, strategy },
+    items
+  };
+}
+
+function emptyAgg() {
+  return { trades: 0, wins: 0, losses: 0, pnl: 0, fees: 0, adjustments: 0 };
+}
+
+function addAgg(into, agg) {
+  for (const k of Object.keys(emptyAgg())) into[k] += agg[k] || 0;
+}
+
+function withRates(agg) {
+  return { ...agg, pnl: round(agg.pnl), fees: round(agg.fees), winRate: agg.trades > 0 ? round(agg.wins / agg.trades * 100) : null };
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// "YYYY-Www" ISO week of a "YYYY-MM-DD" day
+function isoWeek(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  const weekday = (d.getUTCDay() + 6) % 7;           // Monday = 0
+  d.setUTCDate(d.getUTCDate() - weekday + 3);         // Thursday of this week decides the year
+  const year = d.getUTCFullYear();
+  const week = Math.floor((d - Date.UTC(year, 0, 1)) / (7 * 86400_000)) + 1;
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
@@ -1,20 +1,31 @@
-import fs from "node:fs";
 import path from "node:path";
+import { TradeStore } from "./tradeStore.js";
+import { tradingEvents, EVENTS } from "./eventBus.js";
+import { priceTier } from "./analytics.js";
+import { appendCsvRow } from "../utils.js";
 
 const LOG_DIR = path.join(process.cwd(), "logs");
-const PNL_FILE = path.join(LOG_DIR, "pnl.json");
-const CSV_FILE = path.join(LOG_DIR, "trades.csv");
-const JOURNAL_FILE = path.join(LOG_DIR, "journal.json");
+const CSV_HEADER = ["timestamp", "asset", "market", "direction", "outcome", "won", "strategy", "entryPrice", "oppositePrice", "combinedPrice", "cost", "pnl", "priceStart", "priceEnd", "movePct", "overreaction", "bullScore", "bearScore", "signals", "streak", "status", "exitPrice", "fees"];
 
 export class PositionTracker {
-  constructor() {
+  // logDir: where this ledger's TradeStore files live
+  // (paper trading keeps its own ledger in a separate directory)
+  constructor({ logDir = LOG_DIR } = {}) {
+    this.logDir = logDir;
+    this.store = new TradeStore({ dir: logDir });
+    this.files = this.store.files;
+    this.store.alignCsvHeader(CSV_HEADER);   // Files from before a column change
+    this._dirty = new Set();   // Positions/groups changed since the last append
     this.openPositions = [];   // Currently open (waiting for resolution)
     this.closedPositions = []; // Resolved positions with P&L
+    this.closedGroups = [];    // Multi-leg trades (arb pairs) settled as one unit
     this.totalPnl = 0;
     this.wins = 0;
     this.losses = 0;
     this.totalCost = 0;
     this.totalReturn = 0;
+    this.totalFees = 0;        // Trading fees paid on entries and exits (from the fee model)
+    this.totalRedeemed = 0;    // USDC collected by redeeming resolved shares on-chain
     this.recentOutcomes = [];  // Track last N outcomes for streak analysis
     this.pausedAt = null;      // When trading was paused (3+ losses)
     this.pauseReason = null;   // Why trading was paused
@@ -22,23 +33,28 @@ export class PositionTracker {
     // Reset P&L if requested (set RESET_PNL=true to start fresh)
     if (process.env.RESET_PNL === "true") {
       console.log("[Tracker] ⚠ RESET_PNL=true — wiping old P&L data, starting fresh");
-      this._saveState(); // Save clean state
+      this._snapshot(); // Save clean state
     } else {
       // Load saved P&L data
       this._loadState();
     }
-    this._ensureCsvHeader();
   }
 
-  // Record a new position when an order is placed
-  addPosition({ orderId, direction, outcome, price, size, confidence, edge, marketSlug, marketEndTime, priceToBeat, upPrice, downPrice, indicators, bullScore, bearScore, signals, strategy, assetName }) {
+  // Record a new position once its order has (at least partially) filled
+  // size/price are the matched quantity and average fill price;
+  // requestedSize is what the order originally asked for; fee is the entry fee paid
+  addPosition({ orderId, tokenId, direction, outcome, price, size, requestedSize, fee, confidence, edge, marketSlug, marketEndTime, priceToBeat, upPrice, downPrice, indicators, bullScore, bearScore, signals, strategy, assetName, groupId }) {
     const position = {
       orderId,
+      tokenId: tokenId || null,  // Outcome token — needed to sell the position
       direction,       // "LONG" or "SHORT"
       outcome,         // "Up" or "Down"
       entryPrice: price,
       size,
+      requestedSize: requestedSize ?? size,
+      partialFill: requestedSize !== undefined && size < requestedSize,
       cost: price * size,
+      fees: fee || 0,  // Entry fee plus any exit fees — deducted from P&L
       confidence,
       edge,
       marketSlug,
@@ -52,160 +68,402 @@ export class PositionTracker {
       signals: signals || [],
       strategy: strategy || "UNKNOWN",
       assetName: assetName || "BTC",  // Track which asset this position is for
+      groupId: groupId || null,  // Legs sharing a groupId (arb pairs) count as one trade
       openedAt: Date.now(),
-      status: "OPEN",  // OPEN -> RESOLVED_WIN / RESOLVED_LOSS
+      status: "OPEN",  // OPEN -> AWAITING_RESOLUTION -> RESOLVED_WIN / RESOLVED_LOSS
       pnl: null,
       returnAmount: null
     };
 
     this.openPositions.push(position);
     this.totalCost += position.cost;
+    this.totalFees += position.fees;
     
-    console.log(`[Tracker] Position opened: ${direction} ${outcome} | ${size} shares @ $${price.toFixed(3)} | Cost: $${position.cost.toFixed(2)} | Edge: ${(edge * 100).toFixed(1)}%`);
-    this._saveState();
+    const fillNote = position.partialFill ? ` (partial fill ${size}/${requestedSize})` : "";
+    console.log(`[Tracker] Position opened: ${direction} ${outcome} | ${size} shares @ $${price.toFixed(3)}${fillNote} | Cost: $${position.cost.toFixed(2)} | Fee: $${position.fees.toFixed(2)} | Edge: ${(edge * 100).toFixed(1)}%`);
+    this._persist(position);
+    tradingEvents.publish(EVENTS.POSITION_OPENED, { position: eventView(position) });
     
     return position;
   }
 
-  // Check if any open positions should be resolved based on market end time
-  // assetName filter ensures we only resolve positions for the given asset
-  // using that asset's own spot price (not BTC price for XRP positions, etc.)
+  // Provisional outcome for positions whose market has ended: compare the
+  // asset's spot price with the latched priceToBeat. This is only what we
+  // EXPECT — positions stay open until settlePosition() applies the official
+  // result. assetName filter ensures each asset uses its own spot price.
   checkResolutions(currentPrice, priceToBeat, assetName = null) {
     const now = Date.now();
-    const resolved = [];
+    const marked = [];
 
-    for (let i = this.openPositions.length - 1; i >= 0; i--) {
-      const pos = this.openPositions[i];
-      
-      // Only resolve positions matching the specified asset (if provided)
-      // This prevents resolving XRP positions with BTC's price, etc.
+    for (const pos of this.openPositions) {
+      // Only positions matching the specified asset (if provided)
+      // This prevents judging XRP positions with BTC's price, etc.
       if (assetName && pos.assetName && pos.assetName !== assetName) {
         continue;
       }
+      if (!pos.marketEndTime || now < pos.marketEndTime || pos.expected) {
+        continue;
+      }
+      if (currentPrice === null || currentPrice === undefined) continue;
+
+      // Use stored priceToBeat from position, fall back to passed parameter
+      const ptb = pos.priceToBeat !== null && pos.priceToBeat !== undefined ? pos.priceToBeat : priceToBeat;
+      let expectedWin = null;
+      if (ptb !== null && ptb !== undefined) {
+        const priceWentUp = currentPrice > ptb;
+        expectedWin = pos.outcome === "Up" ? priceWentUp : !priceWentUp;
+      }
 
-      // Check if market has ended (15m candle closed)
-      if (pos.marketEndTime && now >= pos.marketEndTime) {
-        // Determine outcome
-        let won = false;
-        
-        // Use stored priceToBeat from position, fall back to passed parameter
-        const ptb = pos.priceToBeat !== null && pos.priceToBeat !== undefined ? pos.priceToBeat : priceToBeat;
-        
-        if (ptb !== null && currentPrice !== null) {
-          const priceWentUp = currentPrice > ptb;
-          const priceWentDown = currentPrice <= ptb;
-          
-          if (pos.outcome === "Up" && priceWentUp) won = true;
-          if (pos.outcome === "Down" && priceWentDown) won = true;
-        } else {
-          // Can't determine - mark as unknown, assume loss for safety
-          won = false;
-        }
-
-        // Calculate P&L
-        if (won) {
-          // Winning position: each share pays $1
-          pos.returnAmount = pos.size * 1.0;
-          pos.pnl = pos.returnAmount - pos.cost;
-          pos.status = "RESOLVED_WIN";
-          this.wins++;
-        } else {
-          // Losing position: shares worth $0
-          pos.returnAmount = 0;
-          pos.pnl = -pos.cost;
-          pos.status = "RESOLVED_LOSS";
-          this.losses++;
-        }
+      pos.expected = {
+        outcome: expectedWin === null ? "UNKNOWN" : (expectedWin ? "WIN" : "LOSS"),
+        spotPrice: currentPrice,
+        priceToBeat: ptb ?? null,
+        at: now
+      };
+      pos.status = "AWAITING_RESOLUTION";
+      marked.push(pos);
 
-        this.totalPnl += pos.pnl;
-        this.totalReturn += pos.returnAmount;
-        pos.resolvedAt = now;
-        pos.resolvedPrice = currentPrice;
-        pos.resolvedPriceToBeat = priceToBeat;
+      const assetTag = pos.assetName ? `[${pos.assetName}]` : "";
+      console.log(`[Tracker] ⏳ ${assetTag} Market ended: ${pos.direction} ${pos.outcome} expected ${pos.expected.outcome} (spot ${currentPrice} vs ${ptb ?? "?"}) — awaiting official result`);
+    }
 
-        this.closedPositions.push(pos);
-        this.openPositions.splice(i, 1);
-        resolved.push(pos);
+    if (marked.length > 0) {
+      this._persist(...marked);
+    }
 
-        const emoji = won ? "✅" : "❌";
-        const assetTag = pos.assetName ? `[${pos.assetName}]` : "";
-        console.log(`[Tracker] ${emoji} ${assetTag} Position resolved: ${pos.direction} ${pos.outcome} | P&L: $${pos.pnl.toFixed(2)} | Total P&L: $${this.totalPnl.toFixed(2)}`);
-        
-        // Track outcomes for streak analysis
-        this.recentOutcomes.push(won ? "W" : "L");
-        if (this.recentOutcomes.length > 20) this.recentOutcomes.shift();
-        
-        // Enhanced analysis for ALL trades (wins and losses)
-        this._enhancedTradeAnalysis(pos, currentPrice, won);
-      }
+    return marked;
+  }
+
+  // Settle a position from the market's official result.
+  // official: { winner: "Up" | "Down", source, outcomePrices, umaResolutionStatus, closedTime }
+  settlePosition(pos, official) {
+    const idx = this.openPositions.indexOf(pos);
+    if (idx === -1) return null;
+
+    const now = Date.now();
+    const won = pos.outcome === official.winner;
+
+    // Calculate P&L (proceeds from any shares sold early count toward it, fees against it)
+    const proceeds = (pos.proceeds || 0) - (pos.fees || 0);
+    if (won) {
+      // Winning position: each held share pays $1
+      pos.returnAmount = this.heldSize(pos) * 1.0;
+      pos.pnl = pos.returnAmount + proceeds - pos.cost;
+      pos.status = "RESOLVED_WIN";
+    } else {
+      // Losing position: shares worth $0
+      pos.returnAmount = 0;
+      pos.pnl = proceeds - pos.cost;
+      pos.status = "RESOLVED_LOSS";
     }
 
-    if (resolved.length > 0) {
-      this._saveState();
+    this.totalPnl += pos.pnl;
+    this.totalReturn += pos.returnAmount;
+    pos.resolvedAt = now;
+    pos.resolvedPrice = pos.expected?.spotPrice ?? null;
+    pos.resolvedPriceToBeat = pos.expected?.priceToBeat ?? pos.priceToBeat ?? null;
+    pos.resolution = this._resolutionRecord(pos, official, won);
+
+    this.closedPositions.push(pos);
+    this.openPositions.splice(idx, 1);
+
+    const emoji = won ? "✅" : "❌";
+    const assetTag = pos.assetName ? `[${pos.assetName}]` : "";
+    console.log(`[Tracker] ${emoji} ${assetTag} Position resolved (${official.source}: ${official.winner}): ${pos.direction} ${pos.outcome} | P&L: $${pos.pnl.toFixed(2)} | Total P&L: $${this.totalPnl.toFixed(2)}`);
+    if (pos.resolution.matchedExpected === false) {
+      console.log(`[Tracker] ⚠ ${assetTag} Official result differs from spot estimate (expected ${pos.expected.outcome}, spot ${pos.expected.spotPrice} vs ${pos.expected.priceToBeat})`);
     }
 
-    return resolved;
+    this._closeTrade(pos, won, { report: "analysis", resolvedPrice: pos.resolvedPrice });
+
+    this._persist(pos);
+    return pos;
+  }
+
+  // What the official result said, and whether our spot estimate agreed
+  _resolutionRecord(pos, official, won) {
+    return {
+      source: official.source,
+      winner: official.winner,
+      conditionId: official.conditionId ?? null,
+      outcomePrices: official.outcomePrices,
+      umaResolutionStatus: official.umaResolutionStatus ?? null,
+      closedTime: official.closedTime ?? null,
+      expected: pos.expected?.outcome ?? "UNKNOWN",
+      matchedExpected: pos.expected ? pos.expected.outcome === (won ? "WIN" : "LOSS") : null
+    };
+  }
+
+  // Record what an on-chain redemption paid for a closed position.
+  // P&L was already booked at resolution; this tracks the cash actually collected.
+  recordRedemption(pos, { conditionId, amount, txHash, note = null }) {
+    pos.redemption = {
+      conditionId,
+      amount,
+      txHash,
+      note,
+      redeemedAt: Date.now()
+    };
+    this.totalRedeemed += amount;
+    this._persist(pos);
+    tradingEvents.publish(EVENTS.POSITION_REDEEMED, { position: eventView(pos), redemption: pos.redemption });
+    return pos;
+  }
+
+  // Open positions whose market has ended and still need an official result
+  awaitingResolution(assetName = null) {
+    const now = Date.now();
+    return this.openPositions.filter(pos =>
+      pos.marketEndTime && now >= pos.marketEndTime &&
+      (!assetName || !pos.assetName || pos.assetName === assetName)
+    );
   }
 
   // Force-resolve old positions that are past their market end time
-  // (in case we missed the resolution window)
+  // (in case the official result never arrived)
   cleanupStalePositions() {
     const now = Date.now();
-    const STALE_THRESHOLD = 5 * 60 * 1000; // 5 minutes past end time
+    const STALE_THRESHOLD = 60 * 60 * 1000; // 60 minutes past end time without an official result
+    const stale = [];
     
     for (let i = this.openPositions.length - 1; i >= 0; i--) {
       const pos = this.openPositions[i];
       if (pos.marketEndTime && now - pos.marketEndTime > STALE_THRESHOLD) {
         // Assume loss for stale positions we couldn't resolve
         pos.returnAmount = 0;
-        pos.pnl = -pos.cost;
+        pos.pnl = (pos.proceeds || 0) - (pos.fees || 0) - pos.cost;
         pos.status = "RESOLVED_STALE";
         pos.resolvedAt = now;
-        this.losses++;
         this.totalPnl += pos.pnl;
         
         this.closedPositions.push(pos);
         this.openPositions.splice(i, 1);
         
         console.log(`[Tracker] ⚠ Stale position resolved as loss: ${pos.direction} ${pos.outcome} | P&L: $${pos.pnl.toFixed(2)}`);
+        this._closeTrade(pos, false, { report: "ledger" });
+        stale.push(pos);
       }
     }
     
-    this._saveState();
+    // Called every loop — only write when something actually went stale
+    if (stale.length > 0) this._persist(...stale);
   }
 
-  // Check if any open positions should be stopped out (20% loss)
-  checkStopLoss(currentMarketPrices) {
-    const STOP_LOSS_THRESHOLD = 0.20; // 20% loss triggers stop
-    const stoppedOut = [];
+  // Shares still held (size minus anything sold back before resolution)
+  heldSize(pos) {
+    return Math.max(0, pos.size - (pos.soldSize || 0));
+  }
 
-    for (const pos of this.openPositions) {
-      // Get current market price for this position's outcome
-      const currentPrice = pos.outcome === "Up" 
-        ? currentMarketPrices?.upPrice 
-        : currentMarketPrices?.downPrice;
-      
-      if (!currentPrice || currentPrice <= 0) continue;
-
-      // Calculate unrealized loss
-      const currentValue = currentPrice * pos.size;
-      const unrealizedPnl = currentValue - pos.cost;
-      const lossPercent = unrealizedPnl / pos.cost;
-
-      // If we're down 20% or more, flag for stop-loss
-      if (lossPercent <= -STOP_LOSS_THRESHOLD) {
-        console.log(`[Stop-Loss] Position down ${(lossPercent * 100).toFixed(1)}% | ${pos.outcome} @ $${pos.entryPrice.toFixed(3)} → $${currentPrice.toFixed(3)}`);
-        console.log(`[Stop-Loss] Would sell now to cut losses (current value: $${currentValue.toFixed(2)} vs cost: $${pos.cost.toFixed(2)})`);
-        stoppedOut.push({
-          position: pos,
-          currentPrice,
-          lossPercent,
-          unrealizedPnl
-        });
+  // Record shares of an open position sold back to the book.
+  // Partial sells keep the position open; selling the rest closes it with `status`.
+  // fee is the fee paid on this sale.
+  reducePosition(pos, { size, price, fee = 0, status = "CLOSED_SOLD" }) {
+    const idx = this.openPositions.indexOf(pos);
+    if (idx === -1 || !(size > 0)) return null;
+
+    const sold = Math.min(size, this.heldSize(pos));
+    pos.soldSize = (pos.soldSize || 0) + sold;
+    pos.proceeds = (pos.proceeds || 0) + sold * price;
+    pos.fees = (pos.fees || 0) + fee;
+    this.totalFees += fee;
+
+    const assetTag = pos.assetName ? `[${pos.assetName}]` : "";
+    if (this.heldSize(pos) > 1e-6) {
+      console.log(`[Tracker] ${assetTag} Sold ${sold} ${pos.outcome} @ $${price.toFixed(3)} | ${this.heldSize(pos)} shares still held`);
+      this._persist(pos);
+      return pos;
+    }
+
+    pos.returnAmount = pos.proceeds;
+    pos.pnl = pos.proceeds - (pos.fees || 0) - pos.cost;
+    pos.status = status;
+    pos.resolvedAt = Date.now();
+    pos.exitPrice = pos.proceeds / pos.soldSize;
+
+    const won = isWinningPnl(pos.pnl);
+    this.totalPnl += pos.pnl;
+    this.totalReturn += pos.returnAmount;
+
+    this.closedPositions.push(pos);
+    this.openPositions.splice(idx, 1);
+
+    console.log(`[Tracker] ${assetTag} Position closed (${status}): ${pos.direction} ${pos.outcome} | Exit $${pos.exitPrice.toFixed(3)} | P&L: $${pos.pnl.toFixed(2)} | Total P&L: $${this.totalPnl.toFixed(2)}`);
+
+    // Realized exits go to the same CSV/journal as resolutions
+    this._closeTrade(pos, won, { report: "ledger" });
+    this._persist(pos);
+    return pos;
+  }
+
+  // Count a closed position as a trade: win/loss, streak, CSV/journal.
+  // Grouped legs wait until every leg of their group is closed, then the
+  // group is counted once with the net P&L of all legs.
+  // report: "analysis" (resolution) or "ledger" (exit, stale write-off)
+  _closeTrade(pos, won, { report, resolvedPrice = null }) {
+    let trade = pos;
+    if (pos.groupId) {
+      const stillOpen = this.openPositions.filter(p => p.groupId === pos.groupId).length;
+      if (stillOpen > 0) {
+        console.log(`[Tracker] Leg ${pos.outcome} of ${pos.groupId} closed — waiting for ${stillOpen} more leg(s)`);
+        return null;
       }
+      trade = this._closeGroup(pos.groupId, pos);
+      won = isWinningPnl(trade.pnl);
+    }
+
+    if (won) this.wins++;
+    else this.losses++;
+    this.recentOutcomes.push(won ? "W" : "L");
+    if (this.recentOutcomes.length > 20) this.recentOutcomes.shift();
+
+    if (report === "analysis") {
+      this._enhancedTradeAnalysis(trade, resolvedPrice, won);
+    } else if (report === "ledger") {
+      const oppositePrice = trade.isGroup ? null : (trade.outcome === "Up" ? trade.downPrice : trade.upPrice);
+      const combinedPrice = (trade.upPrice && trade.downPrice) ? trade.upPrice + trade.downPrice : null;
+      this._appendCsv(trade, null, won, null, false, oppositePrice, combinedPrice);
+      this._appendJournal(trade, null, won, null, false, oppositePrice, combinedPrice);
+    }
+
+    const type = trade.status === "EXITED_STOP_LOSS" ? EVENTS.POSITION_STOPPED_OUT
+      : String(trade.status).startsWith("RESOLVED_") ? EVENTS.POSITION_RESOLVED
+      : EVENTS.POSITION_EXITED;
+    tradingEvents.publish(type, { position: eventView(trade), won, pnl: trade.pnl || 0 });
+    return trade;
+  }
+
+  // Roll every leg of a group into one trade record shaped like a position
+  _closeGroup(groupId, lastLeg) {
+    const legs = this.closedPositions.filter(p => p.groupId === groupId);
+    const sum = (key) => legs.reduce((s, p) => s + (p[key] || 0), 0);
+    const avgEntry = (outcome) => {
+      const side = legs.filter(p => p.outcome === outcome);
+      const size = side.reduce((s, p) => s + p.size, 0);
+      return size > 0 ? side.reduce((s, p) => s + p.cost, 0) / size : 0;
+    };
+    const pnl = sum("pnl");
+
+    const group = {
+      groupId,
+      isGroup: true,
+      legs: legs.map(p => p.orderId),
+      lastOrderId: lastLeg.orderId,
+      strategy: String(lastLeg.strategy || "UNKNOWN").replace(/_(UP|DOWN)$/, ""),
+      assetName: lastLeg.assetName,
+      marketSlug: lastLeg.marketSlug,
+      marketEndTime: lastLeg.marketEndTime,
+      direction: "ARB",
+      outcome: [...new Set(legs.map(p => p.outcome))].join("+"),
+      entryPrice: avgEntry("Up") + avgEntry("Down"),  // Pair cost per share
+      size: Math.min(...["Up", "Down"].map(o => legs.filter(p => p.outcome === o).reduce((s, p) => s + p.size, 0))),
+      cost: sum("cost"),
+      fees: sum("fees"),
+      proceeds: sum("proceeds"),
+      returnAmount: sum("returnAmount"),
+      pnl,
+      priceToBeat: legs.find(p => p.priceToBeat != null)?.priceToBeat ?? null,
+      upPrice: lastLeg.upPrice,
+      downPrice: lastLeg.downPrice,
+      bullScore: 0,
+      bearScore: 0,
+      signals: lastLeg.signals || [],
+      status: groupStatus(legs.map(p => p.status), pnl),
+      legStatuses: legs.map(p => p.status),
+      exitPrice: null,
+      openedAt: Math.min(...legs.map(p => p.openedAt || Date.now())),
+      resolvedAt: Date.now()
+    };
+    this.closedGroups.push(group);
+    this._dirty.add(group);
+
+    const assetTag = group.assetName ? `[${group.assetName}]` : "";
+    console.log(`[Tracker] ${isWinningPnl(pnl) ? "✅" : "❌"} ${assetTag} ${group.strategy} group closed: ${legs.length} legs (${group.outcome}) | Net P&L: $${pnl.toFixed(2)}`);
+    return group;
+  }
+
+  // Closed trades in the order they finished — an arb group counts once,
+  // at the position of its last leg
+  closedTrades() {
+    const byLastLeg = new Map(this.closedGroups.map(g => [g.lastOrderId, g]));
+    const trades = [];
+    for (const pos of this.closedPositions) {
+      if (!pos.groupId) trades.push(pos);
+      else if (byLastLeg.has(pos.orderId)) trades.push(byLastLeg.get(pos.orderId));
+    }
+    return trades;
+  }
+
+  // Restate a RESOLVED_STALE write-off once the truth is known:
+  //   winner — official winning outcome, or
+  //   payout — USDC actually redeemed for the position's shares
+  // Corrects totalPnl/totalReturn and wins/losses (for a grouped leg, by
+  // whether the group's net P&L flips), and writes an adjustment record
+  // to the journal and CSV.
+  restatePosition(pos, { winner = null, payout = null, source, resolution = null }) {
+    if (pos.status !== "RESOLVED_STALE" || (winner === null && payout === null)) return null;
+
+    const previousPnl = pos.pnl || 0;
+    const won = winner !== null ? pos.outcome === winner : payout > 0;
+    const returnAmount = winner !== null ? (won ? this.heldSize(pos) : 0) : payout;
+    const pnl = returnAmount + (pos.proceeds || 0) - (pos.fees || 0) - pos.cost;
+    const delta = pnl - previousPnl;
+
+    const group = pos.groupId ? this.closedGroups.find(g => g.groupId === pos.groupId) : null;
+    const countedAsWin = group ? isWinningPnl(group.pnl) : false;  // Stale write-offs were counted as losses
+
+    pos.returnAmount = returnAmount;
+    pos.pnl = pnl;
+    pos.status = won ? "RESOLVED_WIN" : "RESOLVED_LOSS";
+    if (resolution) pos.resolution = this._resolutionRecord(pos, resolution, won);
+    this.totalPnl += delta;
+    this.totalReturn += returnAmount;
+
+    let nowWin = won;
+    if (group) {
+      const legs = this.closedPositions.filter(p => p.groupId === group.groupId);
+      group.pnl += delta;
+      group.returnAmount += returnAmount;
+      group.legStatuses = legs.map(p => p.status);
+      group.status = groupStatus(group.legStatuses, group.pnl);
+      nowWin = isWinningPnl(group.pnl);
     }
+    if (nowWin !== countedAsWin) {
+      this.wins += nowWin ? 1 : -1;
+      this.losses += nowWin ? -1 : 1;
+    }
+
+    const adjustment = {
+      type: "ADJUSTMENT",
+      at: new Date().toISOString(),
+      orderId: pos.orderId,
+      groupId: pos.groupId || null,
+      from: "RESOLVED_STALE",
+      to: pos.status,
+      source,
+      previousPnl,
+      pnl,
+      delta,
+      countedAs: nowWin === countedAsWin ? "unchanged" : (nowWin ? "LOSS → WIN" : "WIN → LOSS")
+    };
+    pos.restatement = adjustment;
+
+    // Ledger row carries the P&L delta (cost already booked with the write-off)
+    const row = { ...pos, cost: 0, pnl: delta, status: `ADJUSTMENT:${pos.status}`, signals: [`restated from RESOLVED_STALE via ${source}`] };
+    this._appendCsv(row, null, won, null, false, null, null);
+    this._appendJournal(row, null, won, null, false, null, null, { adjustment });
+
+    const assetTag = pos.assetName ? `[${pos.assetName}]` : "";
+    if (group) this._dirty.add(group);
+    console.log(`[Tracker] 🔁 ${assetTag} Restated stale ${pos.outcome} (${source}): ${pos.status} | P&L $${previousPnl.toFixed(2)} → $${pnl.toFixed(2)} (${delta >= 0 ? "+" : ""}${delta.toFixed(2)}) | Total P&L: $${this.totalPnl.toFixed(2)}`);
+    this._persist(pos);
+    tradingEvents.publish(EVENTS.POSITION_RESTATED, { position: eventView(pos), adjustment, closedAt: pos.resolvedAt ?? null });
+    return adjustment;
+  }
 
-    return stoppedOut;
+  // Attach the outcome of an arb leg repair to the position it concerns
+  recordLegRepair(pos, legRepair) {
+    pos.legRepair = legRepair;
+    this._persist(pos);
   }
 
   getStats() {
@@ -214,18 +472,19 @@ export class PositionTracker {
     const avgPnl = totalTrades > 0 ? this.totalPnl / totalTrades : 0;
     const roi = this.totalCost > 0 ? (this.totalPnl / this.totalCost * 100) : 0;
     
-    // Recent performance (last 10 trades)
-    const recent = this.closedPositions.slice(-10);
-    const recentWins = recent.filter(p => p.status === "RESOLVED_WIN").length;
+    // Recent performance (last 10 trades; an arb group is one trade)
+    const closedTrades = this.closedTrades();
+    const recent = closedTrades.slice(-10);
+    const recentWins = recent.filter(tradeWon).length;
     const recentWinRate = recent.length > 0 ? (recentWins / recent.length * 100) : 0;
     const recentPnl = recent.reduce((sum, p) => sum + (p.pnl || 0), 0);
 
     // Streak tracking
     let currentStreak = 0;
     let streakType = null;
-    for (let i = this.closedPositions.length - 1; i >= 0; i--) {
-      const p = this.closedPositions[i];
-      const isWin = p.status === "RESOLVED_WIN";
+    for (let i = closedTrades.length - 1; i >= 0; i--) {
+      const p = closedTrades[i];
+      const isWin = tradeWon(p);
       if (streakType === null) {
         streakType = isWin ? "WIN" : "LOSS";
         currentStreak = 1;
@@ -238,6 +497,8 @@ export class PositionTracker {
 
     return {
       openPositions: this.openPositions.length,
+      openGroups: new Set(this.openPositions.filter(p => p.groupId).map(p => p.groupId)).size,
+      awaitingResolution: this.awaitingResolution().length,
       totalTrades,
       wins: this.wins,
       losses: this.losses,
@@ -245,13 +506,16 @@ export class PositionTracker {
       totalPnl: this.totalPnl,
       totalCost: this.totalCost,
       totalReturn: this.totalReturn,
+      totalFees: this.totalFees,
+      totalRedeemed: this.totalRedeemed,
       avgPnl,
       roi,
       recentWinRate,
       recentPnl,
       currentStreak,
       streakType,
-      positions: this.openPositions
+      positions: this.openPositions,
+      store: this.store.getStats()
     };
   }
 
@@ -319,7 +583,7 @@ export class PositionTracker {
     const movePct = ptb && resolvedPrice ? ((resolvedPrice - ptb) / ptb) * 100 : null;
     const btcDirection = resolvedPrice > ptb ? "UP" : "DOWN";
     const wasOverreaction = movePct !== null && Math.abs(movePct) > 0.06; // >0.06% is a sharp 15m move
-    const oppositePrice = pos.outcome === "Up" ? pos.downPrice : pos.upPrice;
+    const oppositePrice = pos.isGroup ? null : (pos.outcome === "Up" ? pos.downPrice : pos.upPrice);
     const combinedPrice = (pos.upPrice && pos.downPrice) ? pos.upPrice + pos.downPrice : null;
     const arbOpportunity = combinedPrice !== null && combinedPrice < 0.97; // Up+Down < 97¢ = arb
 
@@ -373,7 +637,7 @@ export class PositionTracker {
   // ROLLING WINDOW ANALYSIS — printed every 4 trades
   // ═══════════════════════════════════════════════════════════════
   _printRollingAnalysis() {
-    const closed = this.closedPositions;
+    const closed = this.closedTrades();
     const total = closed.length;
     
     const windows = [
@@ -388,7 +652,7 @@ export class PositionTracker {
 
     for (const w of windows) {
       if (w.trades.length === 0) continue;
-      const wins = w.trades.filter(t => t.status === "RESOLVED_WIN").length;
+      const wins = w.trades.filter(tradeWon).length;
       const losses = w.trades.length - wins;
       const wr = (wins / w.trades.length * 100).toFixed(0);
       const pnl = w.trades.reduce((s, t) => s + (t.pnl || 0), 0);
@@ -401,7 +665,7 @@ export class PositionTracker {
     for (const t of closed) {
       const strat = t.strategy || "UNKNOWN";
       if (!stratCounts[strat]) stratCounts[strat] = { wins: 0, losses: 0, pnl: 0 };
-      if (t.status === "RESOLVED_WIN") stratCounts[strat].wins++;
+      if (tradeWon(t)) stratCounts[strat].wins++;
       else stratCounts[strat].losses++;
       stratCounts[strat].pnl += t.pnl || 0;
     }
@@ -415,8 +679,8 @@ export class PositionTracker {
     // Price tier breakdown
     const tierCounts = { cheap: { w: 0, l: 0, pnl: 0 }, mid: { w: 0, l: 0, pnl: 0 }, expensive: { w: 0, l: 0, pnl: 0 } };
     for (const t of closed) {
-      const tier = (t.entryPrice || 0) < 0.30 ? "cheap" : (t.entryPrice || 0) < 0.40 ? "mid" : "expensive";
-      if (t.status === "RESOLVED_WIN") tierCounts[tier].w++;
+      const tier = priceTier(t.entryPrice);
+      if (tradeWon(t)) tierCounts[tier].w++;
       else tierCounts[tier].l++;
       tierCounts[tier].pnl += t.pnl || 0;
     }
@@ -431,7 +695,7 @@ export class PositionTracker {
     // Key insights
     console.log(`[Memory] ╠══════════════════════════════════════════════╣`);
     const last4 = closed.slice(-4);
-    const last4WR = last4.length > 0 ? (last4.filter(t => t.status === "RESOLVED_WIN").length / last4.length * 100) : 0;
+    const last4WR = last4.length > 0 ? (last4.filter(tradeWon).length / last4.length * 100) : 0;
     if (last4WR >= 75) {
       console.log(`[Memory] ║ 🔥 HOT STREAK: ${last4WR.toFixed(0)}% win rate last 4 trades`);
     } else if (last4WR <= 25) {
@@ -447,15 +711,10 @@ export class PositionTracker {
   // ═══════════════════════════════════════════════════════════════
   // PERSISTENT JOURNAL — survives restarts, detailed trade records
   // ═══════════════════════════════════════════════════════════════
-  _appendJournal(pos, resolvedPrice, won, movePct, wasOverreaction, oppositePrice, combinedPrice) {
+  _appendJournal(pos, resolvedPrice, won, movePct, wasOverreaction, oppositePrice, combinedPrice, extra = {}) {
     try {
-      fs.mkdirSync(LOG_DIR, { recursive: true });
-      let journal = [];
-      if (fs.existsSync(JOURNAL_FILE)) {
-        try { journal = JSON.parse(fs.readFileSync(JOURNAL_FILE, "utf8")); } catch (e) { journal = []; }
-      }
       const assetName = pos.assetName || "BTC";
-      journal.push({
+      this.store.appendJournal({
         timestamp: new Date().toISOString(),
         asset: assetName,
         market: pos.marketSlug || "",
@@ -475,20 +734,19 @@ export class PositionTracker {
         bullScore: pos.bullScore || 0,
         bearScore: pos.bearScore || 0,
         signals: pos.signals || [],
-        streak: this.recentOutcomes.slice(-10).join('')
+        streak: this.recentOutcomes.slice(-10).join(''),
+        status: pos.status,
+        exitPrice: pos.exitPrice ?? null,
+        fees: pos.fees || 0,
+        orderId: pos.isGroup ? pos.lastOrderId : pos.orderId,
+        groupId: pos.groupId || null,
+        openedAt: pos.openedAt ? new Date(pos.openedAt).toISOString() : null,
+        marketEndTime: pos.marketEndTime ?? null,
+        ...extra
       });
-      fs.writeFileSync(JOURNAL_FILE, JSON.stringify(journal, null, 2), "utf8");
-    } catch (e) { /* ignore */ }
-  }
-
-  _ensureCsvHeader() {
-    try {
-      fs.mkdirSync(LOG_DIR, { recursive: true });
-      if (!fs.existsSync(CSV_FILE)) {
-        const header = "timestamp,asset,market,direction,outcome,won,strategy,entryPrice,oppositePrice,combinedPrice,cost,pnl,priceStart,priceEnd,movePct,overreaction,bullScore,bearScore,signals,streak\n";
-        fs.writeFileSync(CSV_FILE, header, "utf8");
-      }
-    } catch (e) { /* ignore */ }
+    } catch (e) {
+      this._writeFailed("journal", e);
+    }
   }
 
   _appendCsv(pos, resolvedPrice, won, movePct, wasOverreaction, oppositePrice, combinedPrice) {
@@ -513,50 +771,151 @@ export class PositionTracker {
         wasOverreaction ? "YES" : "NO",
         pos.bullScore || 0,
         pos.bearScore || 0,
-        `"${(pos.signals || []).join('; ')}"`,
-        `"${this.recentOutcomes.slice(-10).join('')}"`
-      ].join(",");
-      fs.appendFileSync(CSV_FILE, row + "\n", "utf8");
-    } catch (e) { /* ignore */ }
+        (pos.signals || []).join("; "),
+        this.recentOutcomes.slice(-10).join(""),
+        pos.status || "",
+        pos.exitPrice?.toFixed(3) || "",
+        (pos.fees || 0).toFixed(4)
+      ];
+      appendCsvRow(this.files.csv, CSV_HEADER, row);
+    } catch (e) {
+      this._writeFailed("CSV", e);
+    }
   }
 
-  _saveState() {
+  // Append every changed position/group plus the P&L counters as events.
+  // A failed append leaves the changes marked dirty; they are retried with
+  // the next write, and a snapshot is forced once writes succeed again.
+  _persist(...changed) {
+    for (const item of changed) this._dirty.add(item);
+    const events = [...this._dirty].map(item => item.isGroup
+      ? { type: "group", group: item }
+      : { type: "position", position: item });
+    events.push({ type: "totals", totals: this._totals() });
+
     try {
-      fs.mkdirSync(LOG_DIR, { recursive: true });
-      const state = {
+      this.store.append(events);
+      this._dirty.clear();
+      if (this.store.needsSnapshot() || this._snapshotOwed) this._snapshot();
+    } catch (e) {
+      this._snapshotOwed = true;
+      this._writeFailed("state", e);
+    }
+  }
+
+  // Full state to state.json (atomic) and a fresh event log
+  _snapshot() {
+    try {
+      this.store.writeSnapshot({
         openPositions: this.openPositions,
         closedPositions: this.closedPositions,
-        totalPnl: this.totalPnl,
-        wins: this.wins,
-        losses: this.losses,
-        totalCost: this.totalCost,
-        totalReturn: this.totalReturn,
-        recentOutcomes: this.recentOutcomes,
-        savedAt: new Date().toISOString()
-      };
-      fs.writeFileSync(PNL_FILE, JSON.stringify(state, null, 2), "utf8");
+        closedGroups: this.closedGroups,
+        ...this._totals()
+      });
+      this._snapshotOwed = false;
     } catch (e) {
-      // ignore
+      this._snapshotOwed = true;
+      this._writeFailed("snapshot", e);
     }
   }
 
+  _totals() {
+    return {
+      totalPnl: this.totalPnl,
+      wins: this.wins,
+      losses: this.losses,
+      totalCost: this.totalCost,
+      totalReturn: this.totalReturn,
+      totalFees: this.totalFees,
+      totalRedeemed: this.totalRedeemed,
+      recentOutcomes: this.recentOutcomes
+    };
+  }
+
+  // Persist everything now (e.g. on shutdown)
+  flush() {
+    this._snapshot();
+  }
+
+  _writeFailed(what, e) {
+    this.store.recordError(e);
+    console.error(`[Store] ✗ ${what} write failed in ${this.logDir}: ${e.message}`);
+  }
+
   _loadState() {
+    let loaded;
     try {
-      if (fs.existsSync(PNL_FILE)) {
-        const data = JSON.parse(fs.readFileSync(PNL_FILE, "utf8"));
-        this.openPositions = data.openPositions || [];
-        this.closedPositions = data.closedPositions || [];
-        this.totalPnl = data.totalPnl || 0;
-        this.wins = data.wins || 0;
-        this.losses = data.losses || 0;
-        this.totalCost = data.totalCost || 0;
-        this.totalReturn = data.totalReturn || 0;
-        this.recentOutcomes = data.recentOutcomes || [];
-        console.log(`[Tracker] Loaded state: ${this.wins}W/${this.losses}L | P&L: $${this.totalPnl.toFixed(2)} | Streak: ${this.recentOutcomes.slice(-5).join(' → ') || 'none'}`);
-        console.log(`[Tracker] ${this.closedPositions.length} historical trades loaded for strategy learning`);
-      }
+      loaded = this.store.load();
     } catch (e) {
+      // Refuse to start on an unreadable ledger rather than overwrite it
+      console.error(`[Tracker] ✗ Could not load ledger from ${this.logDir}: ${e.message}`);
+      throw e;
+    }
+
+    const data = loaded.state;
+    this.openPositions = data.openPositions;
+    this.closedPositions = data.closedPositions;
+    this.closedGroups = data.closedGroups;
+    this.totalPnl = data.totalPnl;
+    this.wins = data.wins;
+    this.losses = data.losses;
+    this.totalCost = data.totalCost;
+    this.totalReturn = data.totalReturn;
+    this.totalFees = data.totalFees;
+    this.totalRedeemed = data.totalRedeemed;
+    this.recentOutcomes = data.recentOutcomes;
+
+    // Fold replayed events into a fresh snapshot so the log starts clean
+    if (loaded.replayed > 0) this._snapshot();
+
+    if (loaded.fromSnapshot || loaded.replayed > 0) {
+      console.log(`[Tracker] Loaded state: ${this.wins}W/${this.losses}L | P&L: $${this.totalPnl.toFixed(2)} | Streak: ${this.recentOutcomes.slice(-5).join(' → ') || 'none'}${loaded.replayed ? ` | ${loaded.replayed} events replayed` : ""}`);
+      console.log(`[Tracker] ${this.closedPositions.length} historical trades loaded for strategy learning`);
+    } else {
       console.log("[Tracker] No previous state found, starting fresh");
     }
   }
 }
+
+// Win rule for every trade the market didn't settle by outcome (exits,
+// arb groups): it made money after fees. Break-even counts as a loss.
+export function isWinningPnl(pnl) {
+  return (pnl || 0) > 0;
+}
+
+// Whether a closed trade counted as a win: a single position the market
+// settled by its status, anything else (exits, arb groups) by its P&L
+export function tradeWon(trade) {
+  if (!trade.isGroup && String(trade.status).startsWith("RESOLVED_")) return trade.status === "RESOLVED_WIN";
+  return isWinningPnl(trade.pnl);
+}
+
+// A group any leg of which was settled by the market is RESOLVED_*;
+// a fully sold-off group takes its legs' exit status (CLOSED_SOLD when mixed)
+function groupStatus(legStatuses, pnl) {
+  if (legStatuses.includes("RESOLVED_STALE")) return "RESOLVED_STALE";
+  if (legStatuses.some(s => String(s).startsWith("RESOLVED_"))) return isWinningPnl(pnl) ? "RESOLVED_WIN" : "RESOLVED_LOSS";
+  const exits = new Set(legStatuses);
+  return exits.size === 1 ? [...exits][0] : "CLOSED_SOLD";
+}
+
+// Detached summary for event subscribers (positions keep mutating after publish)
+function eventView(pos) {
+  return {
+    orderId: pos.isGroup ? pos.lastOrderId : pos.orderId,
+    groupId: pos.groupId || null,
+    isGroup: Boolean(pos.isGroup),
+    assetName: pos.assetName,
+    marketSlug: pos.marketSlug,
+    tokenId: pos.tokenId || null,
+    strategy: pos.strategy,
+    direction: pos.direction,
+    outcome: pos.outcome,
+    size: pos.size,
+    entryPrice: pos.entryPrice,
+    cost: pos.cost,
+    fees: pos.fees || 0,
+    pnl: pos.pnl ?? null,
+    status: pos.status
+  };
+}
@@ -0,0 +1,261 @@
+import { ethers } from "ethers";
+import { fetchMarketBySlug } from "../data/polymarket.js";
+
+// ═══════════════════════════════════════════════════════════════
+// REDEEMER — turn resolved CTF shares back into USDC
+//
+// Winning shares pay $1 only once they are redeemed on the
+// Conditional Tokens contract. Every INTERVAL_MS this:
+//   ① collects closed positions that still hold shares
+//   ② groups them by conditionId (from the official resolution,
+//      or looked up on Gamma for older positions)
+//   ③ skips conditions not yet reported on-chain (payoutDenominator = 0)
+//      and conditions the wallet no longer holds
+//   ④ calls redeemPositions(collateral, 0x0, conditionId, [1, 2]) —
+//      through the Gnosis Safe proxy wallet (execTransaction signed by
+//      the owner key) when PROXY_WALLET is set, else from the EOA
+//   ⑤ books the PayoutRedemption amount against the positions
+// RPC, CTF and collateral addresses are configurable so the whole
+// flow can run against a local EVM node with mock contracts.
+// ═══════════════════════════════════════════════════════════════
+
+export const POLYGON_CTF_ADDRESS = "0x4D97DCd97eC945f40cF65F87097ACe5EA0476045";
+export const POLYGON_COLLATERAL_ADDRESS = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174"; // USDC.e — CTF collateral
+
+const CTF_ABI = [
+  "function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)",
+  "function payoutDenominator(bytes32 conditionId) view returns (uint256)",
+  "function payoutNumerators(bytes32 conditionId, uint256 index) view returns (uint256)",
+  "function getOutcomeSlotCount(bytes32 conditionId) view returns (uint256)",
+  "function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint256 indexSet) view returns (bytes32)",
+  "function getPositionId(address collateralToken, bytes32 collectionId) pure returns (uint256)",
+  "function balanceOf(address owner, uint256 id) view returns (uint256)",
+  "event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint256[] indexSets, uint256 payout)"
+];
+
+const SAFE_ABI = [
+  "function nonce() view returns (uint256)",
+  "function getTransactionHash(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, uint256 _nonce) view returns (bytes32)",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool)"
+];
+
+const ZERO_BYTES32 = ethers.constants.HashZero;
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+const TOKEN_DECIMALS = 6;  // CTF shares and USDC both use 6 decimals
+
+export class Redeemer {
+  constructor(wallet, positionTracker, config = {}) {
+    this.positionTracker = positionTracker;
+    this.enabled = config.enabled ?? true;
+    this.INTERVAL_MS = config.intervalMs ?? 60_000;
+    this.RETRY_AFTER_MS = config.retryAfterMs ?? 5 * 60_000;  // Back off a condition after a failed redeem
+    this.MIN_PRIORITY_FEE = ethers.utils.parseUnits(String(config.minPriorityFeeGwei ?? 30), "gwei");
+    this.fetchMarket = config.fetchMarket || fetchMarketBySlug;
+
+    this.provider = config.provider || new ethers.providers.JsonRpcProvider(config.rpcUrl);
+    this.signer = wallet.connect(this.provider);
+    this.proxyWallet = config.proxyWallet || null;
+    this.holder = this.proxyWallet || wallet.address;
+    this.collateral = config.collateralAddress || POLYGON_COLLATERAL_ADDRESS;
+    this.ctf = new ethers.Contract(config.ctfAddress || POLYGON_CTF_ADDRESS, CTF_ABI, this.signer);
+    this.safe = this.proxyWallet ? new ethers.Contract(this.proxyWallet, SAFE_ABI, this.signer) : null;
+
+    this.conditionBySlug = new Map();  // marketSlug → conditionId
+    this.failedAt = new Map();         // conditionId → last failed attempt
+    this.timer = null;
+    this.running = false;
+    this.counts = { redeemed: 0, failed: 0, empty: 0 };
+    this.totalRedeemed = 0;
+    this.recent = [];
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+    console.log(`[Redeem] Watching resolved positions every ${Math.round(this.INTERVAL_MS / 1000)}s (holder ${this.holder}${this.safe ? ", via Safe" : ""})`);
+    this.timer = setInterval(() => this.run().catch(e => console.log(`[Redeem] ✗ ${e.message}`)), this.INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One redemption pass; safe to call on demand
+  async run() {
+    if (this.running) return [];
+    this.running = true;
+    try {
+      const groups = await this._pendingConditions();
+      const results = [];
+      for (const [conditionId, positions] of groups) {
+        if (Date.now() - (this.failedAt.get(conditionId) || 0) < this.RETRY_AFTER_MS) continue;
+        const result = await this._redeemCondition(conditionId, positions);
+        if (result) results.push(result);
+      }
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // conditionId → closed positions still holding shares of it
+  async _pendingConditions() {
+    const groups = new Map();
+    // Redeeming burns every share of the condition, so wait until none of its positions are still open
+    const openSlugs = new Set(this.positionTracker.openPositions.map(pos => pos.marketSlug));
+    const candidates = this.positionTracker.closedPositions.filter(pos =>
+      !pos.redemption && pos.tokenId && pos.marketSlug && !openSlugs.has(pos.marketSlug) &&
+      this.positionTracker.heldSize(pos) > 0
+    );
+
+    for (const pos of candidates) {
+      const conditionId = await this._conditionFor(pos);
+      if (!conditionId) continue;
+      if (!groups.has(conditionId)) groups.set(conditionId, []);
+      groups.get(conditionId).push(pos);
+    }
+    return groups;
+  }
+
+  async _conditionFor(pos) {
+    if (pos.resolution?.conditionId) return pos.resolution.conditionId;
+    if (this.conditionBySlug.has(pos.marketSlug)) return this.conditionBySlug.get(pos.marketSlug);
+    try {
+      const market = await this.fetchMarket(pos.marketSlug);
+      const conditionId = market?.conditionId || null;
+      if (conditionId) this.conditionBySlug.set(pos.marketSlug, conditionId);
+      return conditionId;
+    } catch (e) {
+      console.log(`[Redeem] ⚠ No conditionId for ${pos.marketSlug}: ${e.message}`);
+      return null;
+    }
+  }
+
+  async _redeemCondition(conditionId, positions) {
+    const tag = conditionId.slice(0, 10);
+    try {
+      const denominator = await this.ctf.payoutDenominator(conditionId);
+      if (denominator.isZero()) return null;  // Not reported on-chain yet
+
+      const slots = (await this.ctf.getOutcomeSlotCount(conditionId)).toNumber();
+      const outcomes = [];
+      for (let i = 0; i < slots; i++) {
+        const indexSet = 1 << i;
+        const collectionId = await this.ctf.getCollectionId(ZERO_BYTES32, conditionId, indexSet);
+        const positionId = await this.ctf.getPositionId(this.collateral, collectionId);
+        outcomes.push({
+          indexSet,
+          positionId: positionId.toString(),
+          numerator: await this.ctf.payoutNumerators(conditionId, i),
+          balance: await this.ctf.balanceOf(this.holder, positionId)
+        });
+      }
+
+      if (outcomes.every(o => o.balance.isZero())) {
+        // Redeemed elsewhere (e.g. the Polymarket UI) — nothing left to collect
+        this.counts.empty++;
+        for (const pos of positions) {
+          this.positionTracker.recordRedemption(pos, { conditionId, amount: 0, txHash: null, note: "no balance held" });
+        }
+        return null;
+      }
+
+      if (outcomes.every(o => o.balance.isZero() || o.numerator.isZero())) {
+        // Only losing shares left — not worth the gas
+        this.counts.empty++;
+        for (const pos of positions) {
+          this.positionTracker.recordRedemption(pos, { conditionId, amount: 0, txHash: null, note: "losing shares only" });
+        }
+        return null;
+      }
+
+      console.log(`[Redeem] 🔄 ${tag}… redeeming ${positions.length} position(s)`);
+      const receipt = await this._sendRedeem(conditionId, outcomes.map(o => o.indexSet));
+      const payout = this._payoutFrom(receipt);
+      this._allocate(positions, outcomes, denominator, payout, { conditionId, txHash: receipt.transactionHash });
+
+      this.counts.redeemed++;
+      this.totalRedeemed += payout;
+      this.failedAt.delete(conditionId);
+      const record = { time: new Date().toISOString(), conditionId, payout, txHash: receipt.transactionHash, positions: positions.length };
+      this.recent.push(record);
+      if (this.recent.length > 20) this.recent.shift();
+      console.log(`[Redeem] ✅ ${tag}… redeemed $${payout.toFixed(2)} | tx ${receipt.transactionHash}`);
+      return record;
+    } catch (e) {
+      this.counts.failed++;
+      this.failedAt.set(conditionId, Date.now());
+      console.log(`[Redeem] ✗ ${tag}… ${e.reason || e.message}`);
+      return { conditionId, error: e.reason || e.message };
+    }
+  }
+
+  // Direct call from the EOA, or a 1-of-1 Safe execTransaction signed by the owner key
+  async _sendRedeem(conditionId, indexSets) {
+    const overrides = await this._feeOverrides();
+
+    if (!this.safe) {
+      const tx = await this.ctf.redeemPositions(this.collateral, ZERO_BYTES32, conditionId, indexSets, overrides);
+      return await tx.wait();
+    }
+
+    const data = this.ctf.interface.encodeFunctionData("redeemPositions", [this.collateral, ZERO_BYTES32, conditionId, indexSets]);
+    const nonce = await this.safe.nonce();
+    const safeTxHash = await this.safe.getTransactionHash(this.ctf.address, 0, data, 0, 0, 0, 0, ZERO_ADDRESS, ZERO_ADDRESS, nonce);
+    const signature = ethers.utils.joinSignature(this.signer._signingKey().signDigest(safeTxHash));
+    const tx = await this.safe.execTransaction(this.ctf.address, 0, data, 0, 0, 0, 0, ZERO_ADDRESS, ZERO_ADDRESS, signature, overrides);
+    return await tx.wait();
+  }
+
+  // Polygon nodes often under-quote the priority fee; keep it above MIN_PRIORITY_FEE
+  async _feeOverrides() {
+    const fee = await this.provider.getFeeData();
+    if (!fee.maxFeePerGas) return {};
+    const priority = fee.maxPriorityFeePerGas?.gt(this.MIN_PRIORITY_FEE) ? fee.maxPriorityFeePerGas : this.MIN_PRIORITY_FEE;
+    const maxFee = fee.maxFeePerGas.gt(priority.mul(2)) ? fee.maxFeePerGas : priority.mul(2);
+    return { maxPriorityFeePerGas: priority, maxFeePerGas: maxFee };
+  }
+
+  // USDC paid out by the CTF, from its PayoutRedemption event
+  _payoutFrom(receipt) {
+    let total = ethers.BigNumber.from(0);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.ctf.address.toLowerCase()) continue;
+      try {
+        const parsed = this.ctf.interface.parseLog(log);
+        if (parsed.name === "PayoutRedemption") total = total.add(parsed.args.payout);
+      } catch {
+        // other CTF events (TransferBatch etc.)
+      }
+    }
+    return Number(ethers.utils.formatUnits(total, TOKEN_DECIMALS));
+  }
+
+  // Split the payout across positions by what each one's shares were worth
+  _allocate(positions, outcomes, denominator, payout, details) {
+    const byToken = new Map(outcomes.map(o => [o.positionId, o]));
+    const weights = positions.map(pos => {
+      const outcome = byToken.get(String(pos.tokenId));
+      if (!outcome) return 0;
+      return this.positionTracker.heldSize(pos) * outcome.numerator.toNumber() / denominator.toNumber();
+    });
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+    positions.forEach((pos, i) => {
+      const amount = totalWeight > 0 ? payout * weights[i] / totalWeight : 0;
+      this.positionTracker.recordRedemption(pos, { ...details, amount });
+    });
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      holder: this.holder,
+      viaSafe: Boolean(this.safe),
+      ...this.counts,
+      totalRedeemed: this.totalRedeemed,
+      recent: this.recent
+    };
+  }
+}
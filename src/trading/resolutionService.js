@@ -0,0 +1,116 @@
+import { fetchMarketBySlug } from "../data/polymarket.js";
+
+// ═══════════════════════════════════════════════════════════════
+// RESOLUTION SERVICE — official market outcomes from Gamma
+//
+// Positions settle from what the market actually paid, not from our
+// own spot reading at expiry. Once a position's market has ended we
+// poll its Gamma market until it is closed with a decided payout:
+//   • closed === true
+//   • outcomePrices settled to 1 / 0 (winner pays $1)
+//   • umaResolutionStatus, when present, is "resolved"
+// Decided results are cached; undecided markets are re-polled
+// at most every POLL_MS.
+// ═══════════════════════════════════════════════════════════════
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string") return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Official result of a Gamma market, or { resolved: false, reason } while undecided
+export function parseOfficialOutcome(market) {
+  if (!market) return { resolved: false, reason: "market not found" };
+  if (market.closed !== true) return { resolved: false, reason: "market not closed" };
+
+  const status = market.umaResolutionStatus ? String(market.umaResolutionStatus).toLowerCase() : null;
+  if (status && status !== "resolved") {
+    return { resolved: false, reason: `resolution ${status}` };
+  }
+
+  const outcomes = parseList(market.outcomes).map(String);
+  const prices = parseList(market.outcomePrices).map(Number);
+  if (outcomes.length === 0 || outcomes.length !== prices.length) {
+    return { resolved: false, reason: "no outcome prices" };
+  }
+
+  const winners = outcomes.filter((_, i) => prices[i] >= 0.99);
+  const losers = prices.filter(p => p <= 0.01);
+  if (winners.length !== 1 || losers.length !== outcomes.length - 1) {
+    return { resolved: false, reason: `payout not decided (${prices.join("/")})` };
+  }
+
+  return {
+    resolved: true,
+    winner: winners[0],
+    source: "gamma",
+    conditionId: market.conditionId ?? null,
+    outcomePrices: prices,
+    umaResolutionStatus: status,
+    closedTime: market.closedTime ?? null
+  };
+}
+
+export class ResolutionService {
+  constructor(config = {}) {
+    this.POLL_MS = config.pollMs ?? 15_000;   // Re-check an undecided market at most this often
+    this.fetchMarket = config.fetchMarket || fetchMarketBySlug;
+
+    this.results = new Map();    // slug → decided official result
+    this.pending = new Map();    // slug → { checkedAt, reason }
+    this.fetchErrors = 0;
+    this.resolvedCount = 0;
+  }
+
+  // Official result for one market slug, or null while undecided
+  async lookup(slug) {
+    if (!slug) return null;
+    if (this.results.has(slug)) return this.results.get(slug);
+
+    const last = this.pending.get(slug);
+    if (last && Date.now() - last.checkedAt < this.POLL_MS) return null;
+
+    try {
+      const outcome = parseOfficialOutcome(await this.fetchMarket(slug));
+      if (outcome.resolved) {
+        this.results.set(slug, outcome);
+        this.pending.delete(slug);
+        if (this.results.size > 500) this.results.delete(this.results.keys().next().value);
+        this.resolvedCount++;
+        console.log(`[Resolution] 🏁 ${slug}: ${outcome.winner} won (${outcome.outcomePrices.join("/")})`);
+        return outcome;
+      }
+      this.pending.set(slug, { checkedAt: Date.now(), reason: outcome.reason });
+    } catch (e) {
+      this.fetchErrors++;
+      this.pending.set(slug, { checkedAt: Date.now(), reason: `fetch failed: ${e.message}` });
+      console.log(`[Resolution] ⚠ ${slug}: ${e.message}`);
+    }
+    return null;
+  }
+
+  // slug → official result for every decided market among the given slugs
+  async lookupMany(slugs) {
+    const decided = new Map();
+    for (const slug of new Set(slugs)) {
+      const result = await this.lookup(slug);
+      if (result) decided.set(slug, result);
+    }
+    return decided;
+  }
+
+  getStats() {
+    return {
+      pollMs: this.POLL_MS,
+      resolved: this.resolvedCount,
+      fetchErrors: this.fetchErrors,
+      pending: Object.fromEntries(this.pending)
+    };
+  }
+}
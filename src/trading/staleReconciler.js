@@ -0,0 +1,72 @@
+// ═══════════════════════════════════════════════════════════════
+// STALE RECONCILER — restate positions written off as RESOLVED_STALE
+//
+// cleanupStalePositions books a position as a loss when no official
+// result arrived in time (restarts, API outages). Every INTERVAL_MS
+// this revisits those positions and, once the truth is known, restates
+// them in the tracker:
+//   ① official Gamma outcome (via the shared ResolutionService)
+//   ② otherwise an on-chain redemption payout recorded by the redeemer
+// Each restatement corrects wins/losses/totalPnl and is written to the
+// journal and CSV as an adjustment record.
+// ═══════════════════════════════════════════════════════════════
+
+export class StaleReconciler {
+  constructor(positionTracker, resolutionService, config = {}) {
+    this.positionTracker = positionTracker;
+    this.resolutionService = resolutionService;
+    this.INTERVAL_MS = config.intervalMs ?? 5 * 60_000;
+
+    this.lastRunAt = 0;
+    this.running = false;
+    this.counts = { restated: 0, toWin: 0, stillLoss: 0 };
+    this.recent = [];
+  }
+
+  // Throttled — call every loop; does work at most once per INTERVAL_MS
+  async run({ force = false } = {}) {
+    const now = Date.now();
+    if (this.running || (!force && now - this.lastRunAt < this.INTERVAL_MS)) return [];
+    this.running = true;
+    this.lastRunAt = now;
+
+    try {
+      const stale = this.positionTracker.closedPositions.filter(pos => pos.status === "RESOLVED_STALE");
+      const restated = [];
+
+      for (const pos of stale) {
+        const official = await this.resolutionService.lookup(pos.marketSlug);
+        let adjustment = null;
+        if (official) {
+          adjustment = this.positionTracker.restatePosition(pos, { winner: official.winner, source: official.source, resolution: official });
+        } else if (pos.redemption?.txHash) {
+          adjustment = this.positionTracker.restatePosition(pos, { payout: pos.redemption.amount, source: "redemption" });
+        }
+        if (!adjustment) continue;
+
+        restated.push(pos);
+        this.counts.restated++;
+        if (pos.status === "RESOLVED_WIN") this.counts.toWin++;
+        else this.counts.stillLoss++;
+        this.recent.push(adjustment);
+        if (this.recent.length > 20) this.recent.shift();
+      }
+
+      if (restated.length > 0) {
+        console.log(`[Reconcile] Restated ${restated.length}/${stale.length} stale position(s)`);
+      }
+      return restated;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStats() {
+    return {
+      intervalMs: this.INTERVAL_MS,
+      pending: this.positionTracker.closedPositions.filter(pos => pos.status === "RESOLVED_STALE").length,
+      ...this.counts,
+      recent: this.recent
+    };
+  }
+}
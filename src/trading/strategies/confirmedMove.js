@@ -0,0 +1,95 @@
+import { Strategy } from "./strategy.js";
+
+// ═══════════════════════════════════════════════════════════════
+// CONFIRMED MOVE (latency edge)
+//
+// BTC moved > MIN_BTC_PCT from the price to beat + winning token
+// between MIN_TOKEN and MAX_TOKEN → buy it while the book lags.
+// Probability edge and EV are net of the taker fee; size is halved
+// after LOSS_STREAK_REDUCE consecutive losses.
+// ═══════════════════════════════════════════════════════════════
+
+export class ConfirmedMoveStrategy extends Strategy {
+  static NAME = "CONFIRMED_MOVE";
+  static SLOT = "directional";
+  static PARAMS = {
+    MIN_BTC_PCT: "moveMinBtcPct", STRONG_PCT: "moveStrongPct", MAX_TOKEN: "moveMaxToken", MIN_TOKEN: "moveMinToken",
+    SIZE: "moveSize", SIZE_STRONG: "moveSizeStrong", MIN_EDGE: "moveMinEdge", MIN_CANDLE_MINUTE: "moveMinCandleMinute",
+    LOSS_STREAK_REDUCE: "lossStreakReduce"
+  };
+
+  constructor(config = {}) {
+    super();
+    this.MIN_BTC_PCT = config.moveMinBtcPct ?? 0.08;              // BTC must move >0.08% (was 0.15% — too strict, never fired)
+    this.STRONG_PCT = config.moveStrongPct ?? 0.30;               // Strong move threshold (was 0.40%)
+    this.MAX_TOKEN = config.moveMaxToken ?? 0.45;                 // Token must be < 45¢ (was 35¢ — too strict)
+    this.MIN_TOKEN = config.moveMinToken ?? 0.03;                 // Ignore dust
+    this.SIZE = config.moveSize ?? 2;                             // $2 per confirmed move (small — focus is arb)
+    this.SIZE_STRONG = config.moveSizeStrong ?? 2;                // $2 even on strong moves (protect arb capital)
+    this.MIN_EDGE = config.moveMinEdge ?? 0.15;                   // Need 15% edge (was 20% — too strict with fees accounted)
+    this.MIN_CANDLE_MINUTE = config.moveMinCandleMinute ?? 2;     // Let the candle open settle first
+    this.LOSS_STREAK_REDUCE = config.lossStreakReduce ?? 4;       // After 4 consecutive losses, halve size
+  }
+
+  evaluate(ctx) {
+    const { marketData, upPrice, downPrice, sum, spotPrice, priceToBeat, btcMovePct, btcMoveAbs, candleMinute, assetTag } = ctx;
+    const p = this.resolve(ctx.params);
+    if (!spotPrice || !priceToBeat) return this.skip("no price to beat");
+    if (candleMinute < p.MIN_CANDLE_MINUTE) return this.skip("too early in window");
+
+    const btcUp = btcMovePct > 0;
+    const targetOutcome = btcUp ? "Up" : "Down";
+    const targetPrice = btcUp ? upPrice : downPrice;
+    this.last = { time: new Date().toISOString(), slug: ctx.slug, token: targetOutcome, price: targetPrice, btcMovePct: Number(btcMovePct.toFixed(4)) };
+
+    if (btcMoveAbs < p.MIN_BTC_PCT) return this.skip("move too small");
+    if (targetPrice > p.MAX_TOKEN || targetPrice < p.MIN_TOKEN) return this.skip("token out of range");
+
+    const fee = ctx.fee(targetPrice, btcUp ? marketData.upTokenId : marketData.downTokenId);
+    const isStrong = btcMoveAbs >= p.STRONG_PCT;
+    const estimatedProb = isStrong ? 0.85 : 0.72;
+    const probEdge = estimatedProb - targetPrice;
+
+    // Expected value accounting for fees
+    const evWin = (1.0 - targetPrice - fee) * estimatedProb;
+    const evLoss = (targetPrice + fee) * (1 - estimatedProb);
+    const netEV = evWin - evLoss;
+    Object.assign(this.last, { edge: Number(probEdge.toFixed(4)), ev: Number(netEV.toFixed(4)) });
+
+    if (probEdge < p.MIN_EDGE || netEV <= 0) {
+      this.skip("edge too low", `${assetTag} BTC ${btcMovePct.toFixed(3)}% | Edge ${(probEdge*100).toFixed(0)}% | EV ${(netEV*100).toFixed(1)}¢`);
+      // Only log move skips occasionally to avoid spam
+      if (this.skips["edge too low"] % 30 === 0) {
+        console.log(`[ArbHunter] ⏳ Move skip #${this.skips["edge too low"]}: BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}% | Edge ${(probEdge*100).toFixed(0)}% | EV ${(netEV*100).toFixed(1)}¢`);
+      }
+      return null;
+    }
+
+    let dollars = isStrong ? p.SIZE_STRONG : p.SIZE;
+    if (ctx.consecutiveLosses >= p.LOSS_STREAK_REDUCE) {
+      dollars = Math.max(2, Math.floor(dollars * 0.5));
+    }
+
+    const rr = ((1 - targetPrice - fee) / (targetPrice + fee)).toFixed(1);
+
+    console.log(`[ArbHunter] ══════════════════════════════════════`);
+    console.log(`[ArbHunter] ${assetTag} Up: $${upPrice.toFixed(3)} | Down: $${downPrice.toFixed(3)} | Sum: $${sum.toFixed(3)} | Min ${candleMinute}/15`);
+    console.log(`[ArbHunter] 🎯 ${assetTag} CONFIRMED MOVE! ${targetOutcome} @ $${targetPrice.toFixed(3)} | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}%`);
+    console.log(`[ArbHunter] 🎯 ${assetTag} Edge: ${(probEdge*100).toFixed(0)}% | EV: +${(netEV*100).toFixed(1)}¢/share | R:R ${rr}:1 | Fee: ${(fee*100).toFixed(1)}¢ | $${dollars}${isStrong ? ' STRONG' : ''}`);
+    console.log(`[ArbHunter] ══════════════════════════════════════`);
+
+    return this.signal({
+      direction: btcUp ? "LONG" : "SHORT",
+      targetOutcome,
+      confidence: Math.round(estimatedProb * 100),
+      edge: probEdge,
+      marketPrice: targetPrice,
+      modelProb: estimatedProb,
+      strategy: isStrong ? "MOVE_STRONG" : "MOVE",
+      dollars,
+      bullScore: 0, bearScore: 0,
+      signals: [`BTC:${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}%`, `${targetOutcome}:$${targetPrice.toFixed(3)}`, `EV:+${(netEV*100).toFixed(1)}¢`],
+      reason: `🎯 ${assetTag} MOVE ${targetOutcome} @ $${targetPrice.toFixed(3)} | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(2)}% | EV +${(netEV*100).toFixed(1)}¢ | $${dollars}`
+    });
+  }
+}
@@ -0,0 +1,72 @@
+import { Strategy } from "./strategy.js";
+
+// ═══════════════════════════════════════════════════════════════
+// EXTREME VALUE (asymmetric R:R)
+//
+// Token < MAX_PRICE + BTC confirmed move in that direction
+// Risk $0.10, win $0.90 → 9:1 R:R. Only need 15% win rate.
+// Fee at 10¢ ≈ 0.56% → negligible.
+// Deep value (< DEEP_VALUE_MAX) skips the move check, but only when
+// arb is impossible or the window is closing, so it never crowds out arb.
+// ═══════════════════════════════════════════════════════════════
+
+export class ExtremeValueStrategy extends Strategy {
+  static NAME = "EXTREME_VALUE";
+  static SLOT = "directional";
+  static PARAMS = { MAX_PRICE: "extremeMaxPrice", MIN_BTC_MOVE: "extremeMinBtcMove", DEEP_VALUE_MAX: "deepValueMax", SIZE: "extremeSize" };
+
+  constructor(config = {}) {
+    super();
+    this.MAX_PRICE = config.extremeMaxPrice ?? 0.20;       // Token must be < 20¢ (was 10¢ — too strict, never fires)
+    this.MIN_BTC_MOVE = config.extremeMinBtcMove ?? 0.06;  // BTC must confirm direction (>0.06% — was 0.12%, too strict)
+    this.DEEP_VALUE_MAX = config.deepValueMax ?? 0.05;     // Tokens under 5¢ don't need BTC confirmation (20:1+ R:R)
+    this.SIZE = config.extremeSize ?? 2;                   // $2 per extreme value bet (small — focus is arb)
+  }
+
+  evaluate(ctx) {
+    const { marketData, upPrice, downPrice, sum, spotPrice, priceToBeat, btcMovePct, btcMoveAbs, candleMinute, assetTag } = ctx;
+    const p = this.resolve(ctx.params);
+    if (!spotPrice || !priceToBeat) return this.skip("no price to beat");
+
+    const btcUp = btcMovePct > 0;
+    const extremeToken = btcUp ? "Up" : "Down";
+    const extremePrice = btcUp ? upPrice : downPrice;
+    this.last = { time: new Date().toISOString(), slug: ctx.slug, token: extremeToken, price: extremePrice, btcMovePct: Number(btcMovePct.toFixed(4)) };
+
+    const arbImpossible = sum > 0.98;
+    const arbWindowClosing = candleMinute > 10;
+    const isDeepValue = extremePrice <= p.DEEP_VALUE_MAX && extremePrice > 0.01 && (arbImpossible || arbWindowClosing);
+    const isExtremeWithMove = extremePrice <= p.MAX_PRICE && extremePrice > 0.01 && btcMoveAbs >= p.MIN_BTC_MOVE;
+    if (!isDeepValue && !isExtremeWithMove) {
+      if (extremePrice > p.MAX_PRICE || extremePrice <= 0.01) return this.skip("token out of range");
+      return this.skip("move too small", `${assetTag} ${extremeToken} @ $${extremePrice.toFixed(3)} | BTC ${btcMovePct.toFixed(3)}%`);
+    }
+
+    const fee = ctx.fee(extremePrice, btcUp ? marketData.upTokenId : marketData.downTokenId);
+    const netWin = 1.0 - extremePrice - fee;
+    const netLoss = extremePrice + fee;
+    const rr = (netWin / netLoss).toFixed(1);
+    const breakeven = (netLoss / (netWin + netLoss) * 100).toFixed(0);
+    const dollars = p.SIZE;
+
+    console.log(`[ArbHunter] ══════════════════════════════════════`);
+    console.log(`[ArbHunter] ${assetTag} Up: $${upPrice.toFixed(3)} | Down: $${downPrice.toFixed(3)} | Sum: $${sum.toFixed(3)} | Min ${candleMinute}/15`);
+    console.log(`[ArbHunter] 🎰 ${assetTag} EXTREME VALUE! ${extremeToken} @ $${extremePrice.toFixed(3)} | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}%`);
+    console.log(`[ArbHunter] 🎰 ${assetTag} R:R ${rr}:1 | Win: +${(netWin*100).toFixed(0)}¢ | Lose: -${(netLoss*100).toFixed(0)}¢ | Breakeven: ${breakeven}% WR | $${dollars}`);
+    console.log(`[ArbHunter] ══════════════════════════════════════`);
+
+    return this.signal({
+      direction: btcUp ? "LONG" : "SHORT",
+      targetOutcome: extremeToken,
+      confidence: 60,
+      edge: netWin - netLoss,
+      marketPrice: extremePrice,
+      modelProb: 0.60,
+      strategy: "EXTREME_VALUE",
+      dollars,
+      bullScore: 0, bearScore: 0,
+      signals: [`${extremeToken}:$${extremePrice.toFixed(3)}`, `RR:${rr}:1`, `BTC:${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(2)}%`],
+      reason: `🎰 ${assetTag} EXTREME ${extremeToken} @ $${extremePrice.toFixed(3)} | R:R ${rr}:1 | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(2)}%`
+    });
+  }
+}
@@ -0,0 +1,116 @@
+import { PureArbStrategy } from "./pureArb.js";
+import { ExtremeValueStrategy } from "./extremeValue.js";
+import { ConfirmedMoveStrategy } from "./confirmedMove.js";
+
+// ═══════════════════════════════════════════════════════════════
+// STRATEGY REGISTRY — which strategies run, and in what order
+//
+// Every known strategy is registered (so /stats can show the disabled
+// ones too); TRADING_STRATEGIES lists the enabled ones in priority
+// order. Each scan the enabled strategies are asked in turn and the
+// first signal wins. A strategy whose slot ("arb" / "directional") was
+// already used on the market is skipped without being evaluated.
+// An asset may carry its own list (ctx.params.strategies), which then
+// decides which strategies run on that asset and in what order.
+// A paused strategy (control API) is skipped wherever it is listed.
+// ═══════════════════════════════════════════════════════════════
+
+export const STRATEGY_TYPES = {
+  [PureArbStrategy.NAME]: PureArbStrategy,
+  [ExtremeValueStrategy.NAME]: ExtremeValueStrategy,
+  [ConfirmedMoveStrategy.NAME]: ConfirmedMoveStrategy
+};
+
+export class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  register(strategy) {
+    if (this.strategies.has(strategy.name)) {
+      throw new Error(`Strategy ${strategy.name} is already registered`);
+    }
+    this.strategies.set(strategy.name, strategy);
+    return strategy;
+  }
+
+  get(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  // Enable exactly the named strategies, prioritized in list order
+  configure(enabledNames) {
+    const names = enabledNames.map(n => String(n).trim().toUpperCase()).filter(Boolean);
+    const unknown = names.filter(n => !this.strategies.has(n));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown strategy ${unknown.join(", ")} (known: ${[...this.strategies.keys()].join(", ")})`);
+    }
+    let next = names.length;
+    for (const strategy of this.strategies.values()) {
+      const index = names.indexOf(strategy.name);
+      strategy.enabled = index >= 0;
+      strategy.priority = index >= 0 ? index : next++;
+    }
+  }
+
+  setEnabled(name, enabled) {
+    const strategy = this.get(name);
+    if (!strategy) throw new Error(`Unknown strategy ${name}`);
+    strategy.enabled = Boolean(enabled);
+    return strategy;
+  }
+
+  setPaused(name, paused) {
+    const strategy = this.get(name);
+    if (!strategy) throw new Error(`Unknown strategy ${name}`);
+    strategy.paused = Boolean(paused);
+    return strategy;
+  }
+
+  // Runtime parameter changes by CONFIG.trading key (already validated)
+  applyParams(values) {
+    if (values.strategies) this.configure(values.strategies);
+    for (const strategy of this.strategies.values()) strategy.applyParams(values);
+  }
+
+  // Enabled strategies, highest priority first — or exactly `names`, in that order
+  active(names = null) {
+    const listed = names
+      ? names.map(n => this.get(n)).filter(Boolean)
+      : [...this.strategies.values()].filter(s => s.enabled).sort((a, b) => a.priority - b.priority);
+    return listed.filter(s => !s.paused);
+  }
+
+  // First signal from the strategies active for this asset, or null
+  evaluate(ctx) {
+    for (const strategy of this.active(ctx.params?.strategies)) {
+      if (ctx.slugState[strategy.slot]) {
+        strategy.skip("market already traded");
+        continue;
+      }
+      strategy.evaluations++;
+      const signal = strategy.evaluate(ctx);
+      if (signal) return signal;
+    }
+    return null;
+  }
+
+  resetDay() {
+    for (const strategy of this.strategies.values()) strategy.resetDay();
+  }
+
+  getStats() {
+    return Object.fromEntries([...this.strategies.values()]
+      .sort((a, b) => a.priority - b.priority)
+      .map(s => [s.name, s.getStats()]));
+  }
+}
+
+// Registry with every built-in strategy; config is CONFIG.trading (thresholds by
+// parameter name) and config.strategies the enabled list in priority order
+export function createStrategyRegistry(config = {}) {
+  const registry = new StrategyRegistry();
+  for (const Type of Object.values(STRATEGY_TYPES)) registry.register(new Type(config));
+  registry.configure(config.strategies ?? [PureArbStrategy.NAME]);
+  return registry;
+}
@@ -0,0 +1,159 @@
+import { Strategy } from "./strategy.js";
+import { estimateFill } from "../../data/polymarket.js";
+
+// ═══════════════════════════════════════════════════════════════
+// PURE ARB (guaranteed profit)
+//
+// Up + Down < MAX_SUM → buy BOTH sides → one settles at $1
+// Profit = $1.00 - (Up + Down) per share, minus fees
+// Fee at 35¢ ≈ 0.91%, at 50¢ ≈ 1.56% → need sum < ~$0.97
+// Size is capped by book depth: both ask ladders are walked and only
+// the size whose fill cost plus fees clears MIN_PROFIT is taken.
+// ═══════════════════════════════════════════════════════════════
+
+export class PureArbStrategy extends Strategy {
+  static NAME = "PURE_ARB";
+  static SLOT = "arb";
+  static PARAMS = { MAX_SUM: "arbMaxSum", SIZE: "arbSize", MIN_PROFIT: "arbMinProfit", MIN_SHARES: "arbMinShares", SIZING: "arbSizing" };
+
+  constructor(config = {}) {
+    super();
+    this.MAX_SUM = config.arbMaxSum ?? 0.97;          // Up+Down must be < 97¢ (3¢ gross profit/share — more opportunities)
+    this.SIZE = config.arbSize ?? 40;                 // $40 per arb pair ($20 each side) — profit scales with size
+    this.MIN_PROFIT = config.arbMinProfit ?? 0.015;   // Min 1.5¢ profit per share AFTER fees (was 0.5¢ — too thin)
+    this.MIN_SHARES = config.arbMinShares ?? 5;       // Polymarket minimum order size per leg
+    this.SIZING = config.arbSizing === "notional" ? "notional" : "shares";  // shares: equal shares per leg (exact $1/share payout) | notional: equal dollars
+  }
+
+  evaluate(ctx) {
+    const { marketData, upPrice, downPrice, sum, feeUp, feeDown, candleMinute, assetTag } = ctx;
+    const p = this.resolve(ctx.params);
+    const grossProfit = 1.0 - sum;  // per share pair
+    const totalFee = feeUp + feeDown;
+    const netProfit = grossProfit - totalFee;
+    this.last = { time: new Date().toISOString(), slug: ctx.slug, sum: Number(sum.toFixed(4)), threshold: p.MAX_SUM, wouldTrigger: sum < p.MAX_SUM, netProfit: Number(netProfit.toFixed(4)) };
+
+    if (sum >= p.MAX_SUM) return this.skip("sum above threshold");
+
+    // Top-of-book looks profitable — check the depth can carry real size
+    const depth = netProfit >= p.MIN_PROFIT ? this.sizeByDepth(marketData, p.SIZE, ctx.fee, p) : null;
+    this.last.depth = depth;
+
+    if (depth?.tooThin) {
+      this.skip("book too thin", `${assetTag} Sum $${sum.toFixed(3)}`);
+      if (this.skips["book too thin"] % 50 === 0) {
+        console.log(`[ArbHunter] ⏳ Arb skip #${this.skips["book too thin"]}: ${assetTag} Sum $${sum.toFixed(3)} but book too thin for ${p.MIN_SHARES}+ profitable shares/leg`);
+      }
+      return null;
+    }
+    if (netProfit < p.MIN_PROFIT) {
+      this.skip("fees ate profit", `${assetTag} Sum $${sum.toFixed(3)} | Net ${(netProfit*100).toFixed(1)}¢`);
+      // Only log arb skips occasionally to avoid spam
+      if (this.skips["fees ate profit"] % 50 === 0) {
+        console.log(`[ArbHunter] ⏳ Arb skip #${this.skips["fees ate profit"]}: Sum $${sum.toFixed(3)} | Net ${(netProfit*100).toFixed(1)}¢ (fees ate ${(totalFee*100).toFixed(1)}¢)`);
+      }
+      return null;
+    }
+
+    console.log(`[ArbHunter] ══════════════════════════════════════`);
+    console.log(`[ArbHunter] ${assetTag} Up: $${upPrice.toFixed(3)} | Down: $${downPrice.toFixed(3)} | Sum: $${sum.toFixed(3)} | Min ${candleMinute}/15`);
+    // Buy the cheaper side (more shares per dollar = more profit)
+    const cheaperSide = upPrice <= downPrice ? "Up" : "Down";
+    const cheaperPrice = Math.min(upPrice, downPrice);
+    const dollars = p.SIZE;
+
+    console.log(`[ArbHunter] 💰 ${assetTag} PURE ARB! Sum $${sum.toFixed(3)} | Gross: ${(grossProfit*100).toFixed(1)}¢ | Fee: ${(totalFee*100).toFixed(1)}¢ | Net: ${(netProfit*100).toFixed(1)}¢/share`);
+    console.log(`[ArbHunter] 💰 ${assetTag} Buy ${cheaperSide} @ $${cheaperPrice.toFixed(3)} (cheaper side first) | $${dollars}`);
+    if (depth) {
+      console.log(`[ArbHunter] 📚 ${assetTag} Depth: Up ${depth.upSize}x avg $${depth.upAvg.toFixed(3)} (≤$${depth.upLimit.toFixed(3)}) + Down ${depth.downSize}x avg $${depth.downAvg.toFixed(3)} (≤$${depth.downLimit.toFixed(3)}) | Net ${(depth.netProfit*100).toFixed(1)}¢/pair${depth.capped ? ' | CAPPED by depth' : ''}`);
+    }
+    console.log(`[ArbHunter] ══════════════════════════════════════`);
+
+    return this.signal({
+      direction: cheaperSide === "Up" ? "LONG" : "SHORT",
+      targetOutcome: cheaperSide,
+      confidence: 95,
+      edge: netProfit,
+      marketPrice: cheaperPrice,
+      modelProb: 0.95,
+      strategy: "PURE_ARB",
+      arbDollars: dollars,
+      arbNetProfit: netProfit,
+      arbSum: sum,
+      arbDepth: depth,
+      arbParams: p,
+      bullScore: 0, bearScore: 0,
+      signals: [`sum:$${sum.toFixed(3)}`, `net:${(netProfit*100).toFixed(1)}¢`, `fee:${(totalFee*100).toFixed(1)}¢`],
+      reason: `💰 ${assetTag} ARB: Sum $${sum.toFixed(3)} | Net +${(netProfit*100).toFixed(1)}¢/share | ${cheaperSide} @ $${cheaperPrice.toFixed(3)}`
+    });
+  }
+
+  // Buys both legs (and repairs a one-legged fill) with the sizing rules the signal was found under
+  async execute(engine, signal, marketData, priceToBeat) {
+    return await engine._executeArbTrade(signal, marketData, priceToBeat, signal.arbParams ?? this.resolve());
+  }
+
+  // Walk the ask levels for `size` shares and price in per-level taker fees
+  legCost(levels, size, tokenId, feeFn) {
+    if (!(size > 0)) return null;
+    const est = estimateFill(levels, size);
+    if (!est.complete) return null;
+    const fees = est.fills.reduce((acc, f) => acc + f.size * feeFn(f.price, tokenId), 0);
+    return { ...est, fees, perShare: (est.cost + fees) / size };
+  }
+
+  // ─── DEPTH-AWARE ARB SIZING ──────────────────────────────────
+  // Scale the target size down until the volume-weighted fill cost of
+  // both legs plus fees still clears MIN_PROFIT per share pair.
+  // In "shares" mode both legs target the same share count; in
+  // "notional" mode each leg targets half the dollars.
+  // Returns null when no book depth is available (fall back to top-of-book).
+  // p: resolved tunables (SIZING, MIN_PROFIT, MIN_SHARES) for this asset
+  sizeByDepth(marketData, dollars, feeFn, p = this) {
+    const upAsks = marketData.upBook?.asks;
+    const downAsks = marketData.downBook?.asks;
+    if (!upAsks?.length || !downAsks?.length) return null;
+
+    const pairTarget = Math.floor(dollars / (upAsks[0].price + downAsks[0].price));
+    const upTarget = p.SIZING === "shares" ? pairTarget : Math.floor((dollars / 2) / upAsks[0].price);
+    const downTarget = p.SIZING === "shares" ? pairTarget : Math.floor((dollars / 2) / downAsks[0].price);
+
+    const evaluate = (k) => {
+      const up = this.legCost(upAsks, Math.floor(upTarget * k), marketData.upTokenId, feeFn);
+      const down = this.legCost(downAsks, Math.floor(downTarget * k), marketData.downTokenId, feeFn);
+      if (!up || !down) return null;
+      const netProfit = 1.0 - up.perShare - down.perShare;
+      return netProfit >= p.MIN_PROFIT ? { up, down, netProfit } : null;
+    };
+
+    let best = evaluate(1);
+    if (!best) {
+      let lo = 0;
+      let hi = 1;
+      for (let i = 0; i < 20; i++) {
+        const mid = (lo + hi) / 2;
+        const r = evaluate(mid);
+        if (r) { best = r; lo = mid; } else { hi = mid; }
+      }
+    }
+
+    if (!best || best.up.filledSize < p.MIN_SHARES || best.down.filledSize < p.MIN_SHARES) {
+      return { tooThin: true, upTarget, downTarget };
+    }
+
+    return {
+      tooThin: false,
+      mode: p.SIZING,
+      upSize: best.up.filledSize,
+      downSize: best.down.filledSize,
+      upLimit: best.up.worstPrice,
+      downLimit: best.down.worstPrice,
+      upAvg: best.up.avgPrice,
+      downAvg: best.down.avgPrice,
+      fees: best.up.fees + best.down.fees,
+      cost: best.up.cost + best.down.cost,
+      netProfit: best.netProfit,
+      capped: best.up.filledSize < upTarget || best.down.filledSize < downTarget
+    };
+  }
+}
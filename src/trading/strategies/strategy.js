@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════
+// STRATEGY — base class for everything the engine can trade
+//
+// A strategy sees one scan context per asset per loop and either
+// returns a signal (shouldTrade: true) or records why it passed:
+//   evaluate(ctx)                       → signal | null
+//   execute(engine, signal, market, ptb) → engine execution result
+//   onExecuted(signal, result)           → own trade counters
+// SLOT is the per-market allowance it uses ("arb" or "directional"):
+// a market is traded at most once per slot.
+// PARAMS maps each tunable to its CONFIG.trading key so an asset's
+// overrides (ctx.params) can replace it for that asset's scans.
+// ═══════════════════════════════════════════════════════════════
+
+const RECENT_SKIPS = 20;
+
+export class Strategy {
+  static NAME = "STRATEGY";
+  static SLOT = "directional";
+  static PARAMS = {};                        // Tunable field → CONFIG.trading key
+
+  constructor() {
+    this.name = this.constructor.NAME;
+    this.slot = this.constructor.SLOT;
+    this.enabled = true;                     // Set by StrategyRegistry.configure()
+    this.paused = false;                     // Runtime pause (control API) — skipped even if listed
+    this.priority = 0;                       // Lower runs first
+
+    this.evaluations = 0;
+    this.signals = 0;
+    this.trades = 0;
+    this.todayTrades = 0;
+    this.failed = 0;
+    this.skips = {};                         // reason → count
+    this.recentSkips = [];
+    this.last = null;                        // Last evaluation detail for /debug
+  }
+
+  // ctx: see TradingEngine.shouldTrade — prices, fees, timing, BTC move, slot state, asset params
+  evaluate(ctx) {
+    throw new Error(`${this.name}: evaluate() not implemented`);
+  }
+
+  // Directional by default: buy one side for the signal's dollars
+  async execute(engine, signal, marketData, priceToBeat) {
+    return await engine._executeDirectionalTrade(signal, marketData, priceToBeat);
+  }
+
+  onExecuted(signal, result) {
+    if (result?.success) {
+      this.trades++;
+      this.todayTrades++;
+    } else {
+      this.failed++;
+    }
+  }
+
+  // Count a pass; detail is kept with the most recent skips only
+  skip(reason, detail = null) {
+    this.skips[reason] = (this.skips[reason] || 0) + 1;
+    if (detail) {
+      this.recentSkips.push({ time: new Date().toISOString(), reason, detail });
+      if (this.recentSkips.length > RECENT_SKIPS) this.recentSkips.shift();
+    }
+    return null;
+  }
+
+  signal(fields) {
+    this.signals++;
+    return { shouldTrade: true, strategyName: this.name, ...fields };
+  }
+
+  resetDay() {
+    this.todayTrades = 0;
+  }
+
+  // Tunables shown in /stats (uppercase instance fields, like the other trading modules)
+  params() {
+    return Object.fromEntries(Object.entries(this).filter(([k]) => /^[A-Z][A-Z0-9_]*$/.test(k)));
+  }
+
+  // Tunables for one scan: the asset's effective parameters where given, else our own
+  resolve(params = null) {
+    const resolved = this.params();
+    if (!params) return resolved;
+    for (const [field, key] of Object.entries(this.constructor.PARAMS)) {
+      if (params[key] !== undefined) resolved[field] = params[key];
+    }
+    return resolved;
+  }
+
+  // Runtime parameter changes by CONFIG.trading key; keys this strategy doesn't use are ignored
+  applyParams(values) {
+    for (const [field, key] of Object.entries(this.constructor.PARAMS)) {
+      if (values[key] !== undefined) this[field] = values[key];
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      paused: this.paused,
+      priority: this.priority,
+      slot: this.slot,
+      params: this.params(),
+      evaluations: this.evaluations,
+      signals: this.signals,
+      trades: this.trades,
+      todayTrades: this.todayTrades,
+      failed: this.failed,
+      skips: this.skips,
+      recentSkips: this.recentSkips,
+      last: this.last
+    };
+  }
+}
@@ -0,0 +1,316 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// ═══════════════════════════════════════════════════════════════
+// TRADE STORE — durable, append-only ledger for the position tracker
+//
+// Files (one set per ledger directory, e.g. logs/ and logs/paper/):
+//   state.json     snapshot of tracker state, tagged with the last seq
+//   events.jsonl   one event per line since that snapshot:
+//                    { seq, at, type: "position", position }  upsert by orderId
+//                    { seq, at, type: "group", group }        upsert by groupId
+//                    { seq, at, type: "totals", totals }      P&L counters
+//   journal.jsonl  trade journal, one record per line
+//   fills.jsonl    fill-level ledger (orders, fills, closes, redemptions)
+//   trades.csv     trade CSV (append-only; header aligned on startup,
+//                  an incompatible old file moves to trades.legacy.csv)
+//
+// Every change is an fsync'd append, never a rewrite. Snapshots are
+// written to a temp file, fsync'd and renamed over state.json, then the
+// event log is truncated; events at or below the snapshot's seq are
+// ignored on replay, so a crash between the two steps is harmless.
+// A torn last line (crash mid-append) is skipped when reading.
+// Legacy pnl.json / journal.json are imported on first load.
+// ═══════════════════════════════════════════════════════════════
+
+const OPEN_STATUSES = new Set(["OPEN", "AWAITING_RESOLUTION"]);
+
+const EMPTY_STATE = {
+  openPositions: [],
+  closedPositions: [],
+  closedGroups: [],
+  totalPnl: 0,
+  wins: 0,
+  losses: 0,
+  totalCost: 0,
+  totalReturn: 0,
+  totalFees: 0,
+  totalRedeemed: 0,
+  recentOutcomes: []
+};
+
+export class TradeStore {
+  constructor({ dir, compactEvery = 1000 } = {}) {
+    this.dir = dir;
+    this.files = {
+      state: path.join(dir, "state.json"),
+      events: path.join(dir, "events.jsonl"),
+      journal: path.join(dir, "journal.jsonl"),
+      fills: path.join(dir, "fills.jsonl"),
+      csv: path.join(dir, "trades.csv"),
+      legacyCsv: path.join(dir, "trades.legacy.csv"),
+      legacyPnl: path.join(dir, "pnl.json"),
+      legacyJournal: path.join(dir, "journal.json")
+    };
+    this.COMPACT_EVERY = compactEvery;  // Snapshot once this many events have accumulated
+
+    this.seq = 0;
+    this.pendingEvents = 0;
+    this.writes = 0;
+    this.errors = 0;
+    this.lastError = null;
+    this.skippedLines = 0;
+  }
+
+  // Materialized state: latest snapshot with the event log replayed on top
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._migrateLegacy();
+    for (const file of [this.files.events, this.files.journal, this.files.fills, this.files.csv]) this._terminateTornLine(file);
+
+    const snapshot = this._readJson(this.files.state);
+    const baseSeq = snapshot?.seq || 0;
+    const events = this._readJsonl(this.files.events).filter(e => e.seq > baseSeq);
+    this.seq = events.length > 0 ? events[events.length - 1].seq : baseSeq;
+    this.pendingEvents = events.length;
+
+    return { state: materialize(snapshot, events), replayed: events.length, fromSnapshot: Boolean(snapshot) };
+  }
+
+  // Append events as one fsync'd write. Throws on failure — callers decide how loud to be.
+  append(events) {
+    if (events.length === 0) return;
+    const at = new Date().toISOString();
+    const lines = events.map(e => JSON.stringify({ seq: ++this.seq, at, ...e })).join("\n") + "\n";
+    this._durableAppend(this.files.events, lines);
+    this.pendingEvents += events.length;
+    this.writes++;
+  }
+
+  needsSnapshot() {
+    return this.pendingEvents >= this.COMPACT_EVERY;
+  }
+
+  // Atomically replace state.json, then start a fresh event log
+  writeSnapshot(state) {
+    this._atomicWrite(this.files.state, JSON.stringify({ ...state, seq: this.seq, savedAt: new Date().toISOString() }, null, 2));
+    fs.writeFileSync(this.files.events, "", "utf8");
+    this.pendingEvents = 0;
+  }
+
+  // Small derived documents kept next to the ledger (e.g. periods.json)
+  readDocument(name) {
+    return this._readJson(path.join(this.dir, name));
+  }
+
+  writeDocument(name, data) {
+    this._atomicWrite(path.join(this.dir, name), JSON.stringify(data, null, 2));
+  }
+
+  appendJournal(entry) {
+    this._durableAppend(this.files.journal, JSON.stringify(entry) + "\n");
+  }
+
+  appendFill(record) {
+    this._durableAppend(this.files.fills, JSON.stringify(record) + "\n");
+  }
+
+  hasFills() {
+    return fs.existsSync(this.files.fills);
+  }
+
+  readFills() {
+    return this._readJsonl(this.files.fills);
+  }
+
+  readJournal({ offset = 0, limit = 100, order = "desc" } = {}) {
+    const entries = this._readJsonl(this.files.journal);
+    if (order === "desc") entries.reverse();
+    return paginate(entries, offset, limit);
+  }
+
+  // trades.csv only gets its header when created, so a file from before a
+  // column change keeps the old one. A header that is a prefix of the current
+  // one is rewritten in place (older rows simply lack the new trailing
+  // columns); any other header moves the file aside so new rows start fresh.
+  alignCsvHeader(header) {
+    if (!fs.existsSync(this.files.csv)) return null;
+    const text = fs.readFileSync(this.files.csv, "utf8");
+    const newline = text.indexOf("\n");
+    const current = (newline === -1 ? text : text.slice(0, newline)).trim();
+    const wanted = header.join(",");
+    if (current === wanted) return null;
+
+    const old = current.split(",");
+    if (old.length < header.length && old.every((name, i) => name === header[i])) {
+      this._atomicWrite(this.files.csv, wanted + (newline === -1 ? "\n" : text.slice(newline)));
+      console.log(`[Store] Added ${header.slice(old.length).join(", ")} to the ${path.basename(this.files.csv)} header`);
+      return "migrated";
+    }
+    const target = fs.existsSync(this.files.legacyCsv)
+      ? this.files.legacyCsv.replace(/\.csv$/, `-${Date.now()}.csv`)
+      : this.files.legacyCsv;
+    fs.renameSync(this.files.csv, target);
+    console.log(`[Store] ${path.basename(this.files.csv)} had different columns — moved to ${path.basename(target)}`);
+    return "rotated";
+  }
+
+  // Header plus a page of CSV rows (all rows when limit is null)
+  readCsv({ offset = 0, limit = null } = {}) {
+    if (!fs.existsSync(this.files.csv)) return null;
+    const [header, ...rows] = fs.readFileSync(this.files.csv, "utf8").split("\n").filter(Boolean);
+    const page = limit === null ? rows.slice(offset) : rows.slice(offset, offset + limit);
+    return { header, rows: page, total: rows.length, offset, limit };
+  }
+
+  // Tracker state straight from disk (works without a live tracker)
+  readState({ offset = 0, limit = 100 } = {}) {
+    const snapshot = this._readJson(this.files.state);
+    const events = this._readJsonl(this.files.events).filter(e => e.seq > (snapshot?.seq || 0));
+    if (!snapshot && events.length === 0 && !fs.existsSync(this.files.legacyPnl)) return null;
+    const state = (snapshot || events.length > 0) ? materialize(snapshot, events) : materialize(this._readJson(this.files.legacyPnl), []);
+    return pageState(state, offset, limit);
+  }
+
+  getStats() {
+    return {
+      dir: this.dir,
+      seq: this.seq,
+      pendingEvents: this.pendingEvents,
+      writes: this.writes,
+      errors: this.errors,
+      lastError: this.lastError,
+      skippedLines: this.skippedLines
+    };
+  }
+
+  recordError(e) {
+    this.errors++;
+    this.lastError = { message: e.message, at: new Date().toISOString() };
+  }
+
+  // temp file → fsync → rename, so readers see the old or the new file, never half of one
+  _atomicWrite(file, body) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, body);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  }
+
+  _durableAppend(file, text) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fd = fs.openSync(file, "a");
+    try {
+      fs.writeSync(fd, text);
+      fs.fdatasyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // A crash mid-append can leave a line without its newline; end it so the
+  // next append starts on a fresh line instead of gluing onto the torn one
+  _terminateTornLine(file) {
+    if (!fs.existsSync(file)) return;
+    const { size } = fs.statSync(file);
+    if (size === 0) return;
+    const fd = fs.openSync(file, "r");
+    const last = Buffer.alloc(1);
+    try {
+      fs.readSync(fd, last, 0, 1, size - 1);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (last.toString() !== "\n") this._durableAppend(file, "\n");
+  }
+
+  _readJson(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  _readJsonl(file) {
+    if (!fs.existsSync(file)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch {
+        this.skippedLines++;  // Torn write from a crash — everything before it is intact
+        console.error(`[Store] ⚠ Skipping unreadable line in ${path.basename(file)}`);
+      }
+    }
+    return out;
+  }
+
+  // One-time import of the old rewrite-everything files
+  _migrateLegacy() {
+    if (!fs.existsSync(this.files.state) && fs.existsSync(this.files.legacyPnl)) {
+      const legacy = this._readJson(this.files.legacyPnl);
+      this.writeSnapshot(materialize(legacy, []));
+      console.log(`[Store] Imported ${path.basename(this.files.legacyPnl)} into ${path.basename(this.files.state)}`);
+    }
+    if (!fs.existsSync(this.files.journal) && fs.existsSync(this.files.legacyJournal)) {
+      const legacy = this._readJson(this.files.legacyJournal) || [];
+      this._durableAppend(this.files.journal, legacy.map(e => JSON.stringify(e) + "\n").join(""));
+      console.log(`[Store] Imported ${legacy.length} journal entries into ${path.basename(this.files.journal)}`);
+    }
+  }
+}
+
+// Replay position/group upserts and totals on top of a snapshot.
+// A position lives in open or closed by its status; closed keeps the
+// order in which positions first closed.
+function materialize(snapshot, events) {
+  const base = { ...EMPTY_STATE, ...(snapshot || {}) };
+  const open = [...base.openPositions];
+  const closed = [...base.closedPositions];
+  const groups = [...base.closedGroups];
+  const totals = {};
+  const upsert = (list, item, key) => {
+    const i = list.findIndex(x => x[key] === item[key]);
+    if (i === -1) list.push(item);
+    else list[i] = item;
+  };
+
+  for (const e of events) {
+    if (e.type === "position") {
+      const p = e.position;
+      if (OPEN_STATUSES.has(p.status)) {
+        upsert(open, p, "orderId");
+      } else {
+        const i = open.findIndex(x => x.orderId === p.orderId);
+        if (i !== -1) open.splice(i, 1);
+        upsert(closed, p, "orderId");
+      }
+    } else if (e.type === "group") {
+      upsert(groups, e.group, "groupId");
+    } else if (e.type === "totals") {
+      Object.assign(totals, e.totals);
+    }
+  }
+
+  const { seq, savedAt, ...rest } = base;
+  return { ...rest, ...totals, openPositions: open, closedPositions: closed, closedGroups: groups };
+}
+
+function paginate(items, offset, limit) {
+  return { total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+}
+
+// Totals and open positions in full; closed positions newest first, paginated
+function pageState(state, offset, limit) {
+  const closed = [...state.closedPositions].reverse();
+  return {
+    ...state,
+    closedPositions: paginate(closed, offset, limit),
+    closedGroups: paginate([...state.closedGroups].reverse(), offset, limit)
+  };
+}
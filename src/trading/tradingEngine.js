@@ -1,9 +1,21 @@
 import { PositionTracker } from "./positionTracker.js";
+import { OrderManager } from "./orderManager.js";
+import { LegRepair } from "./legRepair.js";
+import { ExitEngine } from "./exitEngine.js";
+import { FeeModel } from "./feeModel.js";
+import { MakerArb } from "./makerArb.js";
+import { ResolutionService } from "./resolutionService.js";
+import { StaleReconciler } from "./staleReconciler.js";
+import { tradingEvents, EVENTS } from "./eventBus.js";
+import { TradingCalendar, PnlPeriods } from "./pnlPeriods.js";
+import { FillLedger } from "./fillLedger.js";
+import { createStrategyRegistry } from "./strategies/index.js";
 
 // ═══════════════════════════════════════════════════════════════
 // ARB HUNTER v6 — Exploit the math, not prediction
 //
-// 3 strategies checked every second, in priority order:
+// Strategies (src/trading/strategies/) are checked every second in
+// TRADING_STRATEGIES priority order; the first signal is executed:
 //
 // ① PURE ARB (guaranteed profit):
 //    Up + Down < $0.975 → buy BOTH sides → one settles at $1
@@ -22,6 +34,9 @@ import { PositionTracker } from "./positionTracker.js";
 //    Fee at 35¢ ≈ 0.91% → small vs 65¢ upside
 //    Tighter criteria than v5 to account for fees.
 //
+// The engine owns everything shared between them: guardrails, timing,
+// cooldown, per-market slots, order execution and position booking.
+//
 // Key improvements over v5:
 //   - Accounts for Polymarket taker fees in all calculations
 //   - Pure arb = guaranteed profit (no prediction needed)
@@ -30,6 +45,19 @@ import { PositionTracker } from "./positionTracker.js";
 //   - Max 2 trades per market (arb + directional)
 // ═══════════════════════════════════════════════════════════════
 
+// CONFIG.trading key → engine tunable, for parameters changed at runtime
+const RUNTIME_FIELDS = {
+  minBuyCooldownMs: "MIN_BUY_COOLDOWN",
+  minCandleMinute: "MIN_CANDLE_MINUTE",
+  maxCandleMinute: "MAX_CANDLE_MINUTE",
+  dailyDrawdownLimit: "DAILY_DRAWDOWN_LIMIT",
+  maxDailyLoss: "MAX_DAILY_LOSS",
+  maxExposure: "MAX_EXPOSURE",
+  maxTradesPerHour: "MAX_TRADES_PER_HOUR",
+  minRemainingBalance: "MIN_REMAINING_BALANCE",
+  balanceTtlMs: "BALANCE_TTL_MS"
+};
+
 export class TradingEngine {
   constructor(tradingService, config = {}) {
     this.tradingService = tradingService;
@@ -41,61 +69,112 @@ export class TradingEngine {
     this.lastTradeTime = 0;
     this.tradeHistory = [];
     this.hourlyTrades = [];
-    this.positionTracker = new PositionTracker();
-    
-    // ═══ STRATEGY 1: PURE ARB ══════════════════════════
-    this.ARB_MAX_SUM = 0.97;         // Up+Down must be < 97¢ (3¢ gross profit/share — more opportunities)
-    this.ARB_SIZE = 40;              // $40 per arb pair ($20 each side) — profit scales with size
-    this.ARB_MIN_PROFIT = 0.015;     // Min 1.5¢ profit per share AFTER fees (was 0.5¢ — too thin)
-    
-    // ═══ STRATEGY 2: EXTREME VALUE ═════════════════════
-    this.EXTREME_MAX_PRICE = 0.20;   // Token must be < 20¢ (was 10¢ — too strict, never fires)
-    this.EXTREME_MIN_BTC_MOVE = 0.06;// BTC must confirm direction (>0.06% — was 0.12%, too strict)
-    this.DEEP_VALUE_MAX = 0.05;      // Tokens under 5¢ don't need BTC confirmation (20:1+ R:R)
-    this.EXTREME_SIZE = 2;           // $2 per extreme value bet (small — focus is arb)
-    
-    // ═══ STRATEGY 3: CONFIRMED MOVE ════════════════════
-    this.MOVE_MIN_BTC_PCT = 0.08;    // BTC must move >0.08% (was 0.15% — too strict, never fired)
-    this.MOVE_STRONG_PCT = 0.30;     // Strong move threshold (was 0.40%)
-    this.MOVE_MAX_TOKEN = 0.45;      // Token must be < 45¢ (was 35¢ — too strict)
-    this.MOVE_MIN_TOKEN = 0.03;      // Ignore dust
-    this.MOVE_SIZE = 2;              // $2 per confirmed move (small — focus is arb)
-    this.MOVE_SIZE_STRONG = 2;       // $2 even on strong moves (protect arb capital)
-    this.MOVE_MIN_EDGE = 0.15;       // Need 15% edge (was 20% — too strict with fees accounted)
+    this.positionTracker = new PositionTracker({ logDir: config.ledgerDir });
+    this.calendar = new TradingCalendar({ timeZone: config.tradingDayTimezone, resetHour: config.tradingDayResetHour });
+    this.pnlPeriods = new PnlPeriods({ calendar: this.calendar, store: this.positionTracker.store, positionTracker: this.positionTracker });
+    this.pnlPeriods.load();
+    this.fillLedger = new FillLedger(this.positionTracker.store, this.positionTracker);
+    this.fillLedger.backfill();
+    this.feeModel = tradingService?.feeModel || new FeeModel();  // Same rates the orders are signed with
+    this.orderManager = new OrderManager(tradingService, {
+      fillTimeoutMs: config.orderFillTimeoutMs,
+      pollIntervalMs: config.orderPollIntervalMs
+    });
+    this.legRepair = new LegRepair(tradingService, this.orderManager, {
+      policy: config.arbLegPolicy,
+      deadlineMs: config.arbLegRepairMs,
+      priceBuffer: config.priceBuffer
+    });
+    this.exitEngine = new ExitEngine(tradingService, this.orderManager, this.positionTracker, {
+      stopLossPct: config.stopLossPct,
+      takeProfitPct: config.takeProfitPct,
+      exitBeforeEndSec: config.exitBeforeEndSec,
+      priceBuffer: config.priceBuffer,
+      retryAfterMs: config.exitRetryMs,
+      feeModel: this.feeModel
+    });
+    this.makerArb = new MakerArb(tradingService, this.orderManager, this.positionTracker, {
+      enabled: config.makerArbEnabled,
+      quoteSize: config.makerArbQuoteSize,
+      maxShares: config.makerArbMaxShares,
+      minEdge: config.makerArbMinEdge,
+      hedgeMinProfit: config.makerArbHedgeMinProfit,
+      stopBeforeEndSec: config.makerArbStopBeforeEndSec,
+      feeModel: this.feeModel
+    });
+    this.resolutionService = new ResolutionService({ pollMs: config.resolutionPollMs });
+    this.staleReconciler = new StaleReconciler(this.positionTracker, this.resolutionService, {
+      intervalMs: config.staleReconcileMs
+    });
     
+    // ═══ STRATEGIES ═════════════════════════════════════
+    // Thresholds and sizes live on each strategy (see strategies/)
+    this.strategies = createStrategyRegistry(config);
+
     // ═══ TIMING ════════════════════════════════════════
-    this.MIN_BUY_COOLDOWN = 15000;   // 15s cooldown (faster for arb)
-    this.MIN_CANDLE_MINUTE = 1;      // Arb can trade from minute 1
-    this.MAX_CANDLE_MINUTE = 13;     // Can trade until minute 13
+    this.MIN_BUY_COOLDOWN = config.minBuyCooldownMs ?? 15000;   // 15s cooldown (faster for arb)
+    this.MIN_CANDLE_MINUTE = config.minCandleMinute ?? 1;       // Arb can trade from minute 1
+    this.MAX_CANDLE_MINUTE = config.maxCandleMinute ?? 13;      // Can trade until minute 13
+    this.PRICE_BUFFER = config.priceBuffer ?? 0.003;            // Cross the spread slightly on taker buys
     
     // ═══ GUARDRAILS ═════════════════════════════════════
-    this.DAILY_DRAWDOWN_LIMIT = -10; // Stop at -$10 daily
-    this.MAX_EXPOSURE = 80;          // $80 max — arb is hedged so safe to go higher ($100 balance)
-    this.LOSS_STREAK_REDUCE = 4;     // After 4 consecutive losses, reduce size
-    
-    // ═══ FEE CALCULATION ═══════════════════════════════
-    this.FEE_RATE = 0.0625;          // Polymarket fee multiplier for 15-min markets
+    this.DAILY_DRAWDOWN_LIMIT = config.dailyDrawdownLimit ?? -10;  // Stop at -$10 daily
+    this.MAX_DAILY_LOSS = config.maxDailyLoss ?? 0;                // Stop after losing this much today (0 = off)
+    this.MAX_EXPOSURE = config.maxExposure ?? 80;                  // $80 max — arb is hedged so safe to go higher ($100 balance)
+    this.MAX_TRADES_PER_HOUR = config.maxTradesPerHour ?? 0;       // Rolling-hour trade cap (0 = off)
+    this.MIN_REMAINING_BALANCE = config.minRemainingBalance ?? 0;  // USDC a trade may not dip into (0 = off)
+    this.BALANCE_TTL_MS = config.balanceTtlMs ?? 30000;            // Reuse a balance read this long
+    this.balance = { value: null, at: 0 };
     
     // ═══ TRACKING ══════════════════════════════════════
     this.lastBuyTime = 0;
     this.tradedSlugs = new Map();    // slug → { arb: bool, directional: bool }
     this.consecutiveLosses = 0;
-    this.dailyPnl = 0;
-    this.dailyResetDate = new Date().toDateString();
+    this.dailyPnl = this.pnlPeriods.today().pnl;    // Today's closes survive a restart
+    this.dailyResetDate = this.calendar.dayKey();    // Trading day (TRADING_DAY_TIMEZONE / RESET_HOUR)
     this.todayTrades = 0;
     this.todayWins = 0;
-    this.todayArbs = 0;
-    this.todayExtremes = 0;
-    this.todayMoves = 0;
+    this.legRepairStats = { repaired: 0, unwound: 0, naked: 0, recent: [] };
     
     // ═══ LOGGING & ANALYTICS ═══════════════════════════
-    this.opportunitiesSeen = 0;      // Total opportunities scanned
-    this.arbSkipped = 0;             // Arb found but fees ate profit
-    this.extremeSkipped = 0;         // Extreme value but move too small
-    this.moveSkipped = 0;            // Move found but edge/EV too low
+    this.opportunitiesSeen = 0;      // Total opportunities scanned (skip reasons are per strategy)
     this.lastLogTime = Date.now();
     this.lastScanLog = new Map();    // Per-asset scan log throttle: assetName → timestamp
     this.lastScan = {};              // Last scan data for /debug endpoint
+
+    // ═══ EVENTS ════════════════════════════════════════
+    // Guardrail counters follow real closes published by the tracker
+    const onClose = (event) => this._onPositionClosed(event);
+    this.unsubscribe = [
+      ...this.pnlPeriods.attach(tradingEvents),
+      ...this.fillLedger.attach(tradingEvents),
+      tradingEvents.subscribe(EVENTS.POSITION_RESOLVED, onClose),
+      tradingEvents.subscribe(EVENTS.POSITION_STOPPED_OUT, onClose),
+      tradingEvents.subscribe(EVENTS.POSITION_EXITED, onClose),
+      tradingEvents.subscribe(EVENTS.POSITION_RESTATED, (event) => this._onPositionRestated(event))
+    ];
+  }
+
+  // Stop listening to the event bus (engine being replaced or shut down)
+  detach() {
+    for (const off of this.unsubscribe) off();
+    this.unsubscribe = [];
+  }
+
+  // Realized loss today has reached DAILY_DRAWDOWN_LIMIT or MAX_DAILY_LOSS
+  _dailyStopHit() {
+    return this.dailyPnl <= this.DAILY_DRAWDOWN_LIMIT || (this.MAX_DAILY_LOSS > 0 && this.dailyPnl <= -this.MAX_DAILY_LOSS);
+  }
+
+  // Would spending `dollars` leave less than MIN_REMAINING_BALANCE? Unknown balances don't block.
+  async _reserveShortfall(dollars) {
+    if (!(this.MIN_REMAINING_BALANCE > 0) || typeof this.tradingService.getBalance !== "function") return null;
+    if (Date.now() - this.balance.at > this.BALANCE_TTL_MS) {
+      this.balance = { value: await this.tradingService.getBalance(), at: Date.now() };
+    }
+    const balance = this.balance.value;
+    if (balance === null || balance === undefined) return null;
+    return balance - dollars < this.MIN_REMAINING_BALANCE ? balance : null;
   }
 
   _tradesInLastHour() {
@@ -104,23 +183,21 @@ export class TradingEngine {
     return this.hourlyTrades.length;
   }
 
-  // Calculate taker fee per share at a given price
-  _takerFee(price) {
-    return price * (1 - price) * this.FEE_RATE;
+  // Taker fee per share at a given price (per-token rate from the fee model)
+  _takerFee(price, tokenId = null) {
+    return this.feeModel.takerFee(price, tokenId);
   }
 
   // ─── DAILY RESET ──────────────────────────────────────────────
   _checkDailyReset() {
-    const today = new Date().toDateString();
+    const today = this.calendar.dayKey();
     if (today !== this.dailyResetDate) {
-      console.log(`[ArbHunter] 📅 New day — prev: $${this.dailyPnl.toFixed(2)} | ${this.todayTrades}T ${this.todayWins}W | Arb:${this.todayArbs} Ext:${this.todayExtremes} Mov:${this.todayMoves}`);
+      console.log(`[ArbHunter] 📅 New day — prev: $${this.dailyPnl.toFixed(2)} | ${this.todayTrades}T ${this.todayWins}W | ${this._strategyTally()}`);
       this.dailyPnl = 0;
       this.dailyResetDate = today;
       this.todayTrades = 0;
       this.todayWins = 0;
-      this.todayArbs = 0;
-      this.todayExtremes = 0;
-      this.todayMoves = 0;
+      this.strategies.resetDay();
       this.consecutiveLosses = 0;
       this.tradedSlugs.clear();
     }
@@ -128,9 +205,12 @@ export class TradingEngine {
 
   // ═══════════════════════════════════════════════════════════════
   // MAIN DECISION: shouldTrade()
-  // Checks 3 strategies in priority order
+  // Shared guardrails, then the enabled strategies in priority order.
+  // asset: assetTradingConfig() for marketData.assetName — its enable
+  // flag and effective parameters (trading minutes, strategy list and
+  // thresholds); without it the global settings apply.
   // ═══════════════════════════════════════════════════════════════
-  shouldTrade(prediction, marketData, currentPrice, indicators = {}) {
+  shouldTrade(prediction, marketData, currentPrice, indicators = {}, asset = null) {
     if (!this.config.enabled) {
       return { shouldTrade: false, reason: "Trading disabled" };
     }
@@ -154,16 +234,25 @@ export class TradingEngine {
     const sum = upPrice + downPrice;
     const assetTag = marketData.assetName ? `[${marketData.assetName}]` : "";
 
+    if (asset && !asset.enabled) {
+      return { shouldTrade: false, reason: `${assetTag} Asset disabled` };
+    }
+    const params = asset?.params ?? null;
+
     // ═══ GUARDRAILS ═══════════════════════════════════════════
     const totalExposure = this.positionTracker.openPositions.reduce((sum, pos) => sum + pos.cost, 0);
     if (totalExposure >= this.MAX_EXPOSURE) {
       return { shouldTrade: false, reason: `Circuit breaker: $${totalExposure.toFixed(2)}` };
     }
 
-    if (this.dailyPnl <= this.DAILY_DRAWDOWN_LIMIT) {
+    if (this._dailyStopHit()) {
       return { shouldTrade: false, reason: `Daily stop: $${this.dailyPnl.toFixed(2)}` };
     }
 
+    if (this.MAX_TRADES_PER_HOUR > 0 && this._tradesInLastHour() >= this.MAX_TRADES_PER_HOUR) {
+      return { shouldTrade: false, reason: `Hourly cap: ${this.MAX_TRADES_PER_HOUR} trades` };
+    }
+
     // ─── TIMING ──────────────────────────────────────────────
     let candleMinute = 0;
     if (marketData.marketEndTime) {
@@ -171,10 +260,10 @@ export class TradingEngine {
       const minLeft = msLeft / 60000;
       candleMinute = Math.floor(15 - minLeft);
       
-      if (candleMinute < this.MIN_CANDLE_MINUTE) {
+      if (candleMinute < (params?.minCandleMinute ?? this.MIN_CANDLE_MINUTE)) {
         return { shouldTrade: false, reason: `Too early (min ${candleMinute})` };
       }
-      if (candleMinute > this.MAX_CANDLE_MINUTE) {
+      if (candleMinute > (params?.maxCandleMinute ?? this.MAX_CANDLE_MINUTE)) {
         return { shouldTrade: false, reason: `Too late (min ${candleMinute})` };
       }
     }
@@ -195,12 +284,12 @@ export class TradingEngine {
       btcMoveAbs = Math.abs(btcMovePct);
     }
 
-    const feeUp = this._takerFee(upPrice);
-    const feeDown = this._takerFee(downPrice);
+    const feeUp = this._takerFee(upPrice, marketData.upTokenId);
+    const feeDown = this._takerFee(downPrice, marketData.downTokenId);
 
     this.opportunitiesSeen++;
 
-    // Store last scan for debug endpoint
+    // Store last scan for debug endpoint (each strategy keeps its own `last`)
     this.lastScan = {
       time: new Date().toISOString(),
       upPrice, downPrice, sum: sum.toFixed(4),
@@ -208,9 +297,7 @@ export class TradingEngine {
       btcMovePct: btcMovePct.toFixed(4),
       candleMinute,
       slug,
-      arbThreshold: this.ARB_MAX_SUM,
-      arbWouldTrigger: sum < this.ARB_MAX_SUM,
-      alreadyArbTraded: slugState.arb,
+      slotsUsed: slugState,
       feeUp: feeUp.toFixed(4), feeDown: feeDown.toFixed(4)
     };
 
@@ -218,162 +305,22 @@ export class TradingEngine {
     const assetName = marketData.assetName || "UNK";
     const lastLogForAsset = this.lastScanLog.get(assetName) || 0;
     if ((now - lastLogForAsset) > 60000) {
-      console.log(`[ArbHunter] 🔍 ${assetTag} Scan: Up $${upPrice.toFixed(3)} + Down $${downPrice.toFixed(3)} = $${sum.toFixed(3)} | Threshold: $${this.ARB_MAX_SUM} | BTC: ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}% | Min ${candleMinute}/15`);
+      const arb = this.strategies.active(params?.strategies).find(s => s.name === "PURE_ARB");
+      const threshold = arb ? ` | Threshold: $${arb.resolve(params).MAX_SUM}` : "";
+      console.log(`[ArbHunter] 🔍 ${assetTag} Scan: Up $${upPrice.toFixed(3)} + Down $${downPrice.toFixed(3)} = $${sum.toFixed(3)}${threshold} | BTC: ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}% | Min ${candleMinute}/15`);
       this.lastScanLog.set(assetName, now);
     }
 
-    // ═══════════════════════════════════════════════════════════
-    // STRATEGY 1: PURE ARB — Up + Down < threshold
-    // Buy BOTH sides. One always settles at $1. Guaranteed profit.
-    // ═══════════════════════════════════════════════════════════
-    if (!slugState.arb && sum < this.ARB_MAX_SUM) {
-      const grossProfit = 1.0 - sum;  // per share pair
-      const totalFee = feeUp + feeDown;
-      const netProfit = grossProfit - totalFee;
-
-      if (netProfit >= this.ARB_MIN_PROFIT) {
-        console.log(`[ArbHunter] ══════════════════════════════════════`);
-        console.log(`[ArbHunter] ${assetTag} Up: $${upPrice.toFixed(3)} | Down: $${downPrice.toFixed(3)} | Sum: $${sum.toFixed(3)} | Min ${candleMinute}/15`);
-        // Buy the cheaper side (more shares per dollar = more profit)
-        const cheaperSide = upPrice <= downPrice ? "Up" : "Down";
-        const cheaperPrice = Math.min(upPrice, downPrice);
-        const dollars = this.ARB_SIZE;
-
-        console.log(`[ArbHunter] 💰 ${assetTag} PURE ARB! Sum $${sum.toFixed(3)} | Gross: ${(grossProfit*100).toFixed(1)}¢ | Fee: ${(totalFee*100).toFixed(1)}¢ | Net: ${(netProfit*100).toFixed(1)}¢/share`);
-        console.log(`[ArbHunter] 💰 ${assetTag} Buy ${cheaperSide} @ $${cheaperPrice.toFixed(3)} (cheaper side first) | $${dollars}`);
-        console.log(`[ArbHunter] ══════════════════════════════════════`);
-
-        return {
-          shouldTrade: true,
-          direction: cheaperSide === "Up" ? "LONG" : "SHORT",
-          targetOutcome: cheaperSide,
-          confidence: 95,
-          edge: netProfit,
-          marketPrice: cheaperPrice,
-          modelProb: 0.95,
-          strategy: "PURE_ARB",
-          arbDollars: dollars,
-          arbNetProfit: netProfit,
-          arbSum: sum,
-          bullScore: 0, bearScore: 0,
-          signals: [`sum:$${sum.toFixed(3)}`, `net:${(netProfit*100).toFixed(1)}¢`, `fee:${(totalFee*100).toFixed(1)}¢`],
-          reason: `💰 ${assetTag} ARB: Sum $${sum.toFixed(3)} | Net +${(netProfit*100).toFixed(1)}¢/share | ${cheaperSide} @ $${cheaperPrice.toFixed(3)}`
-        };
-      } else {
-        this.arbSkipped++;
-        // Only log arb skips occasionally to avoid spam
-        if (this.arbSkipped % 50 === 0) {
-          console.log(`[ArbHunter] ⏳ Arb skip #${this.arbSkipped}: Sum $${sum.toFixed(3)} | Net ${(netProfit*100).toFixed(1)}¢ (fees ate ${(totalFee*100).toFixed(1)}¢)`);
-        }
-      }
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // STRATEGY 2: EXTREME VALUE — DISABLED (arb-only mode)
-    // Risk 10¢, win 90¢. 9:1 R:R. Only need 15% win rate to profit.
-    // ═══════════════════════════════════════════════════════════
-    if (false && !slugState.directional && spotPrice && priceToBeat) {
-      const btcUp = btcMovePct > 0;
-      const extremeToken = btcUp ? "Up" : "Down";
-      const extremePrice = btcUp ? upPrice : downPrice;
-
-      // Deep value: tokens under 5¢ don't need BTC confirmation (R:R is 20:1+)
-      // BUT: only trade if arb is impossible (sum > 0.98) or window closing (min > 10)
-      // This prevents deep value from blocking arb opportunities
-      const arbImpossible = sum > 0.98;
-      const arbWindowClosing = candleMinute > 10;
-      const isDeepValue = extremePrice <= this.DEEP_VALUE_MAX && extremePrice > 0.01 && (arbImpossible || arbWindowClosing);
-      const isExtremeWithMove = extremePrice <= this.EXTREME_MAX_PRICE && extremePrice > 0.01 && btcMoveAbs >= this.EXTREME_MIN_BTC_MOVE;
-      if (isDeepValue || isExtremeWithMove) {
-        const fee = this._takerFee(extremePrice);
-        const netWin = 1.0 - extremePrice - fee;
-        const netLoss = extremePrice + fee;
-        const rr = (netWin / netLoss).toFixed(1);
-        const breakeven = (netLoss / (netWin + netLoss) * 100).toFixed(0);
-        const dollars = this.EXTREME_SIZE;
-
-        console.log(`[ArbHunter] ══════════════════════════════════════`);
-        console.log(`[ArbHunter] ${assetTag} Up: $${upPrice.toFixed(3)} | Down: $${downPrice.toFixed(3)} | Sum: $${sum.toFixed(3)} | Min ${candleMinute}/15`);
-        console.log(`[ArbHunter] 🎰 ${assetTag} EXTREME VALUE! ${extremeToken} @ $${extremePrice.toFixed(3)} | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}%`);
-        console.log(`[ArbHunter] 🎰 ${assetTag} R:R ${rr}:1 | Win: +${(netWin*100).toFixed(0)}¢ | Lose: -${(netLoss*100).toFixed(0)}¢ | Breakeven: ${breakeven}% WR | $${dollars}`);
-        console.log(`[ArbHunter] ══════════════════════════════════════`);
-
-        return {
-          shouldTrade: true,
-          direction: btcUp ? "LONG" : "SHORT",
-          targetOutcome: extremeToken,
-          confidence: 60,
-          edge: netWin - netLoss,
-          marketPrice: extremePrice,
-          modelProb: 0.60,
-          strategy: "EXTREME_VALUE",
-          extremeDollars: dollars,
-          bullScore: 0, bearScore: 0,
-          signals: [`${extremeToken}:$${extremePrice.toFixed(3)}`, `RR:${rr}:1`, `BTC:${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(2)}%`],
-          reason: `🎰 ${assetTag} EXTREME ${extremeToken} @ $${extremePrice.toFixed(3)} | R:R ${rr}:1 | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(2)}%`
-        };
-      }
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // STRATEGY 3: CONFIRMED MOVE — DISABLED (arb-only mode)
-    // Same as sniper but tighter criteria to account for fees
-    // ═══════════════════════════════════════════════════════════
-    if (false && !slugState.directional && spotPrice && priceToBeat && candleMinute >= 2) {
-      const btcUp = btcMovePct > 0;
-      const targetOutcome = btcUp ? "Up" : "Down";
-      const targetPrice = btcUp ? upPrice : downPrice;
-
-      if (btcMoveAbs >= this.MOVE_MIN_BTC_PCT && targetPrice <= this.MOVE_MAX_TOKEN && targetPrice >= this.MOVE_MIN_TOKEN) {
-        const fee = this._takerFee(targetPrice);
-        const estimatedProb = btcMoveAbs >= this.MOVE_STRONG_PCT ? 0.85 : 0.72;
-        const impliedProb = targetPrice;
-        const probEdge = estimatedProb - impliedProb;
-
-        // Expected value accounting for fees
-        const evWin = (1.0 - targetPrice - fee) * estimatedProb;
-        const evLoss = (targetPrice + fee) * (1 - estimatedProb);
-        const netEV = evWin - evLoss;
-
-        if (probEdge >= this.MOVE_MIN_EDGE && netEV > 0) {
-          const isStrong = btcMoveAbs >= this.MOVE_STRONG_PCT;
-          let dollars = isStrong ? this.MOVE_SIZE_STRONG : this.MOVE_SIZE;
-
-          if (this.consecutiveLosses >= this.LOSS_STREAK_REDUCE) {
-            dollars = Math.max(2, Math.floor(dollars * 0.5));
-          }
-
-          const rr = ((1 - targetPrice - fee) / (targetPrice + fee)).toFixed(1);
-
-          console.log(`[ArbHunter] ══════════════════════════════════════`);
-          console.log(`[ArbHunter] ${assetTag} Up: $${upPrice.toFixed(3)} | Down: $${downPrice.toFixed(3)} | Sum: $${sum.toFixed(3)} | Min ${candleMinute}/15`);
-          console.log(`[ArbHunter] 🎯 ${assetTag} CONFIRMED MOVE! ${targetOutcome} @ $${targetPrice.toFixed(3)} | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}%`);
-          console.log(`[ArbHunter] 🎯 ${assetTag} Edge: ${(probEdge*100).toFixed(0)}% | EV: +${(netEV*100).toFixed(1)}¢/share | R:R ${rr}:1 | Fee: ${(fee*100).toFixed(1)}¢ | $${dollars}${isStrong ? ' STRONG' : ''}`);
-          console.log(`[ArbHunter] ══════════════════════════════════════`);
-
-          return {
-            shouldTrade: true,
-            direction: btcUp ? "LONG" : "SHORT",
-            targetOutcome,
-            confidence: Math.round(estimatedProb * 100),
-            edge: probEdge,
-            marketPrice: targetPrice,
-            modelProb: estimatedProb,
-            strategy: isStrong ? "MOVE_STRONG" : "MOVE",
-            moveDollars: dollars,
-            bullScore: 0, bearScore: 0,
-            signals: [`BTC:${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}%`, `${targetOutcome}:$${targetPrice.toFixed(3)}`, `EV:+${(netEV*100).toFixed(1)}¢`],
-            reason: `🎯 ${assetTag} MOVE ${targetOutcome} @ $${targetPrice.toFixed(3)} | BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(2)}% | EV +${(netEV*100).toFixed(1)}¢ | $${dollars}`
-          };
-        } else if (btcMoveAbs >= this.MOVE_MIN_BTC_PCT) {
-          this.moveSkipped++;
-          // Only log move skips occasionally to avoid spam
-          if (this.moveSkipped % 30 === 0) {
-            console.log(`[ArbHunter] ⏳ Move skip #${this.moveSkipped}: BTC ${btcMovePct >= 0 ? '+' : ''}${btcMovePct.toFixed(3)}% | Edge ${(probEdge*100).toFixed(0)}% | EV ${(netEV*100).toFixed(1)}¢`);
-          }
-        }
-      }
-    }
+    // ═══ STRATEGIES ═══════════════════════════════════════════
+    const signal = this.strategies.evaluate({
+      marketData, now, slug, slugState, assetTag,
+      upPrice, downPrice, sum, feeUp, feeDown,
+      spotPrice, priceToBeat, btcMovePct, btcMoveAbs, candleMinute,
+      consecutiveLosses: this.consecutiveLosses,
+      params,
+      fee: (price, tokenId) => this._takerFee(price, tokenId)
+    });
+    if (signal) return signal;
 
     // Periodic summary every 10 trades
     if (this.todayTrades > 0 && this.todayTrades % 10 === 0 && (Date.now() - this.lastLogTime) > 5000) {
@@ -381,8 +328,7 @@ export class TradingEngine {
       const avgPerTrade = this.todayTrades > 0 ? (this.dailyPnl / this.todayTrades).toFixed(2) : "0.00";
       console.log(`\n[ArbHunter] ════════════════════════════════════════════════════════`);
       console.log(`[ArbHunter] 📊 SUMMARY after ${this.todayTrades} trades | Daily P&L: $${this.dailyPnl.toFixed(2)} | Avg: $${avgPerTrade}/trade | WR: ${wr}%`);
-      console.log(`[ArbHunter] 💰 Arb: ${this.todayArbs} trades | 🎰 Extreme: ${this.todayExtremes} trades | 🎯 Move: ${this.todayMoves} trades`);
-      console.log(`[ArbHunter] ⏳ Skipped: Arb ${this.arbSkipped} | Extreme ${this.extremeSkipped} | Move ${this.moveSkipped} | Scanned: ${this.opportunitiesSeen}`);
+      console.log(`[ArbHunter] 📋 Today: ${this._strategyTally()} | Scanned: ${this.opportunitiesSeen}`);
       console.log(`[ArbHunter] 📈 Opportunities/trade: ${(this.opportunitiesSeen / Math.max(1, this.todayTrades)).toFixed(1)} | Loss streak: ${this.consecutiveLosses}`);
       console.log(`[ArbHunter] ════════════════════════════════════════════════════════\n`);
       this.lastLogTime = Date.now();
@@ -393,30 +339,40 @@ export class TradingEngine {
 
   // ═══════════════════════════════════════════════════════════════
   // EXECUTE TRADE
-  // For PURE_ARB: buys BOTH sides simultaneously (true arb)
-  // For others: buys single directional side
+  // Dispatched to the strategy that produced the signal:
+  // PURE_ARB buys BOTH sides simultaneously, others buy one side
   // ═══════════════════════════════════════════════════════════════
   async executeTrade(signal, marketData, priceToBeat = null) {
     if (!signal.shouldTrade) {
       return { success: false, reason: signal.reason };
     }
 
+    const strategy = this.strategies.get(signal.strategyName);
+    if (!strategy) {
+      return { success: false, reason: `Unknown strategy: ${signal.strategyName}` };
+    }
+
+    let result;
     try {
-      // ═══ PURE ARB: BUY BOTH SIDES ═══════════════════════════
-      if (signal.strategy === "PURE_ARB") {
-        return await this._executeArbTrade(signal, marketData, priceToBeat);
+      const dollars = signal.arbDollars ?? signal.dollars ?? 0;
+      const balance = await this._reserveShortfall(dollars);
+      if (balance !== null) {
+        console.log(`[ArbHunter] 🛑 Reserve: $${dollars} trade would leave $${(balance - dollars).toFixed(2)} of $${balance.toFixed(2)} (keep $${this.MIN_REMAINING_BALANCE})`);
+        return { success: false, reason: `Reserve: balance $${balance.toFixed(2)} − $${dollars} < $${this.MIN_REMAINING_BALANCE}` };
       }
-
-      // ═══ DIRECTIONAL: BUY ONE SIDE ══════════════════════════
-      return await this._executeDirectionalTrade(signal, marketData, priceToBeat);
-
+      // Arb buys both sides; directional strategies buy one
+      result = await strategy.execute(this, signal, marketData, priceToBeat);
+      this.balance.at = 0;   // Spent (or tried to) — read it fresh next time
     } catch (error) {
-      return { success: false, reason: `Trade failed: ${error.message}`, error };
+      result = { success: false, reason: `Trade failed: ${error.message}`, error };
     }
+    strategy.onExecuted(signal, result);
+    return result;
   }
 
   // ─── ARB: Buy BOTH Up AND Down simultaneously ────────────────
-  async _executeArbTrade(signal, marketData, priceToBeat) {
+  // arb: PURE_ARB tunables (SIZE, MIN_SHARES, SIZING, MIN_PROFIT) resolved for this asset
+  async _executeArbTrade(signal, marketData, priceToBeat, arb) {
     const upTokenId = marketData.upTokenId;
     const downTokenId = marketData.downTokenId;
 
@@ -426,24 +382,60 @@ export class TradingEngine {
 
     const upPrice = marketData.upPrice;
     const downPrice = marketData.downPrice;
-    const dollars = signal.arbDollars || this.ARB_SIZE;
-    const MIN_SHARES = 5;
-
-    // Calculate shares — buy equal DOLLARS of each side (not equal qty)
-    // This ensures symmetric risk: losing either side costs the same amount
-    const upBuyPrice = Math.min(0.95, upPrice + 0.003);
-    const downBuyPrice = Math.min(0.95, downPrice + 0.003);
-    const halfDollars = dollars / 2;
-    
-    let upSize = Math.floor(halfDollars / upBuyPrice);
-    let downSize = Math.floor(halfDollars / downBuyPrice);
-    
-    if (upSize < MIN_SHARES) upSize = MIN_SHARES;
-    if (downSize < MIN_SHARES) downSize = MIN_SHARES;
+    const dollars = signal.arbDollars || arb.SIZE;
+    const MIN_SHARES = arb.MIN_SHARES;
+    const depth = signal.arbDepth && !signal.arbDepth.tooThin ? signal.arbDepth : null;
+
+    let upBuyPrice;
+    let downBuyPrice;
+    let upSize;
+    let downSize;
+
+    if (depth) {
+      // Depth-aware: sizes capped by the book walk, limits at the deepest level we need
+      upBuyPrice = depth.upLimit;
+      downBuyPrice = depth.downLimit;
+      upSize = depth.upSize;
+      downSize = depth.downSize;
+    } else {
+      upBuyPrice = Math.min(0.95, upPrice + this.PRICE_BUFFER);
+      downBuyPrice = Math.min(0.95, downPrice + this.PRICE_BUFFER);
+
+      if (arb.SIZING === "shares") {
+        // No depth data — buy equal SHARES of each side at top of book
+        // so the payout is exactly shares × $1 whichever side wins
+        upSize = downSize = Math.floor(dollars / (upBuyPrice + downBuyPrice));
+      } else {
+        // No depth data — buy equal DOLLARS of each side at top of book
+        // This ensures symmetric risk: losing either side costs the same amount
+        const halfDollars = dollars / 2;
+
+        upSize = Math.floor(halfDollars / upBuyPrice);
+        downSize = Math.floor(halfDollars / downBuyPrice);
+      }
+
+      // Never round a leg up past the configured dollars — skip instead
+      if (upSize < MIN_SHARES || downSize < MIN_SHARES) {
+        console.log(`[ArbHunter] ❌ ARB SKIPPED: $${dollars.toFixed(2)} buys ${upSize}/${downSize} shares, below ${MIN_SHARES} per leg`);
+        return { success: false, reason: `$${dollars.toFixed(2)} buys ${upSize}/${downSize} shares, below the ${MIN_SHARES}-share minimum per leg` };
+      }
+    }
 
     const totalCost = (upBuyPrice * upSize) + (downBuyPrice * downSize);
 
-    console.log(`[ArbHunter] 💰 ARB: Buying BOTH sides — Up ${upSize}x @ $${upBuyPrice.toFixed(3)} + Down ${downSize}x @ $${downBuyPrice.toFixed(3)} = $${totalCost.toFixed(2)}`);
+    // Share-balanced pairs must pay out more than they cost: shares × (up + down + fees) < shares
+    if (arb.SIZING === "shares") {
+      const shares = Math.min(upSize, downSize);
+      const pairCost = depth
+        ? depth.cost + depth.fees
+        : shares * (upBuyPrice + downBuyPrice + this._takerFee(upBuyPrice, upTokenId) + this._takerFee(downBuyPrice, downTokenId));
+      if (upSize !== downSize || !(pairCost < shares)) {
+        console.log(`[ArbHunter] ❌ ARB REJECTED: ${upSize}/${downSize} shares cost $${pairCost.toFixed(2)} incl. fees vs $${shares.toFixed(2)} payout`);
+        return { success: false, reason: `Arb pair not profitable at execution ($${pairCost.toFixed(2)} ≥ $${shares.toFixed(2)})` };
+      }
+    }
+
+    console.log(`[ArbHunter] 💰 ARB (${arb.SIZING}): Buying BOTH sides — Up ${upSize}x @ $${upBuyPrice.toFixed(3)} + Down ${downSize}x @ $${downBuyPrice.toFixed(3)} = $${totalCost.toFixed(2)}`);
 
     // Place BOTH orders simultaneously
     const [upOrder, downOrder] = await Promise.allSettled([
@@ -452,38 +444,64 @@ export class TradingEngine {
         side: "BUY",
         price: upBuyPrice,
         size: upSize,
-        orderType: "GTC"
+        orderType: "GTC",
+        timing: { signalAt: signal.signalAt, asset: marketData.assetName }
       }),
       this.tradingService.placeOrder({
         tokenId: downTokenId,
         side: "BUY",
         price: downBuyPrice,
         size: downSize,
-        orderType: "GTC"
+        orderType: "GTC",
+        timing: { signalAt: signal.signalAt, asset: marketData.assetName }
       })
     ]);
 
-    const upOk = upOrder.status === "fulfilled" && upOrder.value?.orderID;
-    const downOk = downOrder.status === "fulfilled" && downOrder.value?.orderID;
+    const upAck = upOrder.status === "fulfilled" && upOrder.value?.orderID;
+    const downAck = downOrder.status === "fulfilled" && downOrder.value?.orderID;
 
-    if (!upOk && !downOk) {
+    if (!upAck && !downAck) {
       console.log("[ArbHunter] ❌ ARB FAILED: Both orders failed");
       return { success: false, reason: "Both arb orders failed" };
     }
 
+    // Wait for the CLOB to confirm what actually matched on each leg
+    const [upFill, downFill] = await Promise.all([
+      upAck ? this.orderManager.waitForFill(upOrder.value, { tokenId: upTokenId, side: "BUY", price: upBuyPrice, size: upSize }) : null,
+      downAck ? this.orderManager.waitForFill(downOrder.value, { tokenId: downTokenId, side: "BUY", price: downBuyPrice, size: downSize }) : null
+    ]);
+
+    const upOk = (upFill?.filledSize ?? 0) > 0;
+    const downOk = (downFill?.filledSize ?? 0) > 0;
+
+    this.lastBuyTime = Date.now();
+
+    if (!upOk && !downOk) {
+      console.log("[ArbHunter] ❌ ARB UNFILLED: Neither leg matched before timeout");
+      return { success: false, reason: "Arb orders not filled" };
+    }
+
+    const upFilledSize = upFill?.filledSize ?? 0;
+    const downFilledSize = downFill?.filledSize ?? 0;
+    const upFillPrice = upFill?.avgPrice ?? upBuyPrice;
+    const downFillPrice = downFill?.avgPrice ?? downBuyPrice;
+    const filledCost = (upFillPrice * upFilledSize) + (downFillPrice * downFilledSize);
+    const upFee = this.feeModel.fillFee(upFill, upTokenId);
+    const downFee = this.feeModel.fillFee(downFill, downTokenId);
+
     if (!upOk || !downOk) {
       // Only one leg filled — this is dangerous, log it clearly
       const filledSide = upOk ? "Up" : "Down";
       const failedSide = upOk ? "Down" : "Up";
-      const failedReason = upOk 
-        ? (downOrder.reason?.message || "unknown") 
-        : (upOrder.reason?.message || "unknown");
+      const failedReason = upOk
+        ? (downAck ? "not filled" : (downOrder.reason?.message || "unknown"))
+        : (upAck ? "not filled" : (upOrder.reason?.message || "unknown"));
       console.log(`[ArbHunter] ⚠️ ARB PARTIAL: ${filledSide} filled, ${failedSide} FAILED (${failedReason})`);
-      console.log(`[ArbHunter] ⚠️ This is now a DIRECTIONAL bet, not an arb!`);
+      console.log(`[ArbHunter] ⚠️ Leg policy: ${this.legRepair.POLICY} — attempting to repair`);
     } else {
-      const payout = size * 1.0; // One side always pays $1/share
-      const profit = payout - totalCost;
-      console.log(`[ArbHunter] ✅ ARB COMPLETE: Both legs filled! Cost: $${totalCost.toFixed(2)} | Payout: $${payout.toFixed(2)} | Guaranteed profit: $${profit.toFixed(2)}`);
+      const payout = Math.min(upFilledSize, downFilledSize) * 1.0; // One side always pays $1/share
+      const profit = payout - filledCost - upFee - downFee;
+      console.log(`[ArbHunter] ✅ ARB COMPLETE: Both legs filled! Cost: $${filledCost.toFixed(2)} | Fees: $${(upFee + downFee).toFixed(2)} | Payout: $${payout.toFixed(2)} | Guaranteed profit: $${profit.toFixed(2)}`);
     }
 
     // Mark market as arb-traded
@@ -495,53 +513,136 @@ export class TradingEngine {
     }
 
     this.lastTradeTime = Date.now();
-    this.lastBuyTime = Date.now();
     this.hourlyTrades.push(Date.now());
     this.todayTrades++;
-    this.todayArbs++;
 
-    // Record positions for both legs
+    // Record positions for the matched quantity of each leg
+    // Both legs (and any repair fills) share a groupId so they settle as one trade
+    const groupId = `PURE_ARB:${marketData.assetName || "BTC"}:${slug}:${Date.now()}`;
+    let upPosition = null;
+    let downPosition = null;
     if (upOk) {
-      const upCost = upBuyPrice * upSize;
+      const upCost = upFillPrice * upFilledSize;
       this.tradeHistory.push({
         timestamp: Date.now(), direction: "LONG", outcome: "Up",
         confidence: 95, edge: signal.edge,
-        price: upBuyPrice, size: upSize, cost: upCost,
-        orderId: upOrder.value.orderID, marketSlug: marketData.marketSlug
+        price: upFillPrice, size: upFilledSize, cost: upCost,
+        orderId: upFill.orderId, marketSlug: marketData.marketSlug
       });
-      this.positionTracker.addPosition({
-        orderId: upOrder.value.orderID, direction: "LONG", outcome: "Up",
-        price: upBuyPrice, size: upSize, confidence: 95, edge: signal.edge,
+      upPosition = this.positionTracker.addPosition({
+        orderId: upFill.orderId, tokenId: upTokenId, direction: "LONG", outcome: "Up",
+        price: upFillPrice, size: upFilledSize, requestedSize: upSize, fee: upFee, confidence: 95, edge: signal.edge,
         marketSlug: marketData.marketSlug, marketEndTime: marketData.marketEndTime || null,
         priceToBeat, upPrice, downPrice,
         indicators: {}, bullScore: 0, bearScore: 0,
         signals: signal.signals || [], strategy: "PURE_ARB_UP",
-        assetName: marketData.assetName || "BTC"
+        assetName: marketData.assetName || "BTC", groupId
       });
     }
     if (downOk) {
-      const downCost = downBuyPrice * downSize;
+      const downCost = downFillPrice * downFilledSize;
       this.tradeHistory.push({
         timestamp: Date.now(), direction: "SHORT", outcome: "Down",
         confidence: 95, edge: signal.edge,
-        price: downBuyPrice, size: downSize, cost: downCost,
-        orderId: downOrder.value.orderID, marketSlug: marketData.marketSlug
+        price: downFillPrice, size: downFilledSize, cost: downCost,
+        orderId: downFill.orderId, marketSlug: marketData.marketSlug
       });
-      this.positionTracker.addPosition({
-        orderId: downOrder.value.orderID, direction: "SHORT", outcome: "Down",
-        price: downBuyPrice, size: downSize, confidence: 95, edge: signal.edge,
+      downPosition = this.positionTracker.addPosition({
+        orderId: downFill.orderId, tokenId: downTokenId, direction: "SHORT", outcome: "Down",
+        price: downFillPrice, size: downFilledSize, requestedSize: downSize, fee: downFee, confidence: 95, edge: signal.edge,
         marketSlug: marketData.marketSlug, marketEndTime: marketData.marketEndTime || null,
         priceToBeat, upPrice, downPrice,
         indicators: {}, bullScore: 0, bearScore: 0,
         signals: signal.signals || [], strategy: "PURE_ARB_DOWN",
-        assetName: marketData.assetName || "BTC"
+        assetName: marketData.assetName || "BTC", groupId
+      });
+    }
+
+    // One-legged arb: try to complete or unwind it per the leg policy
+    let legRepair = null;
+    if (upOk !== downOk) {
+      legRepair = await this._repairArbLeg({
+        position: upOk ? upPosition : downPosition,
+        filledTokenId: upOk ? upTokenId : downTokenId,
+        missingOutcome: upOk ? "Down" : "Up",
+        missingTokenId: upOk ? downTokenId : upTokenId,
+        signal, marketData, priceToBeat, minProfit: arb.MIN_PROFIT
       });
     }
 
     return {
       success: true,
-      reason: `💰 ARB: Up ${upSize}x @ $${upBuyPrice.toFixed(3)} + Down ${downSize}x @ $${downBuyPrice.toFixed(3)} = $${totalCost.toFixed(2)} | ${upOk && downOk ? 'BOTH LEGS ✅' : 'PARTIAL ⚠️'}`
+      legRepair,
+      reason: `💰 ARB: Up ${upFilledSize}/${upSize}x @ $${upFillPrice.toFixed(3)} + Down ${downFilledSize}/${downSize}x @ $${downFillPrice.toFixed(3)} = $${filledCost.toFixed(2)} | ${upOk && downOk ? 'BOTH LEGS ✅' : `PARTIAL ⚠️ ${legRepair?.outcome ?? ''}`}`
+    };
+  }
+
+  // ─── ARB LEG REPAIR: complete or unwind a one-legged arb ─────
+  async _repairArbLeg({ position, filledTokenId, missingOutcome, missingTokenId, signal, marketData, priceToBeat, minProfit }) {
+    const result = await this.legRepair.repair({
+      filled: { outcome: position.outcome, tokenId: filledTokenId, size: position.size, price: position.entryPrice },
+      missing: { outcome: missingOutcome, tokenId: missingTokenId },
+      minProfit,
+      feeFn: (p, tokenId) => this._takerFee(p, tokenId)
+    });
+
+    // Repair fills become the missing leg of the arb
+    for (const fill of result.repairFills) {
+      if (fill.filledSize <= 0) continue;
+      const fillPrice = fill.avgPrice ?? fill.limitPrice;
+      this.tradeHistory.push({
+        timestamp: Date.now(), direction: missingOutcome === "Up" ? "LONG" : "SHORT", outcome: missingOutcome,
+        confidence: 95, edge: signal.edge,
+        price: fillPrice, size: fill.filledSize, cost: fillPrice * fill.filledSize,
+        orderId: fill.orderId, marketSlug: marketData.marketSlug
+      });
+      const repairPos = this.positionTracker.addPosition({
+        orderId: fill.orderId, tokenId: missingTokenId, direction: missingOutcome === "Up" ? "LONG" : "SHORT", outcome: missingOutcome,
+        price: fillPrice, size: fill.filledSize, requestedSize: fill.requestedSize, fee: this.feeModel.fillFee(fill, missingTokenId), confidence: 95, edge: signal.edge,
+        marketSlug: marketData.marketSlug, marketEndTime: marketData.marketEndTime || null,
+        priceToBeat, upPrice: marketData.upPrice, downPrice: marketData.downPrice,
+        indicators: {}, bullScore: 0, bearScore: 0,
+        signals: signal.signals || [], strategy: `PURE_ARB_${missingOutcome.toUpperCase()}`,
+        assetName: marketData.assetName || "BTC", groupId: position.groupId
+      });
+      this.positionTracker.recordLegRepair(repairPos, { role: "REPAIR_LEG", outcome: result.outcome });
+    }
+
+    // Unwind fills sell the filled leg back into the book
+    for (const fill of result.unwindFills) {
+      if (fill.filledSize <= 0) continue;
+      this.positionTracker.reducePosition(position, {
+        size: fill.filledSize,
+        price: fill.avgPrice ?? fill.limitPrice,
+        fee: this.feeModel.fillFee(fill, filledTokenId),
+        status: "UNWOUND"
+      });
+    }
+
+    const summary = {
+      role: "FILLED_LEG",
+      outcome: result.outcome,
+      policy: result.policy,
+      repairedSize: result.repairedSize,
+      unwoundSize: result.unwoundSize,
+      maxRepairPrice: result.maxRepairPrice,
+      attempts: result.attempts,
+      durationMs: result.finishedAt - result.startedAt
     };
+    this.positionTracker.recordLegRepair(position, summary);
+
+    const key = result.outcome.toLowerCase();
+    this.legRepairStats[key] = (this.legRepairStats[key] || 0) + 1;
+    this.legRepairStats.recent.push({
+      time: new Date().toISOString(),
+      asset: marketData.assetName || "BTC",
+      market: marketData.marketSlug || "",
+      filledOutcome: position.outcome,
+      ...summary
+    });
+    if (this.legRepairStats.recent.length > 20) this.legRepairStats.recent.shift();
+
+    return summary;
   }
 
   // ─── DIRECTIONAL: Buy one side (extreme value or confirmed move) ─
@@ -554,19 +655,17 @@ export class TradingEngine {
       return { success: false, reason: "Missing token ID" };
     }
 
-    const price = Math.min(0.95, signal.marketPrice + 0.003);
-    const MIN_SHARES = 5;
-    
-    let dollars;
-    if (signal.strategy === "EXTREME_VALUE") {
-      dollars = signal.extremeDollars || this.EXTREME_SIZE;
-    } else {
-      dollars = signal.moveDollars || this.MOVE_SIZE;
+    const price = Math.min(0.95, signal.marketPrice + this.PRICE_BUFFER);
+    const dollars = signal.dollars;
+    const size = Math.floor(dollars / price);
+
+    // Never round up past the configured dollars — too small for this market is a skip
+    const minShares = await this.tradingService.marketMeta.minOrderSize(tokenId);
+    if (size < minShares) {
+      console.log(`[ArbHunter] ⏭️ ${signal.strategy}: $${dollars.toFixed(2)} buys ${size} ${signal.targetOutcome} @ $${price.toFixed(3)}, below the ${minShares}-share market minimum`);
+      return { success: false, reason: `$${dollars.toFixed(2)} buys ${size} shares, below the ${minShares}-share market minimum` };
     }
-    
-    let size = Math.floor(dollars / price);
-    if (size < MIN_SHARES) size = MIN_SHARES;
-    
+
     const maxCost = price * size;
 
     const order = await this.tradingService.placeOrder({
@@ -574,15 +673,28 @@ export class TradingEngine {
       side: "BUY",
       price,
       size,
-      orderType: "GTC"
+      orderType: "GTC",
+      timing: { signalAt: signal.signalAt, asset: marketData.assetName }
     });
 
     if (!order || !order.orderID) {
       console.log("[ArbHunter] Order failed - no orderID returned");
       return { success: false, reason: "Order failed - no orderID returned" };
     }
-    
-    console.log(`[ArbHunter] ✅ ${signal.strategy}: ${signal.targetOutcome} ${size}x @ $${price.toFixed(3)} = $${maxCost.toFixed(2)}`);
+
+    const fill = await this.orderManager.waitForFill(order, { tokenId, side: "BUY", price, size });
+    this.lastBuyTime = Date.now();
+
+    if (fill.filledSize <= 0) {
+      console.log(`[ArbHunter] ❌ ${signal.strategy}: ${signal.targetOutcome} order not filled before timeout`);
+      return { success: false, reason: "Order not filled" };
+    }
+
+    const filledSize = fill.filledSize;
+    const fillPrice = fill.avgPrice ?? price;
+    const filledCost = fillPrice * filledSize;
+
+    console.log(`[ArbHunter] ✅ ${signal.strategy}: ${signal.targetOutcome} ${filledSize}/${size}x @ $${fillPrice.toFixed(3)} = $${filledCost.toFixed(2)} (max $${maxCost.toFixed(2)})`);
 
     // Mark this market as traded
     const slug = marketData.marketSlug || "";
@@ -593,7 +705,6 @@ export class TradingEngine {
     }
 
     this.lastTradeTime = Date.now();
-    this.lastBuyTime = Date.now();
     this.hourlyTrades.push(Date.now());
     
     const trade = {
@@ -602,7 +713,7 @@ export class TradingEngine {
       outcome: signal.targetOutcome,
       confidence: signal.confidence,
       edge: signal.edge,
-      price, size, cost: maxCost,
+      price: fillPrice, size: filledSize, cost: filledCost,
       orderId: order.orderID,
       marketSlug: marketData.marketSlug
     };
@@ -610,14 +721,14 @@ export class TradingEngine {
     this.tradeHistory.push(trade);
 
     this.todayTrades++;
-    if (signal.strategy === "EXTREME_VALUE") this.todayExtremes++;
-    else this.todayMoves++;
 
     this.positionTracker.addPosition({
       orderId: order.orderID,
+      tokenId,
       direction: signal.direction,
       outcome: signal.targetOutcome,
-      price, size,
+      price: fillPrice, size: filledSize, requestedSize: size,
+      fee: this.feeModel.fillFee(fill, tokenId),
       confidence: signal.confidence,
       edge: signal.edge,
       marketSlug: marketData.marketSlug,
@@ -633,12 +744,28 @@ export class TradingEngine {
     });
 
     return {
-      success: true, trade, order,
-      reason: `${signal.strategy} ${signal.targetOutcome} ${size}x @ $${price.toFixed(3)} ($${maxCost.toFixed(2)})`
+      success: true, trade, order, fill,
+      reason: `${signal.strategy} ${signal.targetOutcome} ${filledSize}/${size}x @ $${fillPrice.toFixed(3)} ($${filledCost.toFixed(2)})`
     };
   }
 
-  // Called when a position resolves
+  _onPositionClosed({ position, won, pnl }) {
+    this._checkDailyReset();
+    const label = `${position.assetName ? `[${position.assetName}] ` : ""}${position.strategy} ${position.outcome}`;
+    this.recordResolution(label, won, pnl);
+  }
+
+  // A stale write-off was restated: correct today's P&L if it was booked today
+  _onPositionRestated({ position, adjustment, closedAt }) {
+    this._checkDailyReset();
+    if (!closedAt || this.calendar.dayKey(closedAt) !== this.dailyResetDate) return;
+    this.dailyPnl += adjustment.delta;
+    if (adjustment.countedAs === "LOSS → WIN") this.todayWins++;
+    else if (adjustment.countedAs === "WIN → LOSS") this.todayWins = Math.max(0, this.todayWins - 1);
+    console.log(`[ArbHunter] 🔁 Restated ${position.outcome} ${adjustment.delta >= 0 ? "+" : ""}$${adjustment.delta.toFixed(2)} | Daily: $${this.dailyPnl.toFixed(2)}`);
+  }
+
+  // Called for every closed trade (via position.resolved / stoppedOut / exited events)
   recordResolution(outcome, won, pnl = 0) {
     this.dailyPnl += pnl;
     
@@ -653,15 +780,44 @@ export class TradingEngine {
     console.log(`[ArbHunter] 📊 ${won ? '✅ WIN' : '❌ LOSS'} ${outcome} $${pnl.toFixed(2)} | Daily: $${this.dailyPnl.toFixed(2)} | ${this.todayWins}/${this.todayTrades} (${wr}%) | ${this.consecutiveLosses}L streak`);
   }
 
-  // Check and resolve positions when market ends
+  // Resolve positions when their market ends
+  // Spot vs priceToBeat only records the expected outcome; positions settle
+  // from the official Gamma result once the market has paid out.
   // assetName ensures we only resolve positions for the given asset
-  checkResolutions(currentPrice, priceToBeat, assetName = null) {
-    return this.positionTracker.checkResolutions(currentPrice, priceToBeat, assetName);
+  async checkResolutions(currentPrice, priceToBeat, assetName = null) {
+    this.positionTracker.checkResolutions(currentPrice, priceToBeat, assetName);
+
+    const ended = this.positionTracker.awaitingResolution(assetName);
+    if (ended.length === 0) return [];
+
+    const official = await this.resolutionService.lookupMany(ended.map(pos => pos.marketSlug));
+    const settled = [];
+    for (const pos of ended) {
+      const result = official.get(pos.marketSlug);
+      if (!result) continue;
+      if (this.positionTracker.settlePosition(pos, result)) settled.push(pos);
+    }
+    return settled;
   }
 
-  // Check if any positions should be stopped out (20% loss)
-  checkStopLoss(currentMarketPrices) {
-    return this.positionTracker.checkStopLoss(currentMarketPrices);
+  // Sell positions that hit stop-loss / take-profit / time exit rules
+  // marketData must carry the asset's live books (upBook/downBook)
+  async runExits(marketData) {
+    return await this.exitEngine.run(marketData);
+  }
+
+  // Rest/refresh maker-arb bids for this asset's market
+  // New quotes respect the same guardrails as taker trades; hedging always runs
+  // A disabled asset keeps managing what it already has but opens no new quotes
+  async runMakerArb(marketData, asset = null) {
+    if (!this.config.enabled) {
+      await this.makerArb.cancelAll("trading disabled");
+      return null;
+    }
+    this._checkDailyReset();
+    const exposure = this.positionTracker.openPositions.reduce((sum, pos) => sum + pos.cost, 0);
+    const allowNewQuotes = exposure < this.MAX_EXPOSURE && !this._dailyStopHit() && asset?.enabled !== false;
+    return await this.makerArb.run(marketData, { allowNewQuotes });
   }
 
   // Cleanup stale positions
@@ -669,6 +825,11 @@ export class TradingEngine {
     this.positionTracker.cleanupStalePositions();
   }
 
+  // Restate stale write-offs whose official outcome (or redemption) is now known
+  async reconcileStalePositions() {
+    return await this.staleReconciler.run();
+  }
+
   getStats() {
     const pnlStats = this.positionTracker.getStats();
     return {
@@ -676,25 +837,55 @@ export class TradingEngine {
       totalTrades: this.tradeHistory.length,
       lastTradeTime: this.lastTradeTime,
       activeOrders: this.tradingService.getActiveOrdersCount(),
+      orders: this.orderManager.getStats(),
+      fees: this.feeModel.getStats(),
+      legRepairs: this.legRepairStats,
+      exits: this.exitEngine.getStats(),
+      makerArb: this.makerArb.getStats(),
+      resolutions: this.resolutionService.getStats(),
+      staleReconcile: this.staleReconciler.getStats(),
+      events: tradingEvents.getStats(),
+      fills: this.fillLedger.getStats(),
+      paper: this.tradingService.isPaper ? this.tradingService.getStats() : null,
       pnl: pnlStats,
       tradesThisHour: this._tradesInLastHour(),
+      guardrails: {
+        maxExposure: this.MAX_EXPOSURE,
+        dailyDrawdownLimit: this.DAILY_DRAWDOWN_LIMIT,
+        maxDailyLoss: this.MAX_DAILY_LOSS,
+        maxTradesPerHour: this.MAX_TRADES_PER_HOUR,
+        minRemainingBalance: this.MIN_REMAINING_BALANCE,
+        minBuyCooldownMs: this.MIN_BUY_COOLDOWN,
+        tradeWindow: [this.MIN_CANDLE_MINUTE, this.MAX_CANDLE_MINUTE]
+      },
       todayTrades: this.todayTrades,
       todayWins: this.todayWins,
-      todayArbs: this.todayArbs,
-      todayExtremes: this.todayExtremes,
-      todayMoves: this.todayMoves,
+      todayArbs: this.strategies.get("PURE_ARB").todayTrades,
+      todayExtremes: this.strategies.get("EXTREME_VALUE").todayTrades,
+      todayMoves: this.strategies.get("CONFIRMED_MOVE").todayTrades,
       dailyPnl: this.dailyPnl,
+      tradingDay: { day: this.dailyResetDate, boundary: this.calendar.id },
       consecutiveLosses: this.consecutiveLosses,
       tradedSlugs: this.tradedSlugs.size,
       lastScan: this.lastScan,
       opportunitiesSeen: this.opportunitiesSeen,
-      arbSkipped: this.arbSkipped,
-      moveSkipped: this.moveSkipped
+      strategies: this.strategies.getStats()
     };
   }
 
+  // "PURE_ARB:3 EXTREME_VALUE:0" — today's trades per enabled strategy
+  _strategyTally() {
+    return this.strategies.active().map(s => `${s.name}:${s.todayTrades}`).join(" ") || "no strategies enabled";
+  }
+
+  // Runtime parameter changes (CONFIG.trading keys, validated by updateTradingParams):
+  // the engine's own tunables and the strategies' follow them
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    for (const [key, field] of Object.entries(RUNTIME_FIELDS)) {
+      if (newConfig[key] !== undefined) this[field] = newConfig[key];
+    }
+    this.strategies.applyParams(newConfig);
   }
 
   enableTrading() {
@@ -1,6 +1,10 @@
 import { ClobClient } from "@polymarket/clob-client";
 import { Wallet } from "ethers";
 import dotenv from "dotenv";
+import { MarketMetaCache } from "./marketMeta.js";
+import { FeeModel } from "./feeModel.js";
+import { latency, nowMs } from "../latency.js";
+import { tradingEvents, EVENTS } from "./eventBus.js";
 
 dotenv.config();
 
@@ -20,6 +24,9 @@ export class TradingService {
     this.credentials = null;
     this.isInitialized = false;
     this.activeOrders = new Map();
+    this.refreshedTokens = new Set(); // Tokens whose CLOB balance/allowance has been refreshed at least once
+    this.marketMeta = new MarketMetaCache();  // Per-token tick size / negRisk / min order size
+    this.feeModel = new FeeModel();           // Per-token fee rates shared with the strategy math
   }
 
   async initialize() {
@@ -120,51 +127,78 @@ export class TradingService {
     }
   }
 
-  async placeOrder({ tokenId, side, price, size, orderType = "GTC" }) {
+  // timing: { signalAt, asset } — when set, signal → sign → post → ack latency is recorded
+  async placeOrder({ tokenId, side, price, size, orderType = "GTC", timing = null }) {
     if (!this.isInitialized) {
       throw new Error("Trading service not initialized");
     }
 
+    const orderSide = String(side || "").toUpperCase();
+    if (orderSide !== "BUY" && orderSide !== "SELL") {
+      throw new Error(`Invalid order side: ${side}`);
+    }
+
     try {
-      console.log(`[Trading] Creating order: ${side} ${size} shares at $${price.toFixed(3)}`);
-      console.log(`[Trading] Token ID: ${tokenId}, Price: ${price}, Size: ${size}`);
-      
-      // Fetch the actual fee rate for this market
-      let feeRate = 1000; // Default to 10% (1000 bps)
-      try {
-        const feeData = await this.client.getFeeRate(tokenId);
-        if (feeData && feeData.feeRateBps) {
-          feeRate = parseInt(feeData.feeRateBps);
-          console.log(`[Trading] Market fee rate: ${feeRate} bps (${(feeRate / 100).toFixed(2)}%)`);
+      // SELL orders can only offer shares we actually hold — read fresh, since
+      // earlier sells (partial fills, exit retries, leg unwinds) changed it
+      if (orderSide === "SELL") {
+        const held = await this.getTokenBalance(tokenId, { fresh: true });
+        if (held !== null && held < size) {
+          if (held <= 0) {
+            throw new Error(`No shares held for token ${tokenId.slice(0, 10)}… — cannot sell`);
+          }
+          console.log(`[Trading] ⚠ Sell size ${size} exceeds balance ${held} — selling ${held}`);
+          size = held;
         }
-      } catch (e) {
-        console.log(`[Trading] Could not fetch fee rate, using default 1000 bps`);
       }
+
+      // Snap onto the market's tick grid and size precision; refuse orders
+      // the CLOB would reject before spending a signature on them
+      const normalized = await this.marketMeta.normalizeOrder({ tokenId, side: orderSide, price, size });
+      if (!normalized.ok) {
+        throw new Error(`Order rejected: ${normalized.reason}`);
+      }
+      if (normalized.price !== price || normalized.size !== size) {
+        console.log(`[Trading] Rounded order ${size} @ $${price} → ${normalized.size} @ $${normalized.price} (tick ${normalized.meta.tickSize})`);
+      }
+      price = normalized.price;
+      size = normalized.size;
+
+      console.log(`[Trading] Creating order: ${orderSide} ${size} shares at $${price.toFixed(3)}`);
+      console.log(`[Trading] Token ID: ${tokenId}, Price: ${price}, Size: ${size}`);
+      
+      // Same cached rate the strategy priced the trade with
+      const feeRate = await this.feeModel.getFeeRateBps(tokenId);
       
       // v4 CLOB client: createOrder + postOrder (two steps)
       const orderArgs = {
         tokenID: tokenId,
         price: price,
-        side: side.toUpperCase(),
+        side: orderSide,
         size: size,
         feeRateBps: feeRate
       };
       
       const options = {
-        tickSize: "0.01",
-        negRisk: false
+        tickSize: normalized.meta.tickSize,
+        negRisk: normalized.meta.negRisk
       };
       
       console.log(`[Trading] Order args:`, JSON.stringify(orderArgs));
       
       // Step 1: Create signed order
+      const asset = timing?.asset ?? null;
+      if (timing?.signalAt) latency.record("signalToSign", nowMs() - timing.signalAt, asset);
+      const stopSign = latency.start("sign", asset);
       const signedOrder = await this.client.createOrder(orderArgs, options);
+      stopSign();
       console.log(`[Trading] Order signed, posting...`);
       
       // Step 2: Post order to CLOB with retry for proxy timeouts
       let order = null;
       let retries = 0;
       const maxRetries = 3;
+      const stopPost = latency.start("post", asset);
       
       while (retries < maxRetries) {
         try {
@@ -184,6 +218,9 @@ export class TradingService {
         }
       }
       
+      stopPost();
+      if (timing?.signalAt && order?.orderID) latency.record("signalToAck", nowMs() - timing.signalAt, asset);
+
       // Double-check we got an order
       if (!order) {
         throw new Error("Failed to place order: No response after retries");
@@ -211,11 +248,15 @@ export class TradingService {
           ...order,
           timestamp: Date.now(),
           tokenId,
-          side,
+          side: orderSide,
           price,
           size
         });
+        // Callers track fills against what was actually submitted
+        order.submittedPrice = price;
+        order.submittedSize = size;
         console.log(`[Trading] ✓ Order placed successfully: ${order.orderID}`);
+        tradingEvents.publish(EVENTS.ORDER_PLACED, { orderId: order.orderID, tokenId, side: orderSide, price, size, orderType, status: order.status ?? null });
       } else {
         console.log(`[Trading] ⚠ Order created but no orderID returned`);
       }
@@ -227,15 +268,44 @@ export class TradingService {
     }
   }
 
+  // Sell shares of an outcome token back to the book
+  async sellShares({ tokenId, price, size, orderType = "GTC" }) {
+    return await this.placeOrder({ tokenId, side: "SELL", price, size, orderType });
+  }
+
+  // Conditional token balance (in shares) held by the proxy wallet.
+  // fresh: refresh the CLOB's cached balance/allowance even if it was
+  // refreshed before — otherwise only the first read per token does.
+  async getTokenBalance(tokenId, { fresh = false } = {}) {
+    if (!this.isInitialized) {
+      throw new Error("Trading service not initialized");
+    }
+
+    try {
+      // Refresh the CLOB's cached balance/allowance for this token first
+      if (fresh || !this.refreshedTokens.has(tokenId)) {
+        await this.client.updateBalanceAllowance({ asset_type: "CONDITIONAL", token_id: tokenId });
+        this.refreshedTokens.add(tokenId);
+      }
+      const res = await this.client.getBalanceAllowance({ asset_type: "CONDITIONAL", token_id: tokenId });
+      const raw = Number(res?.balance);
+      return Number.isFinite(raw) ? raw / 1e6 : null;
+    } catch (error) {
+      console.error(`[Trading] Failed to get token balance: ${error.message}`);
+      return null;
+    }
+  }
+
   async cancelOrder(orderId) {
     if (!this.isInitialized) {
       throw new Error("Trading service not initialized");
     }
 
     try {
-      const result = await this.client.cancelOrder(orderId);
+      const result = await this.client.cancelOrder({ orderID: orderId });
       this.activeOrders.delete(orderId);
       console.log(`[Trading] Order cancelled: ${orderId}`);
+      tradingEvents.publish(EVENTS.ORDER_CANCELLED, { orderId });
       return result;
     } catch (error) {
       console.error("Failed to cancel order:", error.message);
@@ -252,6 +322,7 @@ export class TradingService {
       const result = await this.client.cancelAll();
       this.activeOrders.clear();
       console.log(`[Trading] All orders cancelled`);
+      for (const orderId of result?.canceled || []) tradingEvents.publish(EVENTS.ORDER_CANCELLED, { orderId });
       return result;
     } catch (error) {
       console.error("Failed to cancel all orders:", error.message);
@@ -265,7 +336,7 @@ export class TradingService {
     }
 
     try {
-      const orders = await this.client.getOrders();
+      const orders = await this.client.getOpenOrders();
       return orders;
     } catch (error) {
       console.error("Failed to get open orders:", error.message);
@@ -273,6 +344,28 @@ export class TradingService {
     }
   }
 
+  async getOrder(orderId) {
+    if (!this.isInitialized) {
+      throw new Error("Trading service not initialized");
+    }
+
+    return await this.client.getOrder(orderId);
+  }
+
+  // allPages: follow the cursor through every page (reconciliation); default is the first page only
+  async getTrades(params = {}, { allPages = false } = {}) {
+    if (!this.isInitialized) {
+      throw new Error("Trading service not initialized");
+    }
+
+    return await this.client.getTrades(params, !allPages);
+  }
+
+  // Drop an order from the active set once its lifecycle is finished
+  forgetOrder(orderId) {
+    this.activeOrders.delete(orderId);
+  }
+
   getActiveOrdersCount() {
     return this.activeOrders.size;
   }
@@ -280,4 +373,9 @@ export class TradingService {
   getWalletAddress() {
     return this.wallet.address;
   }
+
+  // Gnosis Safe that holds funds and shares (orders' maker), if configured
+  getProxyWallet() {
+    return PROXY_WALLET || null;
+  }
 }
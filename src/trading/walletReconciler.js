@@ -0,0 +1,197 @@
+// ═══════════════════════════════════════════════════════════════
+// WALLET RECONCILER — check the tracker against the exchange
+//
+// The position tracker only knows what the bot thinks it did. This
+// pulls the exchange's view for the lookback window:
+//   • our trades (taker fills + our side of maker fills)
+//   • our open orders
+//   • CTF token balances of the funding (proxy) wallet
+// and diffs it against open and closed positions:
+//   ORPHAN_FILL     — exchange fill for an order no position records
+//   ORPHAN_ORDER    — resting order the bot is not managing
+//   ORPHAN_SHARES   — wallet holds more shares than the tracker expects
+//   SIZE_MISMATCH   — position size differs from the order's filled size
+//   BALANCE_SHORT   — wallet holds fewer shares than the tracker expects
+//   PHANTOM         — tracked shares that the wallet does not hold at all,
+//                     or a position whose order never filled on the exchange
+// Runs every INTERVAL_MS (0 = on demand only) and via /reconcile.
+// ═══════════════════════════════════════════════════════════════
+
+const SIZE_TOLERANCE = 0.01;  // Shares; CLOB sizes are 2-decimal
+
+export class WalletReconciler {
+  constructor(tradingService, positionTracker, config = {}) {
+    this.tradingService = tradingService;
+    this.positionTracker = positionTracker;
+    this.INTERVAL_MS = config.intervalMs ?? 5 * 60_000;
+    this.LOOKBACK_MS = config.lookbackMs ?? 24 * 3600_000;
+
+    this.timer = null;
+    this.running = null;     // In-flight run, shared by concurrent callers
+    this.lastResult = null;
+    this.runs = 0;
+  }
+
+  start() {
+    if (this.INTERVAL_MS <= 0 || this.timer) return;
+    this.timer = setInterval(() => this.run().catch(e => console.log(`[Reconcile] ✗ ${e.message}`)), this.INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run() {
+    if (!this.running) {
+      this.running = this._run().finally(() => { this.running = null; });
+    }
+    return await this.running;
+  }
+
+  async _run() {
+    const startedAt = Date.now();
+    const since = startedAt - this.LOOKBACK_MS;
+    const address = String(this.tradingService.getProxyWallet?.() || this.tradingService.getWalletAddress() || "").toLowerCase();
+
+    const [trades, openOrders] = await Promise.all([
+      this.tradingService.getTrades({ after: String(Math.floor(since / 1000)) }, { allPages: true }),
+      this.tradingService.getOpenOrders()
+    ]);
+    const fills = this._ourFills(trades || [], address, since);
+
+    // Positions in scope: everything open, plus closed positions from the lookback window
+    const open = this.positionTracker.openPositions;
+    const closed = this.positionTracker.closedPositions.filter(p => (p.resolvedAt || p.openedAt || 0) >= since);
+    const tracked = [...open, ...closed];
+    const trackedIds = new Set(tracked.map(p => p.orderId));
+
+    const issues = [];
+    const flag = (type, detail) => issues.push({ type, ...detail });
+
+    // ① Fills vs positions
+    const filledByOrder = new Map();
+    for (const f of fills) {
+      const entry = filledByOrder.get(f.orderId) || { orderId: f.orderId, tokenId: f.tokenId, side: f.side, size: 0, trades: 0 };
+      entry.size += f.size;
+      entry.trades++;
+      filledByOrder.set(f.orderId, entry);
+    }
+    for (const entry of filledByOrder.values()) {
+      // Sells are exits/unwinds — they reduce positions rather than open them
+      if (entry.side === "BUY" && !trackedIds.has(entry.orderId)) {
+        flag("ORPHAN_FILL", { orderId: entry.orderId, tokenId: entry.tokenId, size: round(entry.size) });
+      }
+    }
+    for (const pos of tracked) {
+      if ((pos.openedAt || 0) < since) continue;  // Fills before the window were not fetched
+      const entry = filledByOrder.get(pos.orderId);
+      if (!entry) {
+        flag("PHANTOM", { orderId: pos.orderId, tokenId: pos.tokenId, market: pos.marketSlug, size: pos.size, reason: "no exchange fill for this order" });
+      } else if (Math.abs(entry.size - pos.size) > SIZE_TOLERANCE) {
+        flag("SIZE_MISMATCH", { orderId: pos.orderId, tokenId: pos.tokenId, market: pos.marketSlug, tracked: pos.size, filled: round(entry.size) });
+      }
+    }
+
+    // ② Open orders vs orders the bot is managing
+    const managed = this.tradingService.activeOrders || new Map();
+    for (const order of openOrders || []) {
+      if (!managed.has(order.id)) {
+        flag("ORPHAN_ORDER", { orderId: order.id, tokenId: order.asset_id, side: order.side, price: Number(order.price), size: Number(order.original_size) - Number(order.size_matched || 0) });
+      }
+    }
+
+    // ③ Wallet balances vs shares the tracker expects the wallet to hold
+    // (open positions, plus closed ones whose shares have not been redeemed yet)
+    // The paper exchange pays out (and removes the shares) as soon as a position resolves
+    const paidOnResolution = Boolean(this.tradingService.isPaper);
+    const stillHeld = (pos) => !pos.redemption && !(paidOnResolution && /^RESOLVED_(WIN|LOSS)$/.test(pos.status));
+    const expected = new Map();
+    for (const pos of tracked) {
+      if (!pos.tokenId || !stillHeld(pos)) continue;
+      const held = this.positionTracker.heldSize(pos);
+      expected.set(pos.tokenId, (expected.get(pos.tokenId) || 0) + held);
+    }
+    for (const f of fills) if (!expected.has(f.tokenId)) expected.set(f.tokenId, 0);
+
+    // Fresh reads: the CLOB's cached balance lags every fill and redemption
+    const balances = {};
+    for (const [tokenId, want] of expected) {
+      const have = await this.tradingService.getTokenBalance(tokenId, { fresh: true });
+      if (have === null || have === undefined) continue;  // Balance unavailable — don't guess
+      balances[tokenId] = { wallet: round(have), tracker: round(want) };
+      const diff = have - want;
+      if (diff > SIZE_TOLERANCE) {
+        flag("ORPHAN_SHARES", { tokenId, wallet: round(have), tracker: round(want) });
+      } else if (diff < -SIZE_TOLERANCE) {
+        flag(have <= SIZE_TOLERANCE ? "PHANTOM" : "BALANCE_SHORT", {
+          tokenId, wallet: round(have), tracker: round(want),
+          positions: tracked.filter(p => p.tokenId === tokenId && stillHeld(p) && this.positionTracker.heldSize(p) > 0).map(p => p.orderId)
+        });
+      }
+    }
+
+    const counts = {};
+    for (const issue of issues) counts[issue.type] = (counts[issue.type] || 0) + 1;
+
+    this.runs++;
+    this.lastResult = {
+      checkedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      lookbackMs: this.LOOKBACK_MS,
+      wallet: address,
+      ok: issues.length === 0,
+      summary: {
+        trades: fills.length,
+        openOrders: (openOrders || []).length,
+        openPositions: open.length,
+        closedPositions: closed.length,
+        tokens: Object.keys(balances).length,
+        issues: counts
+      },
+      issues,
+      balances
+    };
+
+    if (issues.length > 0) {
+      console.log(`[Reconcile] ⚠ ${issues.length} discrepancies: ${Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(", ")}`);
+    }
+    return this.lastResult;
+  }
+
+  // Our side of each trade: the taker order, or our own orders among the makers
+  _ourFills(trades, address, since) {
+    const fills = [];
+    for (const t of trades) {
+      if (Number(t.match_time) * 1000 < since) continue;
+      if (t.trader_side === "TAKER" && t.taker_order_id) {
+        fills.push({ orderId: t.taker_order_id, tokenId: t.asset_id, side: String(t.side).toUpperCase(), size: Number(t.size) });
+        continue;
+      }
+      for (const mo of t.maker_orders || []) {
+        if (mo.maker_address && address && mo.maker_address.toLowerCase() !== address) continue;
+        // Makers on the same token take the other side; on the complement they mirror the taker
+        const takerSide = String(t.side).toUpperCase();
+        const side = mo.side ? String(mo.side).toUpperCase()
+          : mo.asset_id === t.asset_id ? (takerSide === "BUY" ? "SELL" : "BUY") : takerSide;
+        fills.push({ orderId: mo.order_id, tokenId: mo.asset_id, side, size: Number(mo.matched_amount) });
+      }
+    }
+    return fills;
+  }
+
+  getStats() {
+    return {
+      intervalMs: this.INTERVAL_MS,
+      runs: this.runs,
+      lastCheckedAt: this.lastResult?.checkedAt ?? null,
+      ok: this.lastResult?.ok ?? null,
+      issues: this.lastResult?.summary.issues ?? {}
+    };
+  }
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -43,10 +43,9 @@ export function ensureDir(dirPath) {
   fs.mkdirSync(dirPath, { recursive: true });
 }
 
-export function appendCsvRow(filePath, header, row) {
-  ensureDir(path.dirname(filePath));
-  const exists = fs.existsSync(filePath);
-  const line = row
+// One CSV line; fields with commas, quotes or newlines are quoted
+export function toCsvLine(row) {
+  return row
     .map((v) => {
       if (v === null || v === undefined) return "";
       const s = String(v);
@@ -56,6 +55,12 @@ export function appendCsvRow(filePath, header, row) {
       return s;
     })
     .join(",");
+}
+
+export function appendCsvRow(filePath, header, row) {
+  ensureDir(path.dirname(filePath));
+  const exists = fs.existsSync(filePath);
+  const line = toCsvLine(row);
 
   if (!exists) {
     fs.writeFileSync(filePath, `${header.join(",")}\n${line}\n`, "utf8");